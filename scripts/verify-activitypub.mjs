@@ -0,0 +1,199 @@
+// scripts/verify-activitypub.mjs
+// Checks the ActivityPub inbox against stand-in remote servers on
+// localhost: a real follower, and an attacker who hosts keys and actor
+// copies that claim to be that follower. Exits non-zero on failure.
+//   node scripts/verify-activitypub.mjs
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createMessageStore } from '../server/store.js';
+import { createActivityPub } from '../server/activitypub.js';
+import { signRequest, digestBody } from '../server/httpSignature.js';
+import { logger } from '../server/logger.js';
+
+const LOCAL_ADDRESS = '0x1111111111111111111111111111111111111111';
+const BASE_URL = 'http://crkcrk.test';
+const INBOX_PATH = `/ap/users/${LOCAL_ADDRESS}/inbox`;
+
+const generateKeys = () => crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+// Serves JSON documents by path and records what it receives
+const startStandIn = async (host) => {
+  const documents = {};
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ method: req.method, path: req.url, body });
+      if (req.method === 'POST') {
+        res.writeHead(202).end();
+      } else if (documents[req.url]) {
+        res.writeHead(200, { 'content-type': 'application/activity+json' }).end(JSON.stringify(documents[req.url]));
+      } else {
+        res.writeHead(404).end();
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://${host}:${server.address().port}`, documents, received, close: () => server.close() };
+};
+
+const deliver = (activityPub, activity, keyId, privateKeyPem, { tamper = false } = {}) => {
+  const body = JSON.stringify(activity);
+  const headers = signRequest({ url: `${BASE_URL}${INBOX_PATH}`, method: 'POST', body }, keyId, privateKeyPem);
+  const sent = tamper ? body.replace('Follow', 'Folloq') : body;
+  return activityPub.handleInbox(LOCAL_ADDRESS, BASE_URL, {
+    method: 'POST',
+    path: INBOX_PATH,
+    headers,
+    body: Buffer.from(sent)
+  });
+};
+
+// Signs only the listed headers, the way a careless or malicious server
+// might, optionally for another path
+const deliverSignedWith = (activityPub, activity, keyId, privateKeyPem, headerNames, { path: signedPath = INBOX_PATH } = {}) => {
+  const body = JSON.stringify(activity);
+  const headers = { host: new URL(BASE_URL).host, date: new Date().toUTCString(), digest: digestBody(body) };
+  const signingString = headerNames.map(name => (name === '(request-target)'
+    ? `(request-target): post ${signedPath}`
+    : `${name}: ${headers[name]}`)).join('\n');
+  const signature = crypto.sign('sha256', Buffer.from(signingString), privateKeyPem).toString('base64');
+  const list = headerNames.length === 1 && headerNames[0] === 'date' ? '' : `,headers="${headerNames.join(' ')}"`;
+  headers.signature = `keyId="${keyId}",algorithm="rsa-sha256"${list},signature="${signature}"`;
+
+  return activityPub.handleInbox(LOCAL_ADDRESS, BASE_URL, { method: 'POST', path: INBOX_PATH, headers, body: Buffer.from(body) });
+};
+
+const run = async () => {
+  logger.setLevel('error');
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-activitypub-'));
+  const store = createMessageStore({ dataDir });
+  store.upsertProfile(LOCAL_ADDRESS, { nickname: 'alice', avatarCode: 1 });
+
+  const follower = await startStandIn('127.0.0.1');
+  const attacker = await startStandIn('localhost');
+
+  try {
+    const followerKeys = generateKeys();
+    const attackerKeys = generateKeys();
+    const actorId = `${follower.url}/users/bob`;
+    const keyId = `${actorId}#main-key`;
+
+    follower.documents['/users/bob'] = {
+      id: actorId,
+      type: 'Person',
+      inbox: `${follower.url}/users/bob/inbox`,
+      publicKey: { id: keyId, owner: actorId, publicKeyPem: followerKeys.publicKey }
+    };
+    // A key document that names the follower as its owner
+    attacker.documents['/key'] = {
+      id: `${attacker.url}/key`,
+      owner: actorId,
+      publicKeyPem: attackerKeys.publicKey
+    };
+    // A copy of the follower's actor with the attacker's key
+    attacker.documents['/bob'] = {
+      id: actorId,
+      type: 'Person',
+      inbox: `${attacker.url}/inbox`,
+      publicKey: { id: `${attacker.url}/bob#main-key`, owner: actorId, publicKeyPem: attackerKeys.publicKey }
+    };
+
+    const allowedHosts = new Set(['127.0.0.1', 'localhost']);
+    const activityPub = createActivityPub({ store, dataDir, publicUrl: BASE_URL, allowedHosts });
+    const followerCount = () => activityPub.getFollowers(LOCAL_ADDRESS, BASE_URL).totalItems;
+
+    const follow = {
+      id: `${actorId}#follows/1`,
+      type: 'Follow',
+      actor: actorId,
+      object: `${BASE_URL}/ap/users/${LOCAL_ADDRESS}`
+    };
+    const undo = { id: `${actorId}#undo/1`, type: 'Undo', actor: actorId, object: follow };
+
+    let result = await deliver(activityPub, follow, `${attacker.url}/key`, attackerKeys.privateKey);
+    assert.equal(result.status, 401, 'Follow signed with a key document that names the actor as owner');
+
+    result = await deliver(activityPub, follow, `${attacker.url}/bob#main-key`, attackerKeys.privateKey);
+    assert.equal(result.status, 401, 'Follow signed with a key from a copy of the actor');
+
+    result = await deliver(activityPub, follow, keyId, followerKeys.privateKey, { tamper: true });
+    assert.equal(result.status, 401, 'Follow whose body changed after signing');
+    assert.equal(followerCount(), 0);
+
+    // Signatures must cover the target, host, date and body
+    result = await deliverSignedWith(activityPub, follow, keyId, followerKeys.privateKey, ['date']);
+    assert.equal(result.status, 401, 'Signature without a headers list, which covers only date');
+    result = await deliverSignedWith(activityPub, follow, keyId, followerKeys.privateKey, ['(request-target)', 'host', 'digest']);
+    assert.equal(result.status, 401, 'Signature without date, which could be replayed with a fresh Date');
+    result = await deliverSignedWith(activityPub, follow, keyId, followerKeys.privateKey, ['host', 'date', 'digest']);
+    assert.equal(result.status, 401, 'Signature without (request-target)');
+    result = await deliverSignedWith(activityPub, follow, keyId, followerKeys.privateKey, ['(request-target)', 'date', 'digest']);
+    assert.equal(result.status, 401, 'Signature without host');
+    result = await deliverSignedWith(activityPub, follow, keyId, followerKeys.privateKey, ['(request-target)', 'host', 'date']);
+    assert.equal(result.status, 401, 'Signature without digest for a request with a body');
+    result = await deliverSignedWith(activityPub, follow, keyId, followerKeys.privateKey, ['(request-target)', 'host', 'date', 'digest'], {
+      path: '/ap/users/0x2222222222222222222222222222222222222222/inbox'
+    });
+    assert.equal(result.status, 401, 'Signature made for another inbox');
+    assert.equal(followerCount(), 0);
+
+    // The followed actor must be on this site, not one the follower names
+    const elsewhere = { ...follow, object: `https://elsewhere.example/ap/users/${LOCAL_ADDRESS}` };
+    result = await deliver(activityPub, elsewhere, keyId, followerKeys.privateKey);
+    assert.equal(result.status, 400, 'Follow of this actor on another host');
+    assert.equal(followerCount(), 0);
+
+    result = await deliver(activityPub, follow, keyId, followerKeys.privateKey);
+    assert.equal(result.status, 202, `Follow signed by the actor: ${result.error}`);
+    assert.equal(followerCount(), 1);
+    const accept = follower.received.find(request => request.method === 'POST');
+    assert.ok(accept, 'Accept was delivered to the follower');
+    assert.equal(JSON.parse(accept.body).type, 'Accept');
+
+    result = await deliver(activityPub, undo, `${attacker.url}/key`, attackerKeys.privateKey);
+    assert.equal(result.status, 401, 'Undo(Follow) signed by someone else');
+    assert.equal(followerCount(), 1);
+
+    result = await deliver(activityPub, undo, keyId, followerKeys.privateKey);
+    assert.equal(result.status, 202, `Undo(Follow) signed by the actor: ${result.error}`);
+    assert.equal(followerCount(), 0);
+
+    // Without the allowlist, keys on private hosts are never fetched
+    const guarded = createActivityPub({ store, dataDir, publicUrl: BASE_URL });
+    const requestsBefore = follower.received.length;
+    result = await deliver(guarded, follow, keyId, followerKeys.privateKey);
+    assert.equal(result.status, 401, 'Follow from a loopback actor without the allowlist');
+    assert.equal(follower.received.length, requestsBefore, 'No request reached the loopback host');
+
+    // Without a configured site URL nothing is federated
+    const unconfigured = createActivityPub({ store, dataDir, allowedHosts });
+    result = await deliver(unconfigured, follow, keyId, followerKeys.privateKey);
+    assert.equal(result.status, 503, 'Follow without PUBLIC_URL');
+
+    // Keys are only made for addresses with a profile
+    assert.equal(await activityPub.getActor('0x2222222222222222222222222222222222222222', BASE_URL), null);
+    assert.ok((await activityPub.getActor(LOCAL_ADDRESS, BASE_URL)).publicKey.publicKeyPem);
+
+    console.log('ActivityPub inbox checks passed');
+  } finally {
+    follower.close();
+    attacker.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,132 @@
+// scripts/verify-rpc-pool.mjs
+// Checks RPC failover and quorum reads against three stand-in JSON-RPC
+// nodes on localhost that can be switched to fail, hang, lag behind, rate
+// limit or return wrong logs. Exits non-zero on failure.
+//   node scripts/verify-rpc-pool.mjs
+import assert from 'assert/strict';
+import http from 'http';
+import { createRpcPool } from '../server/rpcPool.js';
+import { logger } from '../server/logger.js';
+
+const HEIGHT = 100;
+const LOGS = [{ blockNumber: '0x5', logIndex: '0x0', data: '0x' }];
+const CONTRACT = '0x1111111111111111111111111111111111111111';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A JSON-RPC node whose behaviour is set by node.mode
+const startNode = async () => {
+  const node = { mode: 'ok', hits: 0 };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      node.hits++;
+      const { id, method } = JSON.parse(body);
+      const reply = (payload) => {
+        res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify({ jsonrpc: '2.0', id, ...payload }));
+      };
+
+      if (node.mode === 'down') return res.writeHead(502).end('Bad Gateway');
+      if (node.mode === 'slow') await sleep(1000);
+      if (node.mode === 'limit') return reply({ error: { code: -32005, message: 'limit exceeded' } });
+
+      switch (method) {
+        case 'eth_chainId': return reply({ result: '0x539' });
+        case 'net_version': return reply({ result: '1337' });
+        case 'eth_blockNumber': return reply({ result: `0x${(node.mode === 'lag' ? HEIGHT - 20 : HEIGHT).toString(16)}` });
+        case 'eth_getLogs': return reply({ result: node.mode === 'lie' ? [] : LOGS });
+        case 'eth_call': return reply({ error: { code: 3, message: 'execution reverted', data: '0x' } });
+        default: return reply({ error: { code: -32601, message: 'Method not found' } });
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  node.url = `http://127.0.0.1:${server.address().port}/`;
+  node.close = () => server.close();
+  return node;
+};
+
+// Waits until check() is true, or fails after a few seconds
+const waitFor = async (check, what) => {
+  for (let i = 0; i < 100; i++) {
+    if (check()) return;
+    await sleep(50);
+  }
+  assert.fail(`Timed out waiting for ${what}`);
+};
+
+const run = async () => {
+  logger.setLevel('error');
+
+  const nodes = await Promise.all([startNode(), startNode(), startNode()]);
+  const setModes = (mode) => nodes.forEach(node => { node.mode = mode; });
+
+  const pool = createRpcPool({ urls: nodes.map(node => node.url), quorum: 2, healthCheckInterval: 200, timeout: 500 });
+  const send = (method, params = []) => pool.provider.send(method, params);
+  const endpoint = (node) => pool.getStatus().endpoints.find(item => item.url === node.url);
+  const activeNode = () => nodes.find(node => node.url === pool.getStatus().active);
+
+  try {
+    await pool.start();
+    assert.equal(pool.getStatus().healthyEndpoints, 3);
+
+    // Failover: the preferred node goes down
+    const failed = activeNode();
+    failed.mode = 'down';
+    assert.equal(parseInt(await send('eth_blockNumber'), 16), HEIGHT);
+    assert.equal(pool.getStatus().failovers, 1, 'The request failed over');
+    await waitFor(() => !endpoint(failed).healthy, 'the failed node to turn unhealthy');
+    assert.notEqual(activeNode(), failed);
+
+    // A node that falls behind is taken out of rotation
+    setModes('ok');
+    const lagging = nodes.find(node => node !== failed);
+    lagging.mode = 'lag';
+    await waitFor(() => endpoint(failed).healthy && !endpoint(lagging).healthy, 'the lagging node to turn unhealthy');
+    assert.equal(endpoint(lagging).lag, 20);
+
+    setModes('ok');
+    await waitFor(() => pool.getStatus().healthyEndpoints === 3, 'every node to recover');
+
+    // Rate limits and timeouts fail over; a revert is the answer and doesn't
+    const first = activeNode();
+    first.mode = 'limit';
+    assert.equal(parseInt(await send('eth_blockNumber'), 16), HEIGHT);
+    assert.equal(pool.getStatus().failovers, 2, 'The rate limited request failed over');
+
+    first.mode = 'slow';
+    const startedAt = Date.now();
+    assert.equal(parseInt(await send('eth_blockNumber'), 16), HEIGHT);
+    assert.ok(Date.now() - startedAt < 1000, 'The hanging node was given up on after the timeout');
+
+    setModes('ok');
+    await waitFor(() => pool.getStatus().healthyEndpoints === 3, 'every node to recover');
+    const failovers = pool.getStatus().failovers;
+    const hits = nodes.map(node => node.hits);
+    await assert.rejects(send('eth_call', [{ to: CONTRACT, data: '0x' }, 'latest']), /execution reverted/);
+    assert.equal(pool.getStatus().failovers, failovers, 'A revert is not retried');
+    assert.equal(nodes.reduce((sum, node, i) => sum + node.hits - hits[i], 0), 1, 'A revert is sent once');
+
+    // Quorum: the preferred node returns no logs, the other two outvote it
+    const liar = activeNode();
+    liar.mode = 'lie';
+    assert.deepEqual(await send('eth_getLogs', [{ address: CONTRACT, fromBlock: '0x0', toBlock: 'latest' }]), LOGS);
+    assert.equal(pool.getStatus().disagreements, 1);
+
+    // Without a second node that agrees, the read fails instead of guessing
+    nodes.find(node => node !== liar).mode = 'down';
+    await assert.rejects(send('eth_getLogs', [{ address: CONTRACT, fromBlock: '0x0', toBlock: 'latest' }]), /did not agree/);
+    assert.equal(pool.getStatus().quorumFailures, 1);
+
+    console.log('RPC pool checks passed');
+  } finally {
+    pool.stop();
+    nodes.forEach(node => node.close());
+  }
+};
+
+run().catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
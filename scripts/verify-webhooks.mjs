@@ -0,0 +1,140 @@
+// scripts/verify-webhooks.mjs
+// Checks webhook delivery against a stand-in receiver on localhost: the
+// HMAC signature, filters, retries, dead letters and redelivery, and that
+// private and metadata addresses and redirects are refused, including a
+// registered URL that later points at a private address. Exits non-zero on
+// failure.
+//   node scripts/verify-webhooks.mjs
+import assert from 'assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createWebhooks, signPayload } from '../server/webhooks.js';
+import { logger } from '../server/logger.js';
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const SENDER = '0x2222222222222222222222222222222222222222';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Answers each POST with the next status from respond(), 202 by default
+const startReceiver = async () => {
+  const received = [];
+  const receiver = { received, respond: () => 202 };
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      const status = receiver.respond(req);
+      res.writeHead(status, status === 302 ? { location: `${receiver.url}/redirected` } : {}).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${server.address().port}`;
+  receiver.close = () => server.close();
+  return receiver;
+};
+
+// Waits until check() is true, or fails after a few seconds
+const waitFor = async (check, what) => {
+  for (let i = 0; i < 100; i++) {
+    if (check()) return;
+    await sleep(50);
+  }
+  assert.fail(`Timed out waiting for ${what}`);
+};
+
+const newMessage = (sender, content) => ({ type: 'newMessage', seq: 1, messageId: 1, sender, content });
+
+const run = async () => {
+  logger.setLevel('error');
+
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-webhooks-'));
+  const receiver = await startReceiver();
+
+  try {
+    // Private destinations, unless allowed
+    const guarded = createWebhooks({ dataDir });
+    for (const url of ['http://169.254.169.254/latest/meta-data', 'http://10.0.0.1/', 'http://[::1]/', receiver.url]) {
+      const result = await guarded.register(OWNER, { url, events: ['newMessage'] });
+      assert.ok(result.error, `${url} is refused`);
+    }
+
+    const webhooks = createWebhooks({
+      dataDir,
+      maxAttempts: 3,
+      retryBaseDelay: 50,
+      allowedHosts: new Set(['127.0.0.1'])
+    });
+
+    const { webhook, error } = await webhooks.register(OWNER, { url: `${receiver.url}/hook`, events: ['newMessage'], senders: [SENDER] });
+    assert.ok(webhook, error);
+
+    // Signed delivery, and the sender filter
+    assert.equal(webhooks.dispatch(newMessage(OWNER, 'not from the sender')), 0);
+    assert.equal(webhooks.dispatch(newMessage(SENDER, 'hello')), 1);
+    await waitFor(() => receiver.received.length === 1, 'the first delivery');
+
+    const [delivery] = receiver.received;
+    const time = Number(delivery.headers['x-crkcrk-signature'].match(/^t=(\d+),/)[1]);
+    assert.equal(delivery.headers['x-crkcrk-signature'], signPayload(webhook.secret, delivery.body, time));
+    assert.equal(delivery.headers['x-crkcrk-event'], 'newMessage');
+    assert.equal(JSON.parse(delivery.body).data.content, 'hello');
+
+    // Two failures, then a success on the last attempt
+    let failures = 2;
+    receiver.respond = () => (failures-- > 0 ? 500 : 202);
+    webhooks.dispatch(newMessage(SENDER, 'retried'));
+    await waitFor(() => receiver.received.length === 4, 'the retries');
+    await waitFor(() => webhooks.getStats().pendingRetries === 0, 'the last attempt');
+    const attempts = webhooks.getDeliveries(OWNER, webhook.id).filter(entry => entry.deliveryId !== JSON.parse(delivery.body).id);
+    assert.deepEqual(attempts.map(entry => entry.success), [true, false, false]);
+
+    // Every attempt fails: the delivery goes to the dead letters
+    receiver.respond = () => 500;
+    webhooks.dispatch(newMessage(SENDER, 'dead'));
+    await waitFor(() => webhooks.getDeadLetters(OWNER, webhook.id).length === 1, 'the dead letter');
+    const [letter] = webhooks.getDeadLetters(OWNER, webhook.id);
+    assert.equal(letter.attempts, 3);
+
+    receiver.respond = () => 202;
+    assert.ok(webhooks.redeliver(OWNER, webhook.id, letter.deliveryId));
+    assert.equal(webhooks.getDeadLetters(OWNER, webhook.id).length, 0);
+    await waitFor(() => receiver.received.at(-1).body.includes('"dead"') && webhooks.getStats().delivered === 3, 'the redelivery');
+
+    // Redirects count as failures and aren't followed
+    receiver.respond = (req) => (req.url === '/hook' ? 302 : 202);
+    const before = receiver.received.length;
+    webhooks.dispatch(newMessage(SENDER, 'redirected'));
+    await waitFor(() => webhooks.getDeliveries(OWNER, webhook.id)[0].status === 302, 'the redirect');
+    assert.ok(receiver.received.slice(before).every(request => request.path === '/hook'), 'The redirect was not followed');
+    await waitFor(() => webhooks.getDeadLetters(OWNER, webhook.id).length === 1, 'the redirected delivery to give up');
+
+    // A registered URL that now points at a private address, like a name
+    // whose DNS answer changed, is refused when connecting
+    const rebound = createWebhooks({ dataDir, maxAttempts: 1 });
+    rebound.load();
+    const requestsBefore = receiver.received.length;
+    assert.equal(rebound.dispatch(newMessage(SENDER, 'rebound')), 1);
+    await waitFor(() => rebound.getDeliveries(OWNER, webhook.id).length === 1, 'the refused delivery');
+    const [refused] = rebound.getDeliveries(OWNER, webhook.id);
+    assert.equal(refused.error, 'Destination is not a public address');
+    assert.equal(refused.status, null);
+    assert.equal(receiver.received.length, requestsBefore, 'No request reached the private address');
+
+    console.log('Webhook checks passed');
+  } finally {
+    receiver.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+};
+
+run()
+  .catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  // Retries of the last delivery may still be waiting
+  .finally(() => process.exit());
@@ -1,5 +1,6 @@
 // server.js
 import express from 'express';
+import crypto from 'crypto';
 import http from 'http';
 import { WebSocketServer } from 'ws';
 import { ethers } from 'ethers';
@@ -9,6 +10,28 @@ import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { createRequire } from 'module';
 import NodeCache from 'node-cache';
+import { createMessageStore } from './server/store.js';
+import { createIndexer } from './server/indexer.js';
+import { createSearch } from './server/search.js';
+import { buildThread, findRootId, collectSubtree } from './server/thread.js';
+import { paginate, parseCursorQuery, wantsCursorPage, encodeCursor } from './server/cursor.js';
+import { safeToNumber, shortAddress, parseTimeParam, parseDuration } from './server/utils.js';
+import { normalizeTag, extractMentions } from './server/text.js';
+import { buildRssFeed, buildAtomFeed, FEED_SIZE } from './server/feed.js';
+import { createActivityPub, ACTIVITY_CONTENT_TYPE } from './server/activitypub.js';
+import { EXPORT_FORMATS, toExportRow } from './server/export.js';
+import { createChannelHub, parseChannel, MAX_SUBSCRIPTIONS } from './server/channels.js';
+import { createSiweAuth } from './server/siwe.js';
+import { createEventLog } from './server/eventLog.js';
+import { createNotifications } from './server/notifications.js';
+import { createEventStream } from './server/sse.js';
+import { createWebhooks } from './server/webhooks.js';
+import { createMetrics, instrumentProvider, METRICS_CONTENT_TYPE } from './server/metrics.js';
+import { createRpcPool } from './server/rpcPool.js';
+import { createContractListeners } from './server/listeners.js';
+import { batchContractReads, MULTICALL3_ADDRESS } from './server/multicall.js';
+import { parseAllowedHosts } from './server/netguard.js';
+import { logger, runWithContext, LOG_LEVELS } from './server/logger.js';
 
 // Setup for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -18,17 +41,80 @@ const require = createRequire(import.meta.url);
 // Load environment variables
 dotenv.config();
 
-// Log environment variables for debugging
-console.log('Environment variables:');
-console.log('CONTRACT_ADDRESS:', process.env.CONTRACT_ADDRESS);
-console.log('RPC_URL:', process.env.RPC_URL);
-console.log('PORT:', process.env.PORT);
+// Logging: error, warn, info (default) or debug. Values of variables that
+// look like credentials are redacted wherever they show up in log lines.
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+if (!logger.setLevel(LOG_LEVEL)) {
+  logger.warn('Unknown LOG_LEVEL, using info', { logLevel: LOG_LEVEL, levels: LOG_LEVELS });
+}
+Object.entries(process.env)
+  .filter(([name]) => /KEY|SECRET|TOKEN|PASSWORD|MNEMONIC/i.test(name))
+  .forEach(([, value]) => logger.addSecret(value));
+
+// `kill -USR2 <pid>` switches debug logging on, and off again
+process.on('SIGUSR2', () => {
+  const level = logger.getLevel() === 'debug' ? (LOG_LEVELS.includes(LOG_LEVEL) ? LOG_LEVEL : 'info') : 'debug';
+  logger.setLevel(level);
+  logger.warn('Log level changed', { logLevel: level });
+});
 
 // Import contract ABI
 const contractABI = require('./contractABI.json');
+const multicallABI = require('./out/IMulticall3.sol/IMulticall3.json').abi;
 const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-const RPC_URL = process.env.RPC_URL;
+// Comma-separated JSON-RPC URLs in order of preference; RPC_URL is used if
+// unset, and ethers' default local node if neither is
+const RPC_URLS = (process.env.RPC_URLS || process.env.RPC_URL || 'http://localhost:8545')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+const RPC_QUORUM = parseInt(process.env.RPC_QUORUM) || 2;
+const RPC_HEALTH_CHECK_INTERVAL = parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL) || 5000;
+const RPC_TIMEOUT = parseInt(process.env.RPC_TIMEOUT) || 10000;
+const RPC_MAX_BLOCK_LAG = parseInt(process.env.RPC_MAX_BLOCK_LAG) || 5;
+// Contract listeners count as stalled after this long without a block from
+// the poller while the chain moves on
+const LISTENER_STALL_TIMEOUT = parseInt(process.env.LISTENER_STALL_TIMEOUT) || 60000;
+const LISTENER_CHECK_INTERVAL = parseInt(process.env.LISTENER_CHECK_INTERVAL) || 15000;
+// Contract reads in the same tick are batched through Multicall3 at this address
+const MULTICALL_ADDRESS = process.env.MULTICALL_ADDRESS || MULTICALL3_ADDRESS;
 const PORT = process.env.PORT || 3000;
+// Public site URL for feed permalinks (default: the URL the request came in on)
+const PUBLIC_URL = process.env.PUBLIC_URL ? process.env.PUBLIC_URL.replace(/\/$/, '') : null;
+// Origins besides PUBLIC_URL that may ask for sign-in messages, e.g. the
+// Vite dev server
+const SIWE_ALLOWED_ORIGINS = (process.env.SIWE_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+// Private hosts that ActivityPub fetches and deliveries may still reach
+const ACTIVITYPUB_ALLOWED_HOSTS = parseAllowedHosts(process.env.ACTIVITYPUB_ALLOWED_HOSTS);
+
+// Indexer configuration
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const INDEXER_START_BLOCK = parseInt(process.env.INDEXER_START_BLOCK) || 0;
+const INDEXER_BATCH_SIZE = parseInt(process.env.INDEXER_BATCH_SIZE) || 2000;
+const INDEXER_POLL_INTERVAL = parseInt(process.env.INDEXER_POLL_INTERVAL) || 5000;
+// Number of recent events kept for reconnecting WebSocket clients
+const EVENT_BUFFER_SIZE = parseInt(process.env.EVENT_BUFFER_SIZE) || 1000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_RETRY_BASE_DELAY = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 10000;
+// Private hosts webhooks may still be registered for and delivered to
+const WEBHOOK_ALLOWED_HOSTS = parseAllowedHosts(process.env.WEBHOOK_ALLOWED_HOSTS);
+
+// Must match PERIOD_SIZE in ReactiveTwitter.sol
+const PERIOD_SIZE = 100;
+
+// Prometheus metrics, served at /metrics
+const metrics = createMetrics();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status code', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+const rpcRequests = metrics.counter('rpc_requests_total', 'JSON-RPC requests by method and contract function', ['method', 'function', 'status']);
+const rpcDuration = metrics.histogram('rpc_request_duration_seconds', 'JSON-RPC request latency by method and contract function', ['method', 'function']);
+const cacheRequests = metrics.counter('cache_requests_total', 'Cache lookups by key prefix and result', ['prefix', 'result']);
+const wsMessagesSent = metrics.counter('websocket_messages_sent_total', 'WebSocket messages sent by type', ['type']);
+const listenerEvents = metrics.counter('listener_events_total', 'Contract events handled by the listeners', ['event']);
+const listenerLag = metrics.gauge('listener_lag_blocks', 'Blocks between the chain head and the last event handled, by event', ['event']);
 
 // Initialize server-side cache
 const cache = new NodeCache({
@@ -36,8 +122,61 @@ const cache = new NodeCache({
   checkperiod: 120 // Check for expired keys every 120 seconds
 });
 
+// Cache keys are one of these followed by the values they depend on.
+// Longer prefixes come first so feed-with-replies isn't counted as feed.
+const CACHE_KEY_PREFIXES = [
+  'feed-with-replies', 'contract-parameters', 'available-periods', 'all-messages',
+  'nickname', 'original', 'profile', 'replies', 'latest', 'period', 'sender', 'feed', 'page'
+];
+
+const cachePrefix = (key) =>
+  CACHE_KEY_PREFIXES.find(prefix => key === prefix || key.startsWith(`${prefix}-`)) || 'other';
+
+// Count hits and misses of every lookup
+const cacheGet = cache.get.bind(cache);
+cache.get = (key) => {
+  const value = cacheGet(key);
+  cacheRequests.inc({ prefix: cachePrefix(key), result: value === undefined ? 'miss' : 'hit' });
+  return value;
+};
+
 // Initialize Express
 const app = express();
+
+// Correlation ID for each request: the caller's X-Request-Id if it sent a
+// usable one, or a new one. It is sent back and added to every line logged
+// while the request is handled, including its RPC calls.
+app.use((req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = Date.now();
+
+  res.set('X-Request-Id', requestId);
+  res.on('finish', () => {
+    logger.debug('Request', {
+      requestId,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  runWithContext({ requestId }, next);
+});
+
+// Time every request. Routes are labeled by their pattern so IDs in URLs
+// don't make a series each; static files and unknown paths are 'other'.
+app.use((req, res, next) => {
+  const endTimer = httpDuration.startTimer();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: req.route ? `${req.baseUrl}${req.route.path}` : 'other' };
+    endTimer(labels);
+    httpRequests.inc({ ...labels, status: res.statusCode });
+  });
+  next();
+});
+
 app.use(cors());
 app.use(express.json());
 
@@ -49,39 +188,158 @@ const server = http.createServer(app);
 
 // Create WebSocket server
 const wss = new WebSocketServer({ server });
-console.log("WebSocket server created and attached to HTTP server");
+logger.debug('WebSocket server created and attached to HTTP server');
 
 // Initialize provider and contract
+let rpcPool = null;
+let multicall = null;
 let provider;
 let contract;
 
 try {
-  provider = new ethers.providers.JsonRpcProvider(RPC_URL);
+  rpcPool = createRpcPool({
+    urls: RPC_URLS,
+    quorum: RPC_QUORUM,
+    healthCheckInterval: RPC_HEALTH_CHECK_INTERVAL,
+    timeout: RPC_TIMEOUT,
+    maxBlockLag: RPC_MAX_BLOCK_LAG
+  });
+  rpcPool.start();
+  provider = rpcPool.provider;
   contract = new ethers.Contract(CONTRACT_ADDRESS, contractABI, provider);
-  console.log("Contract and provider initialized successfully");
+  multicall = batchContractReads(provider, { abi: multicallABI, address: MULTICALL_ADDRESS });
+  instrumentProvider(provider, { contractInterface: contract.interface, requests: rpcRequests, duration: rpcDuration });
+  logger.debug('Contract and provider initialized');
 } catch (error) {
-  console.error("Error initializing provider or contract:", error);
+  logger.error('Error initializing provider or contract', { error });
+}
+
+// Local event index that backs the REST API
+const store = createMessageStore({ dataDir: DATA_DIR });
+store.load();
+
+// Full-text search over the store
+const search = createSearch({ store });
+
+// Fediverse bridge: profiles as ActivityPub actors
+const activityPub = createActivityPub({
+  store,
+  dataDir: DATA_DIR,
+  publicUrl: PUBLIC_URL,
+  allowedHosts: ACTIVITYPUB_ALLOWED_HOSTS
+});
+activityPub.load();
+
+// Reply notification rules, thread mutes and the offline queue
+const notifications = createNotifications({ store, dataDir: DATA_DIR });
+notifications.load();
+
+// Outgoing webhooks for contract events
+const webhooks = createWebhooks({
+  dataDir: DATA_DIR,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseDelay: WEBHOOK_RETRY_BASE_DELAY,
+  allowedHosts: WEBHOOK_ALLOWED_HOSTS
+});
+webhooks.load();
+
+let indexer = null;
+
+if (contract) {
+  indexer = createIndexer({
+    provider,
+    contract,
+    store,
+    startBlock: INDEXER_START_BLOCK,
+    batchSize: INDEXER_BATCH_SIZE,
+    pollInterval: INDEXER_POLL_INTERVAL
+  });
+  indexer.start();
 }
 
+// Routes read from the store once the initial backfill has finished
+const storeReady = () => !!indexer && indexer.isReady();
+
+// Bring the store up to date before reacting to a live event
+const syncIndex = () => (indexer ? indexer.sync() : Promise.resolve());
+
 // Store active WebSocket connections
 const connectedClients = new Map();
 
-// Initialize message ID mapping for efficient lookups
-const messageIdMap = new Map();
+// WebSocket channel subscriptions
+const channels = createChannelHub();
 
-// Helper function to safely convert BigNumber to Number
-const safeToNumber = (value) => {
-  if (value === null || value === undefined) return 0;
-  if (typeof value === 'number') return value;
-  if (typeof value === 'string') return Number(value);
-  if (value && typeof value.toNumber === 'function') {
-    try {
-      return value.toNumber();
-    } catch (e) {
-      return Number(value.toString());
+// Sequence numbers and replay buffer for WebSocket events
+const eventLog = createEventLog({ size: EVENT_BUFFER_SIZE });
+
+// Server-Sent Events streams of the same channel events
+const eventStream = createEventStream({ eventLog });
+
+// Sign-In with Ethereum sessions, for WebSocket registration and REST calls
+let chainIdPromise = null;
+const siweAuth = createSiweAuth({
+  getChainId: () => {
+    if (!chainIdPromise) {
+      chainIdPromise = provider
+        ? provider.getNetwork().then(network => network.chainId).catch(error => {
+          chainIdPromise = null;
+          throw error;
+        })
+        : Promise.resolve(1);
     }
+    return chainIdPromise;
   }
-  return Number(value);
+});
+
+// Initialize message ID mapping for efficient lookups
+const messageIdMap = new Map();
+
+// Format a stored message record for API responses
+const formatStoredMessage = (record) => ({
+  messageId: record.messageId,
+  displayId: record.messageId.toString(),
+  sender: record.sender,
+  nickname: record.nickname || shortAddress(record.sender),
+  content: record.content || '',
+  timestamp: record.timestamp,
+  isReply: record.replyToMessageId !== 0,
+  replyToMessageId: record.replyToMessageId,
+  isDeleted: record.isDeleted,
+  mentions: record.mentions || []
+});
+
+// Short preview of the message a stored reply refers to
+const getStoredOriginalInfo = (replyToMessageId) => {
+  const origMsg = store.getMessage(replyToMessageId);
+  if (!origMsg) return null;
+
+  return {
+    messageId: replyToMessageId,
+    sender: origMsg.sender,
+    nickname: origMsg.nickname || shortAddress(origMsg.sender),
+    content: origMsg.content ? (origMsg.content.slice(0, 30) + (origMsg.content.length > 30 ? '...' : '')) : ''
+  };
+};
+
+// Format a stored message with reply info, as the feed routes return it
+const formatStoredFeedMessage = (record) => ({
+  ...formatStoredMessage(record),
+  originalMessage: record.replyToMessageId !== 0 ? getStoredOriginalInfo(record.replyToMessageId) : null,
+  replyCount: record.replyToMessageId === 0 ? store.getReplies(record.messageId).length : 0
+});
+
+// Feed format plus deletion details, for lists that can include deleted messages
+const formatListedMessage = (record) => ({
+  ...formatStoredFeedMessage(record),
+  deletionReason: record.deletionReason,
+  deletedAt: record.deletedAt
+});
+
+// Feed item for a message in live events, so clients can insert it without
+// refetching. Null until the store has it.
+const getFeedItem = (messageId) => {
+  const record = storeReady() ? store.getMessage(safeToNumber(messageId)) : null;
+  return record ? formatStoredFeedMessage(record) : null;
 };
 
 // Helper function to format messages with robust error handling
@@ -101,7 +359,7 @@ const formatMessage = (msg) => {
       isDeleted: !!msg.isDeleted
     };
   } catch (error) {
-    console.error('Error in formatMessage:', error, 'For message:', msg);
+    logger.error('Error in formatMessage', { error, messageId: msg?.messageId?.toString() });
     return null;
   }
 };
@@ -110,7 +368,7 @@ const formatMessage = (msg) => {
 const findMessageId = async (message) => {
   try {
     if (!message || !message.sender || !message.timestamp) {
-      console.warn('Invalid message passed to findMessageId:', message);
+      logger.warn('Invalid message passed to findMessageId', { message });
       return message?.timestamp || Date.now();
     }
   
@@ -127,7 +385,7 @@ const findMessageId = async (message) => {
     // Otherwise, search for it in the contract
     try {
       if (!contract) {
-        console.warn('Contract not available for findMessageId');
+        logger.warn('Contract not available for findMessageId');
         return timestamp;
       }
       
@@ -152,7 +410,7 @@ const findMessageId = async (message) => {
             return i;
           }
         } catch (err) {
-          console.warn(`Error checking message ${i} during search:`, err.message);
+          logger.debug('Error checking message during search', { messageId: i, error: err.message });
           continue;
         }
       }
@@ -160,11 +418,11 @@ const findMessageId = async (message) => {
       // If not found, use timestamp as fallback
       return timestamp;
     } catch (error) {
-      console.error('Error finding message ID:', error);
+      logger.error('Error finding message ID', { error });
       return timestamp; // Fallback to timestamp
     }
   } catch (error) {
-    console.error('Unexpected error in findMessageId:', error);
+    logger.error('Unexpected error in findMessageId', { error });
     return message?.timestamp || Date.now();
   }
 };
@@ -175,7 +433,7 @@ const asyncHandler = (fn) => {
     try {
       await fn(req, res, next);
     } catch (error) {
-      console.error(`API Error in ${req.path}:`, error);
+      logger.error('API error', { path: req.path, error });
       res.status(500).json({ 
         error: 'Server error', 
         message: error.message || 'Unknown error'
@@ -184,6 +442,220 @@ const asyncHandler = (fn) => {
   };
 };
 
+// Resolve a nickname to an address: store first, then cache, then contract
+const resolveNickname = async (nickname) => {
+  const storedAddress = storeReady() ? store.getAddressByNickname(nickname) : null;
+  if (storedAddress) {
+    return storedAddress;
+  }
+
+  const cacheKey = `nickname-${nickname}`;
+  const cachedData = cache.get(cacheKey);
+
+  if (cachedData) {
+    logger.debug('Cache hit', { cacheKey });
+    return cachedData.address;
+  }
+
+  if (!contract) {
+    throw new Error('Contract not initialized');
+  }
+
+  const address = await contract.getAddressByNickname(nickname);
+
+  if (address === ethers.constants.AddressZero) {
+    return null;
+  }
+
+  // Cache for 5 minutes
+  cache.set(cacheKey, { address }, 300);
+
+  return address;
+};
+
+// Reply with one cursor page of store records (sorted newest first).
+// Lists take ?before=<cursor> for older and ?after=<cursor> for newer
+// messages; cursors come from the previous response and are opaque.
+const sendCursorPage = (req, res, records, format = formatStoredFeedMessage, extra = {}) => {
+  const params = parseCursorQuery(req.query);
+  if (params.error) {
+    return res.status(400).json({ error: params.error });
+  }
+
+  const { items, hasMore, cursors } = paginate(records, params);
+
+  res.json({
+    messages: items.map(format),
+    hasMore,
+    cursors,
+    ...extra,
+    timestamp: Date.now()
+  });
+};
+
+// Origin that goes into a sign-in message: the app the user is on, which
+// the wallet shows and checks. Only PUBLIC_URL (or the server's own URL if
+// it isn't set) and SIWE_ALLOWED_ORIGINS are accepted, so other sites can't
+// have a user sign a message for their domain and trade it for a session
+// here. Clients without an Origin header get the server's own URL.
+// Returns null for any other origin.
+const getSignInOrigin = (originHeader, req) => {
+  const ownOrigin = PUBLIC_URL ? new URL(PUBLIC_URL).origin : `${req.protocol || 'http'}://${req.headers.host}`;
+  if (!originHeader) return ownOrigin;
+
+  let origin;
+  try {
+    origin = new URL(originHeader).origin;
+  } catch (error) {
+    return null;
+  }
+  return origin === ownOrigin || SIWE_ALLOWED_ORIGINS.includes(origin) ? origin : null;
+};
+
+// Bearer token of a request, from the Authorization header
+const getBearerToken = (req) => {
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+// Middleware for routes that need a signed-in address; sets req.session
+const requireSession = (req, res, next) => {
+  const session = siweAuth.getSession(getBearerToken(req));
+  if (!session) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'Sign in with your wallet first' });
+  }
+
+  req.session = session;
+  next();
+};
+
+// Issue a sign-in message for an address
+app.post('/api/auth/nonce', asyncHandler(async (req, res) => {
+  const { address } = req.body || {};
+
+  if (!ethers.utils.isAddress(address || '')) {
+    return res.status(400).json({ error: 'Invalid address format' });
+  }
+
+  const origin = getSignInOrigin(req.get('origin'), req);
+  if (!origin) {
+    return res.status(403).json({ error: 'Forbidden', message: 'Sign-in is not allowed from this origin' });
+  }
+
+  const challenge = await siweAuth.createChallenge({ address, origin });
+
+  res.json({ ...challenge, timestamp: Date.now() });
+}));
+
+// Exchange a signed sign-in message for a session token
+app.post('/api/auth/verify', asyncHandler(async (req, res) => {
+  const { message, signature } = req.body || {};
+
+  if (typeof message !== 'string' || typeof signature !== 'string') {
+    return res.status(400).json({ error: 'message and signature are required' });
+  }
+
+  const result = siweAuth.verify(message, signature);
+  if (result.error) {
+    return res.status(401).json({ error: 'Unauthorized', message: result.error });
+  }
+
+  logger.debug('Signed in', { address: result.address });
+  res.json({ ...result, timestamp: Date.now() });
+}));
+
+// Current session
+app.get('/api/auth/session', requireSession, (req, res) => {
+  res.json({ address: req.session.address, expiresAt: req.session.expiresAt });
+});
+
+// Sign out
+app.delete('/api/auth/session', requireSession, (req, res) => {
+  siweAuth.revoke(getBearerToken(req));
+  res.json({ success: true });
+});
+
+// Threads the signed-in address gets no reply notifications for
+app.get('/api/notifications/mutes', requireSession, (req, res) => {
+  res.json({ mutes: notifications.getMutes(req.session.address), timestamp: Date.now() });
+});
+
+// Mute the thread a message belongs to
+app.put('/api/notifications/mutes/:messageId', requireSession, (req, res) => {
+  const messageId = parseInt(req.params.messageId);
+  if (isNaN(messageId) || messageId < 1) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  const rootId = notifications.mute(req.session.address, messageId);
+  if (rootId === null) {
+    return res.status(400).json({ error: 'Too many muted threads' });
+  }
+
+  res.json({ success: true, rootId, mutes: notifications.getMutes(req.session.address) });
+});
+
+// Unmute the thread a message belongs to
+app.delete('/api/notifications/mutes/:messageId', requireSession, (req, res) => {
+  const messageId = parseInt(req.params.messageId);
+  if (isNaN(messageId) || messageId < 1) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  const rootId = notifications.unmute(req.session.address, messageId);
+  res.json({ success: true, rootId, mutes: notifications.getMutes(req.session.address) });
+});
+
+// Register a webhook for the signed-in address. The response carries the
+// secret that signs deliveries; it isn't shown again.
+app.post('/api/webhooks', requireSession, asyncHandler(async (req, res) => {
+  const result = await webhooks.register(req.session.address, req.body || {});
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+
+  logger.info('Webhook registered', { webhookId: result.webhook.id, owner: req.session.address, url: result.webhook.url });
+  res.status(201).json({ webhook: result.webhook, timestamp: Date.now() });
+}));
+
+// Webhooks of the signed-in address
+app.get('/api/webhooks', requireSession, (req, res) => {
+  res.json({ webhooks: webhooks.list(req.session.address), timestamp: Date.now() });
+});
+
+app.delete('/api/webhooks/:id', requireSession, (req, res) => {
+  if (!webhooks.remove(req.session.address, req.params.id)) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ success: true });
+});
+
+// Recent delivery attempts of a webhook, newest first
+app.get('/api/webhooks/:id/deliveries', requireSession, (req, res) => {
+  const deliveries = webhooks.getDeliveries(req.session.address, req.params.id);
+  if (!deliveries) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ deliveries, timestamp: Date.now() });
+});
+
+// Deliveries that failed every attempt
+app.get('/api/webhooks/:id/dead-letters', requireSession, (req, res) => {
+  const deadLetters = webhooks.getDeadLetters(req.session.address, req.params.id);
+  if (!deadLetters) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+  res.json({ deadLetters, timestamp: Date.now() });
+});
+
+// Deliver a dead letter again
+app.post('/api/webhooks/:id/dead-letters/:deliveryId/redeliver', requireSession, (req, res) => {
+  if (!webhooks.redeliver(req.session.address, req.params.id, req.params.deliveryId)) {
+    return res.status(404).json({ error: 'Dead letter not found' });
+  }
+  res.status(202).json({ success: true });
+});
+
 // Health check endpoint
 app.get('/health', asyncHandler(async (req, res) => {
   res.json({
@@ -192,10 +664,53 @@ app.get('/health', asyncHandler(async (req, res) => {
     timestamp: Date.now(),
     connections: wss.clients.size,
     cacheSize: cache.keys().length,
-    contractConnected: !!contract
+    contractConnected: !!contract,
+    rpc: rpcPool ? rpcPool.getStatus() : null,
+    multicall: multicall ? multicall.getStats() : null,
+    listeners: contractListeners ? contractListeners.getStatus() : null,
+    indexer: indexer ? indexer.getStatus() : null,
+    events: eventLog.getStats(),
+    eventStreams: eventStream.getStats(),
+    webhooks: webhooks.getStats(),
+    notifications: notifications.getStats()
   });
 }));
 
+// Gauges read from the current state at each scrape
+const websocketConnections = metrics.gauge('websocket_connections', 'Open WebSocket connections');
+const websocketRegistered = metrics.gauge('websocket_registered_clients', 'WebSocket connections registered for an address');
+const eventStreamClients = metrics.gauge('event_stream_clients', 'Open Server-Sent Events streams');
+const cacheKeys = metrics.gauge('cache_keys', 'Keys in the server cache');
+const indexerLag = metrics.gauge('indexer_lag_blocks', 'Blocks between the chain head and the last indexed block');
+const uptimeSeconds = metrics.gauge('process_uptime_seconds', 'Seconds since the server started');
+const residentMemory = metrics.gauge('process_resident_memory_bytes', 'Resident memory of the server process');
+const rpcEndpointHealthy = metrics.gauge('rpc_endpoint_healthy', 'Whether a JSON-RPC endpoint passes its health checks', ['endpoint']);
+const rpcEndpointLag = metrics.gauge('rpc_endpoint_lag_blocks', 'Blocks a JSON-RPC endpoint is behind the best one', ['endpoint']);
+
+metrics.addCollector(() => {
+  websocketConnections.set({}, wss.clients.size);
+  websocketRegistered.set({}, connectedClients.size);
+  eventStreamClients.set({}, eventStream.getStats().clients);
+  cacheKeys.set({}, cache.keys().length);
+  uptimeSeconds.set({}, process.uptime());
+  residentMemory.set({}, process.memoryUsage().rss);
+
+  const lag = indexer ? indexer.getStatus().lag : null;
+  if (lag !== null) indexerLag.set({}, lag);
+
+  if (rpcPool) {
+    rpcPool.getStatus().endpoints.forEach(endpoint => {
+      rpcEndpointHealthy.set({ endpoint: endpoint.url }, endpoint.healthy ? 1 : 0);
+      if (endpoint.lag !== null) rpcEndpointLag.set({ endpoint: endpoint.url }, endpoint.lag);
+    });
+  }
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', asyncHandler(async (req, res) => {
+  res.type(METRICS_CONTENT_TYPE).send(await metrics.render());
+}));
+
 // Endpoint for getting all messages with pagination
 app.get('/api/messages/all', asyncHandler(async (req, res) => {
   // Get parameters from request
@@ -204,14 +719,42 @@ app.get('/api/messages/all', asyncHandler(async (req, res) => {
   const pageSize = parseInt(req.query.pageSize) || 100;
   const showDeleted = req.query.showDeleted === 'true';
 
-  console.log(`Request for all messages: limit=${limit}, page=${page}, pageSize=${pageSize}, showDeleted=${showDeleted}`);
+  logger.debug('Request for all messages', { limit, page, pageSize, showDeleted });
+
+  if (storeReady() && wantsCursorPage(req.query)) {
+    const records = store.getAllMessages()
+      .filter(msg => showDeleted || !msg.isDeleted)
+      .reverse();
+    return sendCursorPage(req, res, records, formatStoredMessage);
+  }
+
+  if (storeReady()) {
+    const messageCount = store.getMessageCount();
+    const start = Math.max(1, messageCount - limit - (page * pageSize));
+    const end = Math.min(messageCount, start + pageSize);
+
+    const messages = store.getMessagesInRange(start, end)
+      .filter(msg => showDeleted || !msg.isDeleted)
+      .map(formatStoredMessage);
+
+    return res.json({
+      messages,
+      totalCount: messageCount,
+      hasMore: start > 1,
+      page,
+      pageSize,
+      first: start,
+      last: end,
+      timestamp: Date.now()
+    });
+  }
 
   // Check cache
   const cacheKey = `all-messages-${limit}-${page}-${pageSize}-${showDeleted}`;
   const cachedData = cache.get(cacheKey);
 
   if (cachedData) {
-    console.log(`Cache hit for ${cacheKey}`);
+    logger.debug('Cache hit', { cacheKey });
     return res.json(cachedData);
   }
 
@@ -219,18 +762,18 @@ app.get('/api/messages/all', asyncHandler(async (req, res) => {
     throw new Error('Contract not initialized');
   }
 
-  console.log(`Cache miss for ${cacheKey}, fetching from contract...`);
+  logger.debug('Cache miss, fetching from contract', { cacheKey });
 
   // Get total message count from contract
   const count = await contract.getMessageCount();
   const messageCount = safeToNumber(count);
-  console.log(`Total message count in contract: ${messageCount}`);
+  logger.debug('Total message count in contract', { messageCount });
 
   // Calculate boundaries for pagination
   const start = Math.max(1, messageCount - limit - (page * pageSize));
   const end = Math.min(messageCount, start + pageSize);
 
-  console.log(`Retrieving messages from ID ${start} to ${end}`);
+  logger.debug('Retrieving messages', { start, end });
 
   // Get messages in the specified range
   const messagePromises = [];
@@ -242,7 +785,7 @@ app.get('/api/messages/all', asyncHandler(async (req, res) => {
           messageId: i
         }))
         .catch(err => {
-          console.error(`Error fetching message ID ${i}: ${err.message}`);
+          logger.warn('Error fetching message', { messageId: i, error: err.message });
           return null;
         })
     );
@@ -288,24 +831,116 @@ app.get('/api/messages/all', asyncHandler(async (req, res) => {
   // Cache result for 1 minute
   cache.set(cacheKey, result, 60);
 
-  console.log(`Returning ${messages.length} messages`);
+  logger.debug('Returning messages', { count: messages.length });
   res.json(result);
 }));
 
-// Endpoint for feed with replies
+// Cursor-paged feed with replies, newest first.
+// ?before=<cursor> loads older messages, ?after=<cursor> newer ones.
+app.get('/api/messages/feedWithReplies', asyncHandler(async (req, res) => {
+  if (storeReady()) {
+    return sendCursorPage(req, res, store.getActiveMessages());
+  }
+
+  if (!contract) {
+    throw new Error('Contract not initialized');
+  }
+
+  const params = parseCursorQuery(req.query);
+  if (params.error) {
+    return res.status(400).json({ error: params.error });
+  }
+
+  // Until the index is ready, walk message IDs on the contract. Deleted
+  // messages make pages shorter, but IDs never shift between requests.
+  const messageCount = safeToNumber(await contract.getMessageCount());
+  const ids = [];
+
+  if (params.after !== null) {
+    for (let id = params.after + 1; id < messageCount && ids.length < params.limit; id++) ids.push(id);
+  } else {
+    const from = params.before !== null ? Math.min(params.before, messageCount) : messageCount;
+    for (let id = from - 1; id >= 1 && ids.length < params.limit; id--) ids.push(id);
+  }
+
+  const messages = await Promise.all(ids.map(id =>
+    contract.getMessage(id)
+      .then(msg => ({ ...msg, messageId: id }))
+      .catch(error => {
+        logger.warn('Error fetching message', { messageId: id, error });
+        return null;
+      })
+  ));
+
+  const processedMessages = [];
+  for (const msg of messages) {
+    if (!msg || msg.sender === ethers.constants.AddressZero || msg.isDeleted) continue;
+
+    const formatted = formatMessage(msg);
+    if (!formatted) continue;
+
+    formatted.messageId = msg.messageId;
+    formatted.displayId = msg.messageId.toString();
+    formatted.replyCount = 0;
+    formatted.originalMessage = null;
+    processedMessages.push(formatted);
+  }
+  processedMessages.sort((a, b) => b.messageId - a.messageId);
+
+  const lowestId = ids.length > 0 ? Math.min(...ids) : params.before;
+  const highestId = ids.length > 0 ? Math.max(...ids) : params.after;
+
+  res.json({
+    messages: processedMessages,
+    hasMore: params.after !== null ? highestId < messageCount - 1 : lowestId > 1,
+    cursors: {
+      before: lowestId !== null ? encodeCursor(lowestId) : null,
+      after: highestId !== null ? encodeCursor(highestId) : null
+    },
+    timestamp: Date.now()
+  });
+}));
+
+// Endpoint for feed with replies (page numbers; prefer the cursor route above)
 app.get('/api/messages/feedWithReplies/:page/:pageSize', asyncHandler(async (req, res) => {
   const { page, pageSize } = req.params;
   const numPage = parseInt(page);
   const numPageSize = parseInt(pageSize);
 
-  console.log(`Fetching feed with replies, page ${numPage}, size ${numPageSize}`);
+  logger.debug('Fetching feed with replies', { page: numPage, pageSize: numPageSize });
+
+  if (storeReady() && wantsCursorPage(req.query)) {
+    return sendCursorPage(req, res, store.getActiveMessages());
+  }
+
+  if (storeReady()) {
+    const messageCount = store.getMessageCount();
+    const start = Math.max(1, messageCount - numPageSize - (numPage * numPageSize));
+    const end = Math.min(messageCount, start + numPageSize);
+
+    const processedMessages = store.getMessagesInRange(start, end)
+      .filter(msg => !msg.isDeleted)
+      .map(formatStoredFeedMessage)
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    return res.json({
+      messages: processedMessages,
+      hasMore: start > 1,
+      timestamp: Date.now(),
+      stats: {
+        total: processedMessages.length,
+        replies: processedMessages.filter(m => m.isReply).length,
+        mainMessages: processedMessages.filter(m => !m.isReply).length
+      }
+    });
+  }
 
   // Check cache
   const cacheKey = `feed-with-replies-${numPage}-${numPageSize}`;
   const cachedData = cache.get(cacheKey);
 
   if (cachedData) {
-    console.log(`Cache hit for ${cacheKey}`);
+    logger.debug('Cache hit', { cacheKey });
     return res.json(cachedData);
   }
 
@@ -321,7 +956,7 @@ app.get('/api/messages/feedWithReplies/:page/:pageSize', asyncHandler(async (req
   const start = Math.max(1, messageCount - numPageSize - (numPage * numPageSize));
   const end = Math.min(messageCount, start + numPageSize);
 
-  console.log(`Fetching messages with IDs from ${start} to ${end}`);
+  logger.debug('Fetching messages', { start, end });
 
   // Get messages directly by ID
   const messagePromises = [];
@@ -333,7 +968,7 @@ app.get('/api/messages/feedWithReplies/:page/:pageSize', asyncHandler(async (req
           messageId: i  // Add ID, as it's not stored in the structure
         }))
         .catch(err => {
-          console.warn(`Error fetching message ${i}:`, err.message);
+          logger.warn('Error fetching message', { messageId: i, error: err.message });
           return null;
         })
     );
@@ -350,31 +985,48 @@ app.get('/api/messages/feedWithReplies/:page/:pageSize', asyncHandler(async (req
     }
   });
 
+  const visibleMessages = rawMessages
+    .filter(msg => msg && !msg.isDeleted && msg.sender !== ethers.constants.AddressZero);
+
+  // Reply counts of main messages and originals of replies outside this
+  // page, requested together so they are batched into few RPC calls
+  const replyCounts = new Map();
+  const originalMessages = new Map();
+
+  await Promise.all(visibleMessages.map(msg => {
+    const replyToMessageId = safeToNumber(msg.replyToMessageId);
+
+    if (replyToMessageId === 0) {
+      return contract.getRepliesForMessage(msg.messageId)
+        .then(replies => {
+          // Count only non-deleted replies
+          replyCounts.set(msg.messageId, replies.filter(r => r && !r.isDeleted).length);
+        })
+        .catch(error => {
+          logger.warn('Error getting reply count', { messageId: msg.messageId, error });
+        });
+    }
+
+    if (messageMap.has(replyToMessageId) || originalMessages.has(replyToMessageId)) {
+      return null;
+    }
+
+    const request = contract.getMessage(replyToMessageId).catch(err => {
+      logger.debug('Could not fetch original message for reply', { error: err.message });
+      return null;
+    });
+    originalMessages.set(replyToMessageId, request);
+    return request;
+  }));
+
   // Process results
   const processedMessages = [];
   
-  for (const msg of rawMessages) {
-    if (!msg || msg.isDeleted || msg.sender === ethers.constants.AddressZero) {
-      continue;
-    }
-    
+  for (const msg of visibleMessages) {
     try {
       const replyToMessageId = safeToNumber(msg.replyToMessageId);
       let originalMessageInfo = null;
-      let replyCount = 0;
-
-      // If this is a main message (not a reply), count the number of replies
-      if (replyToMessageId === 0) {
-        try {
-          // Get replies for this message
-          const replies = await contract.getRepliesForMessage(msg.messageId);
-          // Count only non-deleted replies
-          replyCount = replies.filter(r => r && !r.isDeleted).length;
-          console.log(`Message ID ${msg.messageId} has ${replyCount} replies`);
-        } catch (error) {
-          console.error(`Error getting reply count for message ${msg.messageId}:`, error);
-        }
-      }
+      const replyCount = replyCounts.get(msg.messageId) || 0;
 
       // If this is a reply, add information about the original message
       if (replyToMessageId !== 0) {
@@ -388,19 +1040,15 @@ app.get('/api/messages/feedWithReplies/:page/:pageSize', asyncHandler(async (req
             content: origMsg.content ? (origMsg.content.slice(0, 30) + (origMsg.content.length > 30 ? '...' : '')) : ''
           };
         } else {
-          // If not in map, try to get directly
-          try {
-            const origMsg = await contract.getMessage(replyToMessageId);
-            if (origMsg && origMsg.sender !== ethers.constants.AddressZero) {
-              originalMessageInfo = {
-                messageId: replyToMessageId,
-                sender: origMsg.sender,
-                nickname: origMsg.nickname || `${origMsg.sender.slice(0, 6)}...${origMsg.sender.slice(-4)}`,
-                content: origMsg.content ? (origMsg.content.slice(0, 30) + (origMsg.content.length > 30 ? '...' : '')) : ''
-              };
-            }
-          } catch (err) {
-            console.log(`Couldn't fetch original message for reply: ${err.message}`);
+          // If not in map, use the one fetched above
+          const origMsg = await originalMessages.get(replyToMessageId);
+          if (origMsg && origMsg.sender !== ethers.constants.AddressZero) {
+            originalMessageInfo = {
+              messageId: replyToMessageId,
+              sender: origMsg.sender,
+              nickname: origMsg.nickname || `${origMsg.sender.slice(0, 6)}...${origMsg.sender.slice(-4)}`,
+              content: origMsg.content ? (origMsg.content.slice(0, 30) + (origMsg.content.length > 30 ? '...' : '')) : ''
+            };
           }
         }
       }
@@ -418,7 +1066,7 @@ app.get('/api/messages/feedWithReplies/:page/:pageSize', asyncHandler(async (req
         replyCount: replyCount // Add replyCount field
       });
     } catch (msgError) {
-      console.error(`Error processing message ${msg?.messageId}:`, msgError);
+      logger.error('Error processing message', { messageId: msg?.messageId, error: msgError });
       // Skip this message and continue with others
     }
   }
@@ -433,7 +1081,7 @@ app.get('/api/messages/feedWithReplies/:page/:pageSize', asyncHandler(async (req
     mainMessages: processedMessages.filter(m => !m.isReply).length
   };
 
-  console.log('Message stats:', stats);
+  logger.debug('Message stats', stats);
 
   // Format response
   const result = {
@@ -451,7 +1099,7 @@ app.get('/api/messages/feedWithReplies/:page/:pageSize', asyncHandler(async (req
 
 // Debug endpoint for getting all messages without pagination
 app.get('/api/debug/allmsgs', asyncHandler(async (req, res) => {
-  console.log('Debug: Fetching all messages');
+  logger.debug('Fetching all messages');
 
   if (!contract) {
     throw new Error('Contract not initialized');
@@ -460,14 +1108,14 @@ app.get('/api/debug/allmsgs', asyncHandler(async (req, res) => {
   // Get total message count
   const count = await contract.getMessageCount();
   const messageCount = safeToNumber(count);
-  console.log(`Total message count: ${messageCount}`);
+  logger.debug('Total message count', { messageCount });
 
   // Create array for results
   const results = [];
 
   // Get the last 100 messages (or all, if fewer)
   const fetchLimit = Math.min(messageCount - 1, 100);
-  console.log(`Will fetch the last ${fetchLimit} messages`);
+  logger.debug('Fetching the last messages', { fetchLimit });
 
   for (let i = messageCount - 1; i > messageCount - fetchLimit - 1; i--) {
     try {
@@ -485,7 +1133,7 @@ app.get('/api/debug/allmsgs', asyncHandler(async (req, res) => {
         });
       }
     } catch (err) {
-      console.log(`Error fetching message ${i}: ${err.message}`);
+      logger.warn('Error fetching message', { messageId: i, error: err.message });
     }
   }
 
@@ -524,7 +1172,7 @@ app.get('/api/debug/message-ids', asyncHandler(async (req, res) => {
         });
       }
     } catch (err) {
-      console.log(`Error checking message ${i}: ${err.message}`);
+      logger.warn('Error checking message', { messageId: i, error: err.message });
     }
   }
 
@@ -539,7 +1187,7 @@ app.get('/api/debug/message-ids', asyncHandler(async (req, res) => {
 app.get('/api/debug/message/:id', asyncHandler(async (req, res) => {
   const { id } = req.params;
   const numericId = parseInt(id);
-  console.log(`Debug: Fetching message with ID ${numericId}`);
+  logger.debug('Fetching message', { messageId: numericId });
 
   if (!contract) {
     throw new Error('Contract not initialized');
@@ -564,14 +1212,30 @@ app.get('/api/messages/feed/:page/:pageSize', asyncHandler(async (req, res) => {
   const numPage = parseInt(page);
   const numPageSize = parseInt(pageSize);
 
-  console.log(`Fetching feed, page ${numPage}, size ${numPageSize}`);
+  logger.debug('Fetching feed', { page: numPage, pageSize: numPageSize });
+
+  if (storeReady() && wantsCursorPage(req.query)) {
+    return sendCursorPage(req, res, store.getActiveTopLevelMessages());
+  }
+
+  if (storeReady()) {
+    const messages = store.getActiveTopLevelMessages()
+      .slice(numPage * numPageSize, (numPage + 1) * numPageSize)
+      .map(formatStoredFeedMessage);
+
+    return res.json({
+      messages,
+      hasMore: messages.length === numPageSize,
+      timestamp: Date.now()
+    });
+  }
 
   // Check cache
   const cacheKey = `feed-${numPage}-${numPageSize}`;
   const cachedData = cache.get(cacheKey);
 
   if (cachedData) {
-    console.log(`Cache hit for ${cacheKey}`);
+    logger.debug('Cache hit', { cacheKey });
     return res.json(cachedData);
   }
 
@@ -617,7 +1281,7 @@ app.get('/api/messages/feed/:page/:pageSize', asyncHandler(async (req, res) => {
           replyCount = replies ? replies.filter(r => r && !r.isDeleted).length : 0;
         }
       } catch (error) {
-        console.error(`Error getting reply count for message ${messageId}:`, error);
+        logger.warn('Error getting reply count', { messageId, error });
       }
 
       // Format message data
@@ -634,7 +1298,7 @@ app.get('/api/messages/feed/:page/:pageSize', asyncHandler(async (req, res) => {
         originalId: safeToNumber(msg.replyToMessageId) // For reference to original message
       });
     } catch (msgError) {
-      console.error(`Error processing message:`, msgError);
+      logger.error('Error processing message', { error: msgError });
       // Skip this message
     }
   }
@@ -660,7 +1324,17 @@ app.get('/api/messages/:messageId/replies', asyncHandler(async (req, res) => {
   const { messageId } = req.params;
   const numericId = parseInt(messageId);
 
-  console.log(`Request for replies to message ID/timestamp: ${messageId}`);
+  logger.debug('Request for replies', { messageId });
+
+  if (storeReady()) {
+    // Older clients may still pass a timestamp instead of an ID
+    const parent = store.getMessage(numericId) || store.findMessageByTimestamp(numericId);
+    if (!parent) {
+      return res.json([]);
+    }
+
+    return res.json(store.getReplies(parent.messageId).map(formatStoredMessage));
+  }
 
   if (!contract) {
     throw new Error('Contract not initialized');
@@ -672,10 +1346,10 @@ app.get('/api/messages/:messageId/replies', asyncHandler(async (req, res) => {
   // If ID is less than 1000, it's likely a real message ID
   if (numericId < 1000) {
     realMessageId = numericId;
-    console.log(`Using direct messageId: ${realMessageId}`);
+    logger.debug('Using direct message ID', { messageId: realMessageId });
   } else {
     // This is a timestamp, need to find the corresponding message
-    console.log(`This appears to be a timestamp (${numericId}), need to find real message ID`);
+    logger.debug('Looking up message ID for timestamp', { timestamp: numericId });
 
     try {
       // Get total message count
@@ -690,7 +1364,7 @@ app.get('/api/messages/:messageId/replies', asyncHandler(async (req, res) => {
 
           if (msgTimestamp === Math.floor(numericId / 1000)) { // Convert milliseconds to seconds
             realMessageId = i;
-            console.log(`Found message with ID ${i} for timestamp ${numericId}`);
+            logger.debug('Found message for timestamp', { messageId: i, timestamp: numericId });
             break;
           }
         } catch (err) {
@@ -698,22 +1372,22 @@ app.get('/api/messages/:messageId/replies', asyncHandler(async (req, res) => {
         }
       }
     } catch (err) {
-      console.log(`Error searching for message by timestamp: ${err.message}`);
+      logger.warn('Error searching for message by timestamp', { error: err.message });
     }
   }
 
   // If we didn't find a real ID, return empty list
   if (!realMessageId) {
-    console.log(`Could not find message for ID/timestamp ${messageId}, returning empty array`);
+    logger.debug('No message for ID or timestamp, returning no replies', { messageId });
     return res.json([]);
   }
 
   // Now get replies using the found ID
-  console.log(`Getting replies for message ID ${realMessageId}`);
+  logger.debug('Getting replies', { messageId: realMessageId });
 
   try {
     const replies = await contract.getRepliesForMessage(realMessageId);
-    console.log(`Found ${replies ? replies.length : 0} replies for message ${realMessageId}`);
+    logger.debug('Found replies', { messageId: realMessageId, count: replies ? replies.length : 0 });
 
     if (!replies || !Array.isArray(replies)) {
       return res.json([]);
@@ -737,13 +1411,13 @@ app.get('/api/messages/:messageId/replies', asyncHandler(async (req, res) => {
           replyToMessageId: safeToNumber(messageId)
         });
       } catch (replyError) {
-        console.error('Error formatting reply:', replyError);
+        logger.error('Error formatting reply', { error: replyError });
       }
     }
 
     res.json(processedReplies);
   } catch (error) {
-    console.error(`Error getting replies: ${error.message}`);
+    logger.error('Error getting replies', { error: error.message });
     res.json([]); // Return empty array on error
   }
 }));
@@ -752,12 +1426,16 @@ app.get('/api/messages/:messageId/replies', asyncHandler(async (req, res) => {
 app.get('/api/messages/latest/:count', asyncHandler(async (req, res) => {
   const count = parseInt(req.params.count) || 10;
 
+  if (storeReady()) {
+    return res.json(store.getActiveTopLevelMessages().slice(0, count).map(formatStoredMessage));
+  }
+
   // Check cache
   const cacheKey = `latest-${count}`;
   const cachedData = cache.get(cacheKey);
 
   if (cachedData) {
-    console.log(`Cache hit for ${cacheKey}`);
+    logger.debug('Cache hit', { cacheKey });
     return res.json(cachedData);
   }
 
@@ -778,7 +1456,7 @@ app.get('/api/messages/latest/:count', asyncHandler(async (req, res) => {
         try {
           return formatMessage(msg);
         } catch (error) {
-          console.error('Error formatting message:', error);
+          logger.error('Error formatting message', { error });
           return null;
         }
       })
@@ -789,13 +1467,17 @@ app.get('/api/messages/latest/:count', asyncHandler(async (req, res) => {
   
     res.json(formattedMessages);
   } catch (error) {
-    console.error('Error in getLatestMessages:', error);
+    logger.error('Error in getLatestMessages', { error });
     res.status(500).json({ error: error.message });
   }
 }));
 
 // API for getting latest active message count
 app.get('/api/messages/active/count', asyncHandler(async (req, res) => {
+  if (storeReady()) {
+    return res.json({ count: store.getTotalActiveMessages().toString() });
+  }
+
   if (!contract) {
     throw new Error('Contract not initialized');
   }
@@ -808,12 +1490,23 @@ app.get('/api/messages/active/count', asyncHandler(async (req, res) => {
 app.get('/api/messages/:messageId/original', asyncHandler(async (req, res) => {
   const { messageId } = req.params;
 
+  if (storeReady()) {
+    const reply = store.getMessage(parseInt(messageId));
+    const original = reply && reply.replyToMessageId ? store.getMessage(reply.replyToMessageId) : null;
+
+    if (!original) {
+      return res.status(404).json({ error: 'Original message not found' });
+    }
+
+    return res.json(formatStoredMessage(original));
+  }
+
   // Check cache
   const cacheKey = `original-${messageId}`;
   const cachedData = cache.get(cacheKey);
 
   if (cachedData) {
-    console.log(`Cache hit for ${cacheKey}`);
+    logger.debug('Cache hit', { cacheKey });
     return res.json(cachedData);
   }
 
@@ -843,6 +1536,28 @@ app.get('/api/messages/:messageId/original', asyncHandler(async (req, res) => {
   res.json(formatted);
 }));
 
+// Whole conversation containing a message: the root and the nested reply tree.
+// ?order=newest sorts siblings newest first (default oldest first)
+app.get('/api/messages/:messageId/thread', asyncHandler(async (req, res) => {
+  const messageId = parseInt(req.params.messageId);
+
+  if (Number.isNaN(messageId)) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  if (!storeReady()) {
+    return res.status(503).json({ error: 'Thread not available', message: 'Indexer is still syncing' });
+  }
+
+  const thread = buildThread(store, messageId, { order: req.query.order });
+
+  if (!thread) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  res.json({ ...thread, timestamp: Date.now() });
+}));
+
 // API for getting messages by sender
 app.get('/api/messages/sender/:address', asyncHandler(async (req, res) => {
   const { address } = req.params;
@@ -850,12 +1565,26 @@ app.get('/api/messages/sender/:address', asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Invalid address format' });
   }
 
+  // Cursor paging when asked for; the plain array response is kept for old clients
+  if (storeReady() && (wantsCursorPage(req.query) || req.query.limit !== undefined)) {
+    const records = store.getMessagesBySender(address).sort((a, b) => b.messageId - a.messageId);
+    return sendCursorPage(req, res, records);
+  }
+
+  if (storeReady()) {
+    const messages = store.getMessagesBySender(address)
+      .map(formatStoredFeedMessage)
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    return res.json(messages);
+  }
+
   // Check cache
   const cacheKey = `sender-${address}`;
   const cachedData = cache.get(cacheKey);
 
   if (cachedData) {
-    console.log(`Cache hit for ${cacheKey}`);
+    logger.debug('Cache hit', { cacheKey });
     return res.json(cachedData);
   }
 
@@ -893,13 +1622,13 @@ app.get('/api/messages/sender/:address', asyncHandler(async (req, res) => {
             };
           }
         } catch (err) {
-          console.log(`Couldn't fetch original message for reply ${baseFormatted.messageId}`);
+          logger.debug('Could not fetch original message for reply', { messageId: baseFormatted.messageId });
         }
       }
 
       formattedMessages.push(baseFormatted);
     } catch (msgError) {
-      console.error(`Error processing message for sender ${address}:`, msgError);
+      logger.error('Error processing message for sender', { address, error: msgError });
     }
   }
 
@@ -916,12 +1645,22 @@ app.get('/api/messages/sender/:address', asyncHandler(async (req, res) => {
 app.get('/api/messages/period/:periodId', asyncHandler(async (req, res) => {
   const { periodId } = req.params;
 
+  if (storeReady()) {
+    const period = parseInt(periodId);
+    const messages = store.getMessagesInRange(period * PERIOD_SIZE, (period + 1) * PERIOD_SIZE)
+      .filter(msg => !msg.isDeleted)
+      .map(formatStoredFeedMessage)
+      .sort((a, b) => b.timestamp - a.timestamp);
+
+    return res.json(messages);
+  }
+
   // Check cache
   const cacheKey = `period-${periodId}`;
   const cachedData = cache.get(cacheKey);
 
   if (cachedData) {
-    console.log(`Cache hit for ${cacheKey}`);
+    logger.debug('Cache hit', { cacheKey });
     return res.json(cachedData);
   }
 
@@ -960,13 +1699,13 @@ app.get('/api/messages/period/:periodId', asyncHandler(async (req, res) => {
             };
           }
         } catch (err) {
-          console.log(`Couldn't fetch original message for reply ${baseFormatted.messageId}`);
+          logger.debug('Could not fetch original message for reply', { messageId: baseFormatted.messageId });
         }
       }
 
       formattedMessages.push(baseFormatted);
     } catch (msgError) {
-      console.error(`Error processing message for period ${periodId}:`, msgError);
+      logger.error('Error processing message for period', { periodId, error: msgError });
     }
   }
 
@@ -981,12 +1720,19 @@ app.get('/api/messages/period/:periodId', asyncHandler(async (req, res) => {
 
 // API for getting available periods
 app.get('/api/periods', asyncHandler(async (req, res) => {
+  if (storeReady()) {
+    const periods = new Set([0]);
+    store.getAllMessages().forEach(msg => periods.add(Math.floor(msg.messageId / PERIOD_SIZE)));
+
+    return res.json([...periods].sort((a, b) => a - b).map(period => period.toString()));
+  }
+
   // Check cache
   const cacheKey = 'available-periods';
   const cachedData = cache.get(cacheKey);
 
   if (cachedData) {
-    console.log(`Cache hit for ${cacheKey}`);
+    logger.debug('Cache hit', { cacheKey });
     return res.json(cachedData);
   }
 
@@ -1008,16 +1754,412 @@ app.get('/api/periods', asyncHandler(async (req, res) => {
   res.json(periodArray);
 }));
 
-// API for pagination
-app.get('/api/messages/page/:page/:pageSize', asyncHandler(async (req, res) => {
-  const { page, pageSize } = req.params;
+// Archive of messages pruned by the active message cap, newest first
+app.get('/api/archive', asyncHandler(async (req, res) => {
+  if (!storeReady()) {
+    return res.status(503).json({ error: 'Archive not available', message: 'Indexer is still syncing' });
+  }
 
-  // Check cache
-  const cacheKey = `page-${page}-${pageSize}`;
+  const pruned = store.getPrunedMessages();
+  sendCursorPage(req, res, pruned, formatListedMessage, { total: pruned.length });
+}));
+
+// Archive limited to a time window: from/to accept milliseconds or date strings
+app.get('/api/archive/time', asyncHandler(async (req, res) => {
+  if (!storeReady()) {
+    return res.status(503).json({ error: 'Archive not available', message: 'Indexer is still syncing' });
+  }
+
+  const pruned = store.getPrunedMessages({
+    from: parseTimeParam(req.query.from),
+    to: parseTimeParam(req.query.to)
+  });
+  sendCursorPage(req, res, pruned, formatListedMessage, { total: pruned.length });
+}));
+
+// Single archived message with its replies
+app.get('/api/archive/:messageId', asyncHandler(async (req, res) => {
+  if (!storeReady()) {
+    return res.status(503).json({ error: 'Archive not available', message: 'Indexer is still syncing' });
+  }
+
+  const record = store.getMessage(parseInt(req.params.messageId));
+  if (!record || record.deletionReason !== 'pruned') {
+    return res.status(404).json({ error: 'Archived message not found' });
+  }
+
+  res.json({
+    ...formatListedMessage(record),
+    replies: store.getReplies(record.messageId).map(formatStoredMessage)
+  });
+}));
+
+// Full-text search over messages and profiles
+// q supports "quoted phrases"; sender is an address or nickname; from/to accept
+// milliseconds or date strings; include is a comma list of deleted,pruned
+app.get('/api/search', asyncHandler(async (req, res) => {
+  if (!storeReady()) {
+    return res.status(503).json({ error: 'Search not available', message: 'Indexer is still syncing' });
+  }
+
+  const q = (req.query.q || '').toString().trim();
+  const sender = (req.query.sender || '').toString().trim();
+
+  if (!q && !sender) {
+    return res.status(400).json({ error: 'Query or sender is required' });
+  }
+
+  const include = (req.query.include || '').toString().split(',');
+
+  const matches = search.searchMessages({
+    q,
+    sender: sender || null,
+    from: parseTimeParam(req.query.from),
+    to: parseTimeParam(req.query.to),
+    includeDeleted: include.includes('deleted'),
+    includePruned: include.includes('pruned')
+  });
+
+  sendCursorPage(req, res, matches, formatListedMessage, {
+    query: q,
+    profiles: q ? search.searchProfiles(q) : [],
+    total: matches.length
+  });
+}));
+
+// Trending window limits
+const TRENDING_DEFAULT_WINDOW = 24 * 60 * 60 * 1000;
+const TRENDING_MAX_WINDOW = 30 * 24 * 60 * 60 * 1000;
+
+// Hashtags used most within a time window, e.g. ?window=24h&limit=10
+app.get('/api/tags/trending', asyncHandler(async (req, res) => {
+  if (!storeReady()) {
+    return res.status(503).json({ error: 'Tags not available', message: 'Indexer is still syncing' });
+  }
+
+  const windowMs = Math.min(parseDuration(req.query.window) || TRENDING_DEFAULT_WINDOW, TRENDING_MAX_WINDOW);
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+  const since = Date.now() - windowMs;
+
+  res.json({
+    window: windowMs,
+    since,
+    tags: store.getTrendingTags({ since, limit }),
+    timestamp: Date.now()
+  });
+}));
+
+// Messages with a hashtag, newest first
+app.get('/api/tags/:tag', asyncHandler(async (req, res) => {
+  if (!storeReady()) {
+    return res.status(503).json({ error: 'Tags not available', message: 'Indexer is still syncing' });
+  }
+
+  const tag = normalizeTag(req.params.tag);
+  const include = (req.query.include || '').toString().split(',');
+
+  const tagged = store.getMessagesByTag(tag, {
+    includeDeleted: include.includes('deleted'),
+    includePruned: include.includes('pruned')
+  });
+
+  sendCursorPage(req, res, tagged, formatListedMessage, { tag, total: tagged.length });
+}));
+
+// Messages that mention an address, newest first
+app.get('/api/mentions/:address', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+
+  if (!ethers.utils.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid address format' });
+  }
+
+  if (!storeReady()) {
+    return res.status(503).json({ error: 'Mentions not available', message: 'Indexer is still syncing' });
+  }
+
+  const include = (req.query.include || '').toString().split(',');
+
+  const mentioning = store.getMessagesMentioning(address, {
+    includeDeleted: include.includes('deleted'),
+    includePruned: include.includes('pruned')
+  });
+
+  sendCursorPage(req, res, mentioning, formatListedMessage, { address, total: mentioning.length });
+}));
+
+// Wait until a response takes more data; false if the client went away
+const waitForDrain = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve(!res.destroyed);
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Export all messages of an address, including deleted and pruned ones,
+// oldest first, without the content of the ones their author deleted.
+// ?format=jsonl (default), csv or md; rows are streamed as the client reads.
+app.get('/api/export/:address', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+  if (!ethers.utils.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid address format' });
+  }
+
+  const format = (req.query.format || 'jsonl').toString();
+  const serializer = EXPORT_FORMATS[format];
+  if (!serializer) {
+    return res.status(400).json({ error: `Unknown format, expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  if (!storeReady()) {
+    return res.status(503).json({ error: 'Export not available', message: 'Indexer is still syncing' });
+  }
+
+  const checksumAddress = ethers.utils.getAddress(address);
+  const records = store.getMessagesBySender(address, { includeDeleted: true })
+    .sort((a, b) => a.messageId - b.messageId);
+
+  res.set({
+    'Content-Type': `${serializer.contentType}; charset=utf-8`,
+    'Content-Disposition': `attachment; filename="crkcrk-${checksumAddress}.${serializer.extension}"`
+  });
+
+  res.write(serializer.header(checksumAddress, new Date().toISOString()));
+  for (const record of records) {
+    if (res.destroyed) return;
+    if (!res.write(serializer.row(toExportRow(store, record))) && !(await waitForDrain(res))) return;
+  }
+  res.end();
+}));
+
+// Base URL for links in feeds
+const getPublicUrl = (req) => PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+
+// Send messages as an RSS (format 'xml') or Atom (format 'atom') feed
+const sendFeed = (req, res, { title, description, path: pagePath, messages }) => {
+  const baseUrl = getPublicUrl(req);
+  const feed = {
+    title,
+    description,
+    link: `${baseUrl}${pagePath}`,
+    selfUrl: `${baseUrl}${req.path}`,
+    baseUrl,
+    messages: messages.slice(0, FEED_SIZE)
+  };
+
+  if (req.params.format === 'atom') {
+    res.type('application/atom+xml').send(buildAtomFeed(feed));
+  } else {
+    res.type('application/rss+xml').send(buildRssFeed(feed));
+  }
+};
+
+// Feeds are built from the index; readers retry on 503
+const sendFeedUnavailable = (res) => {
+  res.set('Retry-After', '60')
+    .status(503)
+    .json({ error: 'Feed not available', message: 'Indexer is still syncing' });
+};
+
+// Global timeline feed: /feed.xml (RSS) and /feed.atom
+app.get('/feed.:format(xml|atom)', asyncHandler(async (req, res) => {
+  if (!storeReady()) return sendFeedUnavailable(res);
+
+  sendFeed(req, res, {
+    title: 'crkcrk',
+    description: 'Latest messages and replies on crkcrk',
+    path: '/',
+    messages: store.getActiveMessages().map(formatStoredMessage)
+  });
+}));
+
+// Messages by one user, from the same index the sender route reads.
+// The contract's getMessagesBySender returns no message IDs, so there is no
+// fallback to it: items need IDs for their GUIDs and permalinks.
+app.get('/user/:address/feed.:format(xml|atom)', asyncHandler(async (req, res) => {
+  const { address } = req.params;
+  if (!ethers.utils.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid address format' });
+  }
+
+  if (!storeReady()) return sendFeedUnavailable(res);
+
+  const profile = store.getProfile(address);
+  const name = profile?.nickname ? `@${profile.nickname}` : shortAddress(address);
+
+  sendFeed(req, res, {
+    title: `${name} on crkcrk`,
+    description: `Messages posted by ${name}`,
+    path: `/user/${address}`,
+    messages: store.getMessagesBySender(address)
+      .sort((a, b) => b.messageId - a.messageId)
+      .map(formatStoredMessage)
+  });
+}));
+
+// Every readable message in a thread, newest first
+app.get('/message/:messageId/feed.:format(xml|atom)', asyncHandler(async (req, res) => {
+  const messageId = parseInt(req.params.messageId);
+  if (isNaN(messageId) || messageId < 1) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  if (!storeReady()) return sendFeedUnavailable(res);
+
+  const thread = buildThread(store, messageId);
+  if (!thread) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  const messages = [];
+  const collect = (node) => {
+    if (!node.placeholder) messages.push(node);
+    node.children.forEach(collect);
+  };
+  collect(thread.root);
+  messages.sort((a, b) => b.messageId - a.messageId);
+
+  const root = thread.root.placeholder ? null : thread.root;
+  sendFeed(req, res, {
+    title: root ? `Thread by @${root.nickname} on crkcrk` : `Thread #${thread.rootId} on crkcrk`,
+    description: `Messages in thread #${thread.rootId}`,
+    path: `/message/${thread.rootId}`,
+    messages
+  });
+}));
+
+// ActivityPub objects are built from the index
+const sendActivityJson = (res, object) => {
+  res.type(ACTIVITY_CONTENT_TYPE).json(object);
+};
+
+const sendFederationUnavailable = (res) => {
+  res.set('Retry-After', '60')
+    .status(503)
+    .json({ error: 'Federation not available', message: 'Indexer is still syncing' });
+};
+
+// WebFinger discovery: ?resource=acct:nickname@host
+app.get('/.well-known/webfinger', asyncHandler(async (req, res) => {
+  if (!req.query.resource) {
+    return res.status(400).json({ error: 'Missing resource parameter' });
+  }
+
+  if (!storeReady()) return sendFederationUnavailable(res);
+
+  const jrd = activityPub.getWebFinger(req.query.resource.toString(), getPublicUrl(req));
+  if (!jrd) {
+    return res.status(404).json({ error: 'Resource not found' });
+  }
+
+  res.type('application/jrd+json').json(jrd);
+}));
+
+// Actor for an active profile
+app.get('/ap/users/:address', asyncHandler(async (req, res) => {
+  if (!storeReady()) return sendFederationUnavailable(res);
+
+  const actor = await activityPub.getActor(req.params.address, getPublicUrl(req));
+  if (!actor) {
+    return res.status(404).json({ error: 'Actor not found' });
+  }
+
+  sendActivityJson(res, actor);
+}));
+
+// Outbox of Create/Note activities, cursor-paged with ?page=true&before=
+app.get('/ap/users/:address/outbox', asyncHandler(async (req, res) => {
+  if (!storeReady()) return sendFederationUnavailable(res);
+
+  const outbox = activityPub.getOutbox(req.params.address, getPublicUrl(req), req.query);
+  if (!outbox) {
+    return res.status(404).json({ error: 'Actor not found' });
+  }
+  if (outbox.error) {
+    return res.status(400).json({ error: outbox.error });
+  }
+
+  sendActivityJson(res, outbox);
+}));
+
+app.get('/ap/users/:address/followers', asyncHandler(async (req, res) => {
+  if (!storeReady()) return sendFederationUnavailable(res);
+
+  const followers = activityPub.getFollowers(req.params.address, getPublicUrl(req));
+  if (!followers) {
+    return res.status(404).json({ error: 'Actor not found' });
+  }
+
+  sendActivityJson(res, followers);
+}));
+
+// Inbox for Follow and Undo; the raw body is needed to check the signature digest
+app.post('/ap/users/:address/inbox', express.raw({ type: [ACTIVITY_CONTENT_TYPE, 'application/ld+json'] }), asyncHandler(async (req, res) => {
+  if (!storeReady()) return sendFederationUnavailable(res);
+
+  if (!Buffer.isBuffer(req.body)) {
+    return res.status(415).json({ error: `Expected ${ACTIVITY_CONTENT_TYPE}` });
+  }
+
+  const result = await activityPub.handleInbox(req.params.address, getPublicUrl(req), {
+    method: req.method,
+    path: req.originalUrl,
+    headers: req.headers,
+    body: req.body
+  });
+
+  if (result.error) {
+    logger.warn('Rejected inbox activity', { address: req.params.address, error: result.error });
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  res.status(result.status).end();
+}));
+
+// A message as a Note, or the Create activity that published it
+app.get('/ap/messages/:messageId/:activity(activity)?', asyncHandler(async (req, res) => {
+  const messageId = parseInt(req.params.messageId);
+  if (isNaN(messageId) || messageId < 1) {
+    return res.status(400).json({ error: 'Invalid message ID' });
+  }
+
+  if (!storeReady()) return sendFederationUnavailable(res);
+
+  const object = activityPub.getMessageObject(messageId, getPublicUrl(req), !!req.params.activity);
+  if (!object) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+
+  res.status(object.type === 'Tombstone' ? 410 : 200);
+  sendActivityJson(res, object);
+}));
+
+// API for pagination
+app.get('/api/messages/page/:page/:pageSize', asyncHandler(async (req, res) => {
+  const { page, pageSize } = req.params;
+
+  if (storeReady() && wantsCursorPage(req.query)) {
+    return sendCursorPage(req, res, store.getActiveTopLevelMessages());
+  }
+
+  if (storeReady()) {
+    const numPage = parseInt(page);
+    const numPageSize = parseInt(pageSize);
+
+    return res.json(store.getActiveTopLevelMessages()
+      .slice(numPage * numPageSize, (numPage + 1) * numPageSize)
+      .map(formatStoredFeedMessage));
+  }
+
+  // Check cache
+  const cacheKey = `page-${page}-${pageSize}`;
   const cachedData = cache.get(cacheKey);
 
   if (cachedData) {
-    console.log(`Cache hit for ${cacheKey}`);
+    logger.debug('Cache hit', { cacheKey });
     return res.json(cachedData);
   }
 
@@ -1059,13 +2201,13 @@ app.get('/api/messages/page/:page/:pageSize', asyncHandler(async (req, res) => {
             };
           }
         } catch (err) {
-          console.log(`Couldn't fetch original message for reply ${baseFormatted.messageId}`);
+          logger.debug('Could not fetch original message for reply', { messageId: baseFormatted.messageId });
         }
       }
 
       formattedMessages.push(baseFormatted);
     } catch (msgError) {
-      console.error(`Error processing paginated message:`, msgError);
+      logger.error('Error processing paginated message', { error: msgError });
     }
   }
 
@@ -1082,12 +2224,18 @@ app.get('/api/profile/:address', asyncHandler(async (req, res) => {
     return res.status(400).json({ error: 'Invalid address format' });
   }
 
+  const storedProfile = storeReady() ? store.getProfile(address) : null;
+  if (storedProfile) {
+    const { nickname, avatarCode, isActive } = storedProfile;
+    return res.json({ nickname, avatarCode, isActive });
+  }
+
   // Check cache
   const cacheKey = `profile-${address}`;
   const cachedData = cache.get(cacheKey);
 
   if (cachedData) {
-    console.log(`Cache hit for ${cacheKey}`);
+    logger.debug('Cache hit', { cacheKey });
     return res.json(cachedData);
   }
 
@@ -1110,37 +2258,21 @@ app.get('/api/profile/:address', asyncHandler(async (req, res) => {
 
 // API for finding address by nickname
 app.get('/api/address/:nickname', asyncHandler(async (req, res) => {
-  const { nickname } = req.params;
-
-  // Check cache
-  const cacheKey = `nickname-${nickname}`;
-  const cachedData = cache.get(cacheKey);
-
-  if (cachedData) {
-    console.log(`Cache hit for ${cacheKey}`);
-    return res.json(cachedData);
-  }
-
-  if (!contract) {
-    throw new Error('Contract not initialized');
-  }
+  const address = await resolveNickname(req.params.nickname);
 
-  const address = await contract.getAddressByNickname(nickname);
-
-  if (address === ethers.constants.AddressZero) {
+  if (!address) {
     return res.status(404).json({ error: 'Nickname not found' });
   }
 
-  const result = { address };
-
-  // Cache for 5 minutes
-  cache.set(cacheKey, result, 300);
-
-  res.json(result);
+  res.json({ address });
 }));
 
 // API for getting total message count
 app.get('/api/messages/count', asyncHandler(async (req, res) => {
+  if (storeReady()) {
+    return res.json({ count: store.getMessageCount().toString() });
+  }
+
   if (!contract) {
     throw new Error('Contract not initialized');
   }
@@ -1156,10 +2288,16 @@ app.get('/api/parameters', asyncHandler(async (req, res) => {
   const cachedData = cache.get(cacheKey);
 
   if (cachedData) {
-    console.log(`Cache hit for ${cacheKey}`);
+    logger.debug('Cache hit', { cacheKey });
     return res.json(cachedData);
   }
 
+  // ParameterUpdated events keep the stored values current
+  const storedParameters = store.getParameters();
+  if (['maxMessageLength', 'messageCooldown', 'maxReturnCount', 'maxActiveMessages'].every(name => name in storedParameters)) {
+    return res.json(storedParameters);
+  }
+
   if (!contract) {
     throw new Error('Contract not initialized');
   }
@@ -1172,6 +2310,9 @@ app.get('/api/parameters', asyncHandler(async (req, res) => {
     maxActiveMessages: maxActiveMessages.toString()
   };
 
+  // Seed the store so later requests don't need the contract
+  Object.entries(parameters).forEach(([name, value]) => store.setParameter(name, value));
+
   // Cache for 5 minutes (parameters don't change often)
   cache.set(cacheKey, parameters, 300);
 
@@ -1183,70 +2324,388 @@ app.get('/api/invalidate-cache', asyncHandler(async (req, res) => {
   const keys = cache.keys();
   const count = keys.length;
   cache.flushAll();
-  console.log(`Cache invalidated: ${count} keys cleared`);
+  logger.info('Cache invalidated', { clearedKeys: count });
   res.json({ success: true, clearedKeys: count });
 }));
 
+// Thread channels are keyed by the root message, so a subscription to any
+// message in a thread gets all of it. Until the index is ready the root
+// can't be looked up and the given message is used as is.
+const threadChannel = (messageId) =>
+  `thread:${storeReady() ? findRootId(store, safeToNumber(messageId)) : safeToNumber(messageId)}`;
+
+// Canonical name for a channel a client subscribes to, or null if invalid
+const toSubscriptionChannel = (channel) => {
+  const parsed = parseChannel(channel);
+  return parsed && parsed.startsWith('thread:') ? threadChannel(parsed.slice('thread:'.length)) : parsed;
+};
+
+const userChannel = (address) => `user:${address.toLowerCase()}`;
+
+// Publish an event to channels under the next sequence number, over
+// WebSockets and Server-Sent Events, and to matching webhooks
+const publishEvent = (channelList, event) => {
+  const entry = eventLog.append({ channels: channelList, event });
+  eventStream.publish(entry);
+  webhooks.dispatch(entry.payload);
+  return channels.publish(channelList, entry.payload);
+};
+
+// Channels a stream gets when it doesn't ask for any
+const DEFAULT_STREAM_CHANNELS = ['feed', 'profiles', 'params'];
+
+// Server-Sent Events alternative to the WebSocket, for clients behind
+// proxies that break WebSockets. Channels are given as ?channels=feed,thread:12
+// (or repeated); a reconnecting client resumes with Last-Event-ID.
+app.get('/api/events/stream', (req, res) => {
+  const requested = [].concat(req.query.channels || [])
+    .flatMap(value => String(value).split(','))
+    .map(channel => channel.trim())
+    .filter(Boolean);
+
+  if (requested.length > MAX_SUBSCRIPTIONS) {
+    return res.status(400).json({ error: 'Too many channels' });
+  }
+
+  const invalid = requested.filter(channel => !parseChannel(channel));
+  if (invalid.length > 0) {
+    return res.status(400).json({ error: 'Invalid channels', rejected: invalid });
+  }
+
+  const streamChannels = requested.length > 0
+    ? [...new Set(requested.map(toSubscriptionChannel))]
+    : DEFAULT_STREAM_CHANNELS;
+
+  eventStream.open(res, {
+    channels: streamChannels,
+    // EventSource sends the header when it reconnects; other clients can use the query
+    lastEventId: req.get('last-event-id') || req.query.lastEventId || null
+  });
+});
+
+// Send an event to the client registered for an address, or queue it until
+// the address registers again. It is sequenced either way; a client that
+// resumes after a short disconnect is sent the ones that weren't queued,
+// since registering already delivered the queue.
+const sendToAddress = (address, event) => {
+  const recipient = address.toLowerCase();
+  const entry = eventLog.append({ recipient, event });
+
+  const targetClient = connectedClients.get(recipient);
+  if (!targetClient || targetClient.readyState !== 1) {
+    entry.queued = true;
+    notifications.enqueue(recipient, entry.payload);
+    return;
+  }
+
+  try {
+    targetClient.send(JSON.stringify(entry.payload));
+  } catch (sendError) {
+    logger.error('Error sending notification', { type: event.type, error: sendError });
+  }
+};
+
+// Send a newly registered client what was queued for its address. They go
+// out without their sequence numbers, which may be behind or ahead of the
+// point the client resumes from.
+const deliverQueued = (ws, address) => {
+  const queued = notifications.takeQueued(address);
+
+  queued.forEach(event => {
+    ws.send(JSON.stringify({ ...event, seq: undefined, queued: true }));
+  });
+
+  if (queued.length > 0) {
+    logger.debug('Delivered queued notifications', { address, count: queued.length });
+  }
+};
+
+// Address a socket is registered for, or null
+const registeredAddress = (ws) => {
+  for (const [address, client] of connectedClients.entries()) {
+    if (client === ws) return address;
+  }
+  return null;
+};
+
+// Send a reconnecting client the events it missed since lastSeq, for its
+// current subscriptions and registered address. Clients resume after
+// registering and subscribing again; events for the address that were
+// queued went out when it registered, so they aren't sent twice.
+const resumeClient = (ws, { lastSeq, streamId }) => {
+  const missed = eventLog.since(lastSeq, streamId);
+
+  if (!missed) {
+    ws.send(JSON.stringify({
+      type: 'resyncRequired',
+      streamId: eventLog.streamId,
+      seq: eventLog.getSeq(),
+      timestamp: Date.now()
+    }));
+    return;
+  }
+
+  const subscribed = new Set(channels.getSubscriptions(ws));
+  const address = registeredAddress(ws);
+
+  const replayed = missed.filter(entry =>
+    entry.channels.some(channel => subscribed.has(channel)) || (address && entry.recipient === address && !entry.queued));
+
+  replayed.forEach(entry => {
+    ws.send(JSON.stringify(entry.recipient ? entry.payload : { ...entry.payload, channels: entry.channels }));
+  });
+
+  ws.send(JSON.stringify({
+    type: 'resumed',
+    streamId: eventLog.streamId,
+    fromSeq: lastSeq,
+    seq: eventLog.getSeq(),
+    replayed: replayed.length,
+    timestamp: Date.now()
+  }));
+};
+
+// Route targeted events for an address to a socket, replacing any address
+// the socket was registered with before
+const registerClient = (ws, address) => {
+  const previous = registeredAddress(ws);
+  if (previous) connectedClients.delete(previous);
+  connectedClients.set(address.toLowerCase(), ws);
+};
+
+// Drop connections that stop answering pings, e.g. after a network change
+// the client never saw, so they don't keep receiving events
+const HEARTBEAT_INTERVAL = 30000;
+
+const heartbeat = setInterval(() => {
+  wss.clients.forEach(ws => {
+    if (ws.isAlive === false) {
+      logger.debug('Terminating unresponsive WebSocket client');
+      ws.terminate();
+      return;
+    }
+
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, HEARTBEAT_INTERVAL);
+
+wss.on('close', () => clearInterval(heartbeat));
+
 // WebSocket handler for connections
-wss.on('connection', (ws) => {
-  console.log('Client connected to WebSocket with ID:', ws._socket.remoteAddress);
+wss.on('connection', (ws, req) => {
+  // Messages from the connection are each handled under their own
+  // correlation ID, like requests, and logged with the connection's ID
+  const connectionId = crypto.randomUUID();
+  logger.debug('WebSocket client connected', { connectionId, remoteAddress: ws._socket.remoteAddress });
+
+  // Count messages by type. Every message the server sends is a JSON
+  // object that starts with its type.
+  const send = ws.send.bind(ws);
+  ws.send = (data, ...args) => {
+    const match = typeof data === 'string' && data.match(/^\{"type":"([^"]+)"/);
+    wsMessagesSent.inc({ type: match ? match[1] : 'unknown' });
+    return send(data, ...args);
+  };
+
+  ws.isAlive = true;
+  ws.on('pong', () => {
+    ws.isAlive = true;
+  });
+
+  const origin = getSignInOrigin(req.headers.origin, req);
+
+  // Clients keep the stream ID and the last seq they saw, to resume with
+  ws.send(JSON.stringify({
+    type: 'hello',
+    streamId: eventLog.streamId,
+    seq: eventLog.getSeq(),
+    timestamp: Date.now()
+  }));
 
   // Handle messages from client
-  ws.on('message', async (message) => {
+  ws.on('message', (message) => runWithContext({ requestId: crypto.randomUUID(), connectionId }, async () => {
     try {
       const data = JSON.parse(message);
 
-      // Register client with wallet address
-      if (data.type === 'register' && data.address) {
-        connectedClients.set(data.address.toLowerCase(), ws);
-        console.log(`Client registered with address: ${data.address}`);
+      ws.isAlive = true;
+
+      // Application-level heartbeat, for clients that can't send ping frames
+      if (data.type === 'ping') {
+        ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+
+      // Sign-in message for the client's wallet to sign
+      } else if (data.type === 'challenge') {
+        if (!ethers.utils.isAddress(data.address || '')) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Invalid address format' }));
+          return;
+        }
+
+        if (!origin) {
+          ws.send(JSON.stringify({ type: 'error', message: 'Sign-in is not allowed from this origin' }));
+          return;
+        }
+
+        const challenge = await siweAuth.createChallenge({ address: data.address, origin });
+        ws.send(JSON.stringify({ type: 'challenge', ...challenge, timestamp: Date.now() }));
+
+      // Register client with wallet address: either a signed challenge or
+      // the token of an existing session
+      } else if (data.type === 'register') {
+        const result = data.token
+          ? siweAuth.getSession(data.token) || { error: 'Unknown or expired session' }
+          : siweAuth.verify(data.message, data.signature);
+
+        if (result.error) {
+          ws.send(JSON.stringify({
+            type: 'registered',
+            success: false,
+            error: result.error,
+            timestamp: Date.now()
+          }));
+          return;
+        }
+
+        registerClient(ws, result.address);
+        logger.debug('WebSocket client registered', { address: result.address });
 
         // Send registration confirmation
         ws.send(JSON.stringify({
           type: 'registered',
           success: true,
+          address: result.address,
+          token: data.token || result.token,
+          expiresAt: result.expiresAt,
           timestamp: Date.now()
         }));
+
+        deliverQueued(ws, result.address);
+      } else if (data.type === 'unregister') {
+        const address = registeredAddress(ws);
+        if (address) {
+          connectedClients.delete(address);
+          logger.debug('WebSocket client unregistered', { address });
+        }
+        ws.send(JSON.stringify({ type: 'unregistered', timestamp: Date.now() }));
+      } else if (data.type === 'resume') {
+        resumeClient(ws, { lastSeq: data.lastSeq, streamId: data.streamId });
+      } else if (data.type === 'subscribe' || data.type === 'unsubscribe') {
+        const requested = Array.isArray(data.channels) ? data.channels : [];
+        const valid = requested.map(toSubscriptionChannel).filter(Boolean);
+        const invalid = requested.filter(channel => !parseChannel(channel));
+
+        if (data.type === 'subscribe') {
+          const subscribed = channels.subscribe(ws, valid);
+          ws.send(JSON.stringify({
+            type: 'subscribed',
+            channels: subscribed,
+            rejected: [...invalid, ...valid.filter(channel => !subscribed.includes(channel))],
+            timestamp: Date.now()
+          }));
+        } else {
+          channels.unsubscribe(ws, valid);
+          ws.send(JSON.stringify({
+            type: 'unsubscribed',
+            channels: valid,
+            subscriptions: channels.getSubscriptions(ws),
+            timestamp: Date.now()
+          }));
+        }
+      } else {
+        ws.send(JSON.stringify({ type: 'error', message: `Unknown message type: ${data.type}` }));
       }
     } catch (error) {
-      console.error('Error processing WebSocket message:', error);
+      logger.error('Error processing WebSocket message', { error });
       try {
         ws.send(JSON.stringify({ type: 'error', message: error.message }));
       } catch (sendError) {
-        console.error('Error sending error message over WebSocket:', sendError);
+        logger.error('Error sending error message over WebSocket', { error: sendError });
       }
     }
-  });
+  }));
 
   // Handle connection closing
   ws.on('close', () => {
-    console.log('Client disconnected from WebSocket');
+    logger.debug('WebSocket client disconnected', { connectionId });
+    channels.removeClient(ws);
     // Remove client from Map by value
     for (const [address, client] of connectedClients.entries()) {
       if (client === ws) {
         connectedClients.delete(address);
-        console.log(`Removed client with address: ${address}`);
+        logger.debug('Removed WebSocket client', { address });
         break;
       }
     }
   });
 });
 
+// Send a 'mentioned' event to every connected user a message mentions
+const notifyMentions = async ({ messageId, sender, nickname, content, replyToMessageId, timestamp }) => {
+  const id = safeToNumber(messageId);
+  let mentions = storeReady() ? store.getMessage(id)?.mentions : null;
+
+  // Store not ready yet: resolve against the current profiles
+  if (!mentions) {
+    mentions = [];
+    for (const mentionedNickname of extractMentions(content)) {
+      const address = await resolveNickname(mentionedNickname);
+      if (address) mentions.push({ nickname: mentionedNickname, address });
+    }
+  }
+
+  mentions.forEach(({ nickname: mentionedNickname, address }) => {
+    // No need to tell people they mentioned themselves
+    if (address.toLowerCase() === sender.toLowerCase()) return;
+
+    sendToAddress(address, {
+      type: 'mentioned',
+      messageId: id.toString(),
+      sender,
+      nickname,
+      mentionedNickname,
+      content,
+      replyToMessageId: replyToMessageId ? replyToMessageId.toString() : '0',
+      timestamp: timestamp.toString()
+    });
+  });
+};
+
+// Contract event listeners, with backfill of missed events
+let contractListeners = null;
+
 // Subscribe to contract events
 if (contract) {
-  // Error handling wrapper for event callbacks
+  // Handlers by event name, called with the event's arguments and then the event
+  const eventHandlers = {};
+
+  // Wrapper for event callbacks that records metrics and logs errors. Errors
+  // are rethrown so the listeners don't move their cursor past the event and
+  // handle it again with the next backfill.
   const safeEventHandler = (callback) => {
     return async (...args) => {
-      try {
-        await callback(...args);
-      } catch (error) {
-        console.error('Error in event handler:', error);
+      // ethers passes the event itself last
+      const event = args[args.length - 1];
+      if (event && event.event) {
+        listenerEvents.inc({ event: event.event });
+        const head = provider.blockNumber;
+        if (head >= 0) listenerLag.set({ event: event.event }, Math.max(0, head - event.blockNumber));
       }
+
+      // Logged with a correlation ID of its own, like a request
+      await runWithContext({ requestId: crypto.randomUUID(), event: event?.event }, async () => {
+        try {
+          await callback(...args);
+        } catch (error) {
+          logger.error('Error in event handler', { error });
+          throw error;
+        }
+      });
     };
   };
 
-  contract.on('MessageSent', safeEventHandler(async (messageId, sender, content, timestamp) => {
-    console.log(`New message from ${sender}: ${content}`);
+  eventHandlers.MessageSent = safeEventHandler(async (messageId, sender, content, timestamp) => {
+    logger.debug('New message', { messageId: messageId.toString(), sender });
+    await syncIndex();
 
     // Invalidate feed caches
     const cacheKeys = cache.keys();
@@ -1260,30 +2719,28 @@ if (contract) {
       // Get nickname for the sender
       const [nickname, avatarCode, isActive] = await contract.getUserProfile(sender);
 
-      // Send notification to all connected clients
-      wss.clients.forEach((client) => {
-        if (client.readyState === 1) { // WebSocket.OPEN
-          try {
-            client.send(JSON.stringify({
-              type: 'newMessage',
-              messageId: messageId.toString(),
-              sender,
-              nickname,
-              content,
-              timestamp: timestamp.toString()
-            }));
-          } catch (sendError) {
-            console.error('Error sending WebSocket message:', sendError);
-          }
-        }
+      publishEvent(['feed', userChannel(sender), threadChannel(messageId)], {
+        type: 'newMessage',
+        messageId: messageId.toString(),
+        sender,
+        nickname,
+        content,
+        timestamp: timestamp.toString(),
+        message: getFeedItem(messageId)
       });
+
+      await notifyMentions({ messageId, sender, nickname, content, timestamp });
+
+      // Deliver to fediverse followers in the background
+      if (storeReady()) activityPub.publishMessage(safeToNumber(messageId));
     } catch (error) {
-      console.error('Error processing MessageSent event:', error);
+      logger.error('Error processing MessageSent event', { error });
     }
-  }));
+  });
 
-  contract.on('ReplyMessageSent', safeEventHandler(async (messageId, sender, replyToMessageId, timestamp) => {
-    console.log(`New reply from ${sender} to message ${replyToMessageId}`);
+  eventHandlers.ReplyMessageSent = safeEventHandler(async (messageId, sender, replyToMessageId, timestamp) => {
+    logger.debug('New reply', { messageId: messageId.toString(), sender, replyToMessageId: replyToMessageId.toString() });
+    await syncIndex();
 
     // Clear all potential caches for this message
     const repliesCacheKey = `replies-${replyToMessageId}`;
@@ -1311,52 +2768,59 @@ if (contract) {
       const [nickname, avatarCode, isActive] = await contract.getUserProfile(sender);
       const message = await contract.getMessage(messageId);
 
-      // Send notification to all connected clients
-      wss.clients.forEach((client) => {
-        if (client.readyState === 1) { // WebSocket.OPEN
-          try {
-            client.send(JSON.stringify({
-              type: 'newReply',
-              messageId: messageId.toString(),
-              sender,
-              nickname,
-              content: message ? message.content : '',
-              replyToMessageId: replyToMessageId.toString(),
-              timestamp: timestamp.toString()
-            }));
-          } catch (sendError) {
-            console.error('Error sending notification:', sendError);
-          }
-        }
+      publishEvent(['feed', userChannel(sender), threadChannel(replyToMessageId)], {
+        type: 'newReply',
+        messageId: messageId.toString(),
+        sender,
+        nickname,
+        content: message ? message.content : '',
+        replyToMessageId: replyToMessageId.toString(),
+        timestamp: timestamp.toString(),
+        message: getFeedItem(messageId)
       });
 
-      // Send specific notification to the original message author
-      const originalMessage = await contract.getMessage(replyToMessageId);
-      if (originalMessage && originalMessage.sender) {
-        const targetClient = connectedClients.get(originalMessage.sender.toLowerCase());
-        if (targetClient && targetClient.readyState === 1) {
-          try {
-            targetClient.send(JSON.stringify({
-              type: 'replyToYourMessage',
-              messageId: messageId.toString(),
-              sender,
-              nickname,
-              content: message ? message.content : '',
-              replyToMessageId: replyToMessageId.toString(),
-              timestamp: timestamp.toString()
-            }));
-          } catch (sendError) {
-            console.error('Error sending targeted notification:', sendError);
-          }
+      const notification = {
+        messageId: messageId.toString(),
+        sender,
+        nickname,
+        content: message ? message.content : '',
+        replyToMessageId: replyToMessageId.toString(),
+        timestamp: timestamp.toString()
+      };
+
+      if (storeReady()) {
+        // Parent author, root author and earlier repliers, minus mutes
+        notifications.getReplyRecipients(safeToNumber(messageId)).forEach(({ address, type, reason, rootId }) => {
+          sendToAddress(address, { type, ...notification, rootId: rootId.toString(), reason });
+        });
+      } else {
+        // Without the index only the parent's author is known
+        const originalMessage = await contract.getMessage(replyToMessageId);
+        if (originalMessage && originalMessage.sender &&
+            !notifications.isMuted(originalMessage.sender, safeToNumber(replyToMessageId))) {
+          sendToAddress(originalMessage.sender, { type: 'replyToYourMessage', ...notification, reason: 'parent' });
         }
       }
+
+      await notifyMentions({
+        messageId,
+        sender,
+        nickname,
+        content: message ? message.content : '',
+        replyToMessageId,
+        timestamp
+      });
+
+      // Deliver to fediverse followers in the background
+      if (storeReady()) activityPub.publishMessage(safeToNumber(messageId));
     } catch (error) {
-      console.error('Error processing ReplyMessageSent event:', error);
+      logger.error('Error processing ReplyMessageSent event', { error });
     }
-  }));
+  });
 
-  contract.on('ProfileUpdated', safeEventHandler((user, nickname, avatarCode) => {
-    console.log(`Profile updated for ${user}: ${nickname}`);
+  eventHandlers.ProfileUpdated = safeEventHandler(async (user, nickname, avatarCode) => {
+    logger.debug('Profile updated', { user, nickname });
+    await syncIndex();
 
     // Invalidate profile cache
     cache.del(`profile-${user}`);
@@ -1369,46 +2833,30 @@ if (contract) {
       }
     });
 
-    // Send notification to all connected clients
-    wss.clients.forEach((client) => {
-      if (client.readyState === 1) { // WebSocket.OPEN
-        try {
-          client.send(JSON.stringify({
-            type: 'profileUpdated',
-            user,
-            nickname,
-            avatarCode
-          }));
-        } catch (sendError) {
-          console.error('Error sending profile update:', sendError);
-        }
-      }
+    publishEvent(['profiles', userChannel(user)], {
+      type: 'profileUpdated',
+      user,
+      nickname,
+      avatarCode
     });
-  }));
+  });
 
-  contract.on('ProfileDeactivated', safeEventHandler((user) => {
-    console.log(`Profile deactivated for ${user}`);
+  eventHandlers.ProfileDeactivated = safeEventHandler(async (user) => {
+    logger.debug('Profile deactivated', { user });
+    await syncIndex();
 
     // Invalidate profile cache
     cache.del(`profile-${user}`);
 
-    // Send notification to all connected clients
-    wss.clients.forEach((client) => {
-      if (client.readyState === 1) { // WebSocket.OPEN
-        try {
-          client.send(JSON.stringify({
-            type: 'profileDeactivated',
-            user
-          }));
-        } catch (sendError) {
-          console.error('Error sending profile deactivation:', sendError);
-        }
-      }
+    publishEvent(['profiles', userChannel(user)], {
+      type: 'profileDeactivated',
+      user
     });
-  }));
+  });
 
-  contract.on('MessageDeleted', safeEventHandler((messageId, sender) => {
-    console.log(`Message ${messageId} deleted by ${sender}`);
+  eventHandlers.MessageDeleted = safeEventHandler(async (messageId, sender) => {
+    logger.debug('Message deleted', { messageId: messageId.toString(), sender });
+    await syncIndex();
 
     // Invalidate relevant caches
     cache.keys().forEach(key => {
@@ -1417,24 +2865,43 @@ if (contract) {
       }
     });
 
-    // Notify all clients
-    wss.clients.forEach((client) => {
-      if (client.readyState === 1) { // WebSocket.OPEN
-        try {
-          client.send(JSON.stringify({
-            type: 'messageDeleted',
-            messageId: messageId.toString(),
-            sender
-          }));
-        } catch (sendError) {
-          console.error('Error sending message deleted event:', sendError);
-        }
-      }
+    publishEvent(['feed', userChannel(sender), threadChannel(messageId)], {
+      type: 'messageDeleted',
+      messageId: messageId.toString(),
+      sender
     });
-  }));
 
-  contract.on('OldMessagesDeleted', safeEventHandler((count) => {
-    console.log(`${count} old messages deleted`);
+    // Tell everyone else who took part below the deleted message
+    if (storeReady()) {
+      const id = safeToNumber(messageId);
+      const participants = new Set(collectSubtree(store, id).map(record => record.sender.toLowerCase()));
+      participants.delete(sender.toLowerCase());
+
+      participants.forEach(address => sendToAddress(address, {
+        type: 'threadDeleted',
+        messageId: id.toString(),
+        rootId: findRootId(store, id).toString(),
+        sender,
+        nickname: store.getMessage(id)?.nickname || shortAddress(sender),
+        // Seconds, like the contract timestamps in other events
+        timestamp: Math.floor(Date.now() / 1000).toString()
+      }));
+    }
+  });
+
+  eventHandlers.OldMessagesDeleted = safeEventHandler(async (count, event) => {
+    logger.debug('Old messages deleted', { count: count.toString() });
+    await syncIndex();
+
+    // The store records which event pruned each message, which tells
+    // clients which ones to drop. If the index hasn't reached the event's
+    // block yet it can't say; clients reload on null.
+    let messageIds = null;
+    if (storeReady() && store.getMeta().lastBlock >= event.blockNumber) {
+      messageIds = store.getPrunedMessages({
+        deletedIn: { blockNumber: event.blockNumber, transactionHash: event.transactionHash }
+      }).map(record => record.messageId);
+    }
 
     // Invalidate all feed and reply caches
     cache.keys().forEach(key => {
@@ -1443,55 +2910,37 @@ if (contract) {
       }
     });
 
-    // Notify all clients
-    wss.clients.forEach((client) => {
-      if (client.readyState === 1) { // WebSocket.OPEN
-        try {
-          client.send(JSON.stringify({
-            type: 'oldMessagesDeleted',
-            count: count.toString()
-          }));
-        } catch (sendError) {
-          console.error('Error sending old messages deleted event:', sendError);
-        }
-      }
+    publishEvent(['feed'], {
+      type: 'oldMessagesDeleted',
+      count: count.toString(),
+      messageIds
     });
-  }));
+  });
 
-  contract.on('ParameterUpdated', safeEventHandler((paramName, newValue) => {
-    console.log(`Contract parameter updated: ${paramName} = ${newValue}`);
+  eventHandlers.ParameterUpdated = safeEventHandler(async (paramName, newValue) => {
+    logger.info('Contract parameter updated', { paramName, newValue: newValue.toString() });
+    await syncIndex();
 
     // Invalidate parameters cache
     cache.del('contract-parameters');
 
-    // Send notification to all connected clients
-    wss.clients.forEach((client) => {
-      if (client.readyState === 1) { // WebSocket.OPEN
-        try {
-          client.send(JSON.stringify({
-            type: 'parameterUpdated',
-            paramName,
-            newValue: newValue.toString()
-          }));
-        } catch (sendError) {
-          console.error('Error sending parameter update:', sendError);
-        }
-      }
+    publishEvent(['params'], {
+      type: 'parameterUpdated',
+      paramName,
+      newValue: newValue.toString()
     });
-  }));
-}
+  });
 
-// Health check endpoint
-app.get('/health', asyncHandler(async (req, res) => {
-  res.json({
-    status: 'ok',
-    uptime: process.uptime(),
-    timestamp: Date.now(),
-    connections: wss.clients.size,
-    cacheSize: cache.keys().length,
-    contractConnected: !!contract
+  contractListeners = createContractListeners({
+    provider,
+    contract,
+    dataDir: DATA_DIR,
+    handlers: eventHandlers,
+    checkInterval: LISTENER_CHECK_INTERVAL,
+    stallTimeout: LISTENER_STALL_TIMEOUT
   });
-}));
+  contractListeners.start();
+}
 
 // Handle all other routes with SPA
 app.get('*', (req, res) => {
@@ -1500,7 +2949,7 @@ app.get('*', (req, res) => {
 
 // Clear message ID map periodically to prevent memory leaks
 setInterval(() => {
-  console.log(`Clearing message ID map (had ${messageIdMap.size} entries)`);
+  logger.debug('Clearing message ID map', { entries: messageIdMap.size });
   messageIdMap.clear();
 }, 3600000); // Clear every hour
 
@@ -1509,31 +2958,43 @@ process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
 
 function shutdown() {
-  console.log('Shutting down gracefully...');
+  logger.info('Shutting down gracefully');
+
+  if (contractListeners) contractListeners.stop();
+  if (rpcPool) rpcPool.stop();
+
+  // Stop indexing and write the store to disk
+  if (indexer) {
+    indexer.stop();
+  } else {
+    store.flush();
+  }
+  notifications.flush();
+
+  // End Server-Sent Events streams and WebSocket connections, which would
+  // keep the servers open; clients reconnect to the next instance
+  eventStream.close();
+  wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
 
   // Close WebSocket server
   wss.close(() => {
-    console.log('WebSocket server closed');
+    logger.info('WebSocket server closed');
 
     // Close HTTP server
     server.close(() => {
-      console.log('HTTP server closed');
+      logger.info('HTTP server closed');
       process.exit(0);
     });
   });
 
   // Force quit after 10 seconds if graceful shutdown fails
   setTimeout(() => {
-    console.error('Could not close connections in time, forcefully shutting down');
+    logger.error('Could not close connections in time, forcefully shutting down');
     process.exit(1);
   }, 10000);
 }
 
 // Start server
 server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Connected to RPC: ${RPC_URL}`);
-  console.log(`Contract address: ${CONTRACT_ADDRESS}`);
-  console.log(`WebSocket server is active on ws://localhost:${PORT}`);
-  console.log(`WebSocket clients connected: ${wss.clients ? wss.clients.size : 0}`);
+  logger.info('Server running', { port: PORT, rpcUrls: RPC_URLS, contractAddress: CONTRACT_ADDRESS, logLevel: logger.getLevel() });
 });
\ No newline at end of file
@@ -0,0 +1,526 @@
+// server/activitypub.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { ethers } from 'ethers';
+import { renderMarkdown } from './markdown.js';
+import { extractHashtags } from './text.js';
+import { paginate, parseCursorQuery } from './cursor.js';
+import { signRequest, verifyRequest } from './httpSignature.js';
+import { createGuardedFetch } from './netguard.js';
+import { logger } from './logger.js';
+
+export const ACTIVITY_CONTENT_TYPE = 'application/activity+json';
+
+const PUBLIC_COLLECTION = 'https://www.w3.org/ns/activitystreams#Public';
+const CONTEXT = ['https://www.w3.org/ns/activitystreams', 'https://w3id.org/security/v1'];
+
+// Timeout for requests to other servers
+const REMOTE_TIMEOUT = 10000;
+
+// How long fetched remote actors are reused
+const REMOTE_ACTOR_TTL = 60 * 60 * 1000;
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// Remote actors and keys kept in memory; the least recently fetched go first
+const MAX_REMOTE_ACTORS = 1000;
+
+const sameOrigin = (a, b) => {
+  try {
+    return new URL(a).origin === new URL(b).origin;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Finds the public key a signature's keyId refers to, if it belongs to the
+ * activity's actor: either the actor document fetched from the actor's own
+ * URL lists it, or it is a key document served from the actor's origin.
+ * The owner a key document names is ignored, since anyone can host a key
+ * that names any actor.
+ * @param {Object} doc - Document fetched from the keyId without its fragment
+ * @param {string} keyId - keyId of the signature
+ * @param {string} actorId - actor of the activity
+ * @return {Object|null} { owner, publicKeyPem }
+ */
+const getActorKey = (doc, keyId, actorId) => {
+  const url = keyId.split('#')[0];
+
+  if (url === actorId && doc.id === actorId) {
+    const key = [].concat(doc.publicKey || []).find(candidate => candidate.id === keyId);
+    return key?.publicKeyPem ? { owner: actorId, publicKeyPem: key.publicKeyPem } : null;
+  }
+
+  if ((doc.id === keyId || doc.id === url) && doc.publicKeyPem && sameOrigin(keyId, actorId)) {
+    return { owner: actorId, publicKeyPem: doc.publicKeyPem };
+  }
+
+  return null;
+};
+
+/**
+ * Factory for the ActivityPub bridge.
+ * Every active profile is exposed as a Person actor, and its messages as
+ * Create/Note activities in the actor's outbox. Remote servers can follow
+ * actors through their inbox; new messages are then delivered to them.
+ * Actor keys and followers are kept in their own file next to the store
+ * snapshot, so rebuilding the index doesn't change keys or drop followers.
+ * @param {Object} options - Bridge options
+ * @param {Object} options.store - Message store
+ * @param {string} options.dataDir - Directory for the state file
+ * @param {string} options.publicUrl - Site URL. Without it the inbox refuses
+ *   activities and nothing is delivered, since the Host of a request can't
+ *   be trusted for what gets signed with actor keys
+ * @param {Set<string>} options.allowedHosts - Private hosts that may still be
+ *   fetched from and delivered to, e.g. a local test server
+ * @returns {Object} Bridge methods
+ */
+export const createActivityPub = ({ store, dataDir, publicUrl = null, allowedHosts = new Set() }) => {
+  const filePath = path.join(dataDir, 'activitypub.json');
+  // Fetches and deliveries go to URLs from unauthenticated requests
+  const guardedFetch = createGuardedFetch({ allowedHosts });
+
+  // lowercased address -> { publicKeyPem, privateKeyPem, followers: [{ id, inbox, baseUrl, followedAt }] }
+  let actors = {};
+
+  // lowercased address -> Promise of the state, while its key pair is generated
+  const pendingActors = new Map();
+
+  // remote actor URL -> { actor, fetchedAt }
+  const remoteActors = new Map();
+
+  const load = () => {
+    try {
+      if (fs.existsSync(filePath)) {
+        actors = JSON.parse(fs.readFileSync(filePath, 'utf8')).actors || {};
+      }
+    } catch (error) {
+      logger.error('Error loading ActivityPub state', { filePath, error });
+    }
+  };
+
+  const save = () => {
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ actors }));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      logger.error('Error saving ActivityPub state', { filePath, error });
+    }
+  };
+
+  // Key pairs are created the first time an actor is requested, off the
+  // event loop, and only for active profiles
+  const getActorState = async (address) => {
+    const key = address.toLowerCase();
+    if (actors[key]) return actors[key];
+    if (!getActiveProfile(address)) throw new Error(`${address} is not an actor`);
+
+    if (!pendingActors.has(key)) {
+      const pending = generateKeyPair('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+      })
+        .then(({ publicKey, privateKey }) => {
+          actors[key] = { publicKeyPem: publicKey, privateKeyPem: privateKey, followers: [] };
+          save();
+          return actors[key];
+        })
+        .finally(() => pendingActors.delete(key));
+      pendingActors.set(key, pending);
+    }
+
+    return pendingActors.get(key);
+  };
+
+  // Only active profiles with a nickname are actors
+  const getActiveProfile = (address) => {
+    if (!ethers.utils.isAddress(address)) return null;
+    const profile = store.getProfile(address);
+    return profile && profile.isActive && profile.nickname ? profile : null;
+  };
+
+  // URLs
+
+  const actorUrl = (baseUrl, address) => `${baseUrl}/ap/users/${ethers.utils.getAddress(address)}`;
+  const noteUrl = (baseUrl, messageId) => `${baseUrl}/ap/messages/${messageId}`;
+
+  // Local actor URL -> address, for activities addressed to us
+  const parseActorUrl = (url) => {
+    const match = typeof url === 'string' && url.match(/^(.*)\/ap\/users\/(0x[0-9a-fA-F]{40})$/);
+    return match ? { baseUrl: match[1], address: ethers.utils.getAddress(match[2]) } : null;
+  };
+
+  // Objects
+
+  /**
+   * WebFinger response for acct:nickname@host
+   * @param {string} resource - Requested resource
+   * @param {string} baseUrl - Site URL; its host must match the resource
+   * @return {Object|null} JRD document, or null if unknown
+   */
+  const getWebFinger = (resource, baseUrl) => {
+    const match = (resource || '').match(/^(?:acct:)?@?([A-Za-z0-9_]{1,32})@(.+)$/);
+    if (!match || match[2].toLowerCase() !== new URL(baseUrl).host.toLowerCase()) return null;
+
+    const address = store.getAddressByNickname(match[1]);
+    if (!address || !getActiveProfile(address)) return null;
+
+    return {
+      subject: `acct:${match[1]}@${match[2]}`,
+      aliases: [actorUrl(baseUrl, address), `${baseUrl}/user/${ethers.utils.getAddress(address)}`],
+      links: [
+        { rel: 'self', type: ACTIVITY_CONTENT_TYPE, href: actorUrl(baseUrl, address) },
+        { rel: 'http://webfinger.net/rel/profile-page', type: 'text/html', href: `${baseUrl}/user/${ethers.utils.getAddress(address)}` }
+      ]
+    };
+  };
+
+  /**
+   * Person actor for a profile
+   * @param {string} address - Profile address
+   * @param {string} baseUrl - Site URL
+   * @return {Promise<Object|null>} Actor, or null if the profile is not active
+   */
+  const getActor = async (address, baseUrl) => {
+    const profile = getActiveProfile(address);
+    if (!profile) return null;
+
+    const { publicKeyPem } = await getActorState(address);
+
+    const id = actorUrl(baseUrl, address);
+    return {
+      '@context': CONTEXT,
+      id,
+      type: 'Person',
+      preferredUsername: profile.nickname,
+      name: profile.nickname,
+      url: `${baseUrl}/user/${ethers.utils.getAddress(address)}`,
+      inbox: `${id}/inbox`,
+      outbox: `${id}/outbox`,
+      followers: `${id}/followers`,
+      manuallyApprovesFollowers: false,
+      publicKey: {
+        id: `${id}#main-key`,
+        owner: id,
+        publicKeyPem
+      }
+    };
+  };
+
+  // Messages deleted by their author are gone; pruned ones stay readable
+  const isPublished = (record) => record && (!record.isDeleted || record.deletionReason === 'pruned');
+
+  /**
+   * Note for a message
+   * @param {Object} record - Stored message
+   * @param {string} baseUrl - Site URL
+   * @return {Object} Note
+   */
+  const buildNote = (record, baseUrl) => {
+    const actor = actorUrl(baseUrl, record.sender);
+    const mentions = (record.mentions || []).filter(({ address }) => getActiveProfile(address));
+
+    return {
+      id: noteUrl(baseUrl, record.messageId),
+      type: 'Note',
+      attributedTo: actor,
+      url: `${baseUrl}/message/${record.messageId}`,
+      published: new Date(record.timestamp).toISOString(),
+      inReplyTo: record.replyToMessageId ? noteUrl(baseUrl, record.replyToMessageId) : null,
+      content: renderMarkdown(record.content, { baseUrl, mentions: record.mentions || [] }),
+      to: [PUBLIC_COLLECTION],
+      cc: [`${actor}/followers`, ...mentions.map(({ address }) => actorUrl(baseUrl, address))],
+      tag: [
+        ...extractHashtags(record.content).map(tag => ({
+          type: 'Hashtag',
+          href: `${baseUrl}/tag/${encodeURIComponent(tag)}`,
+          name: `#${tag}`
+        })),
+        ...mentions.map(({ nickname, address }) => ({
+          type: 'Mention',
+          href: actorUrl(baseUrl, address),
+          name: `@${nickname}@${new URL(baseUrl).host}`
+        }))
+      ]
+    };
+  };
+
+  /**
+   * Create activity wrapping a message's Note
+   * @param {Object} record - Stored message
+   * @param {string} baseUrl - Site URL
+   * @return {Object} Create activity
+   */
+  const buildCreate = (record, baseUrl) => {
+    const note = buildNote(record, baseUrl);
+    return {
+      id: `${note.id}/activity`,
+      type: 'Create',
+      actor: note.attributedTo,
+      published: note.published,
+      to: note.to,
+      cc: note.cc,
+      object: note
+    };
+  };
+
+  /**
+   * Note or Create activity for a message by ID
+   * @param {number} messageId - Message ID
+   * @param {string} baseUrl - Site URL
+   * @param {boolean} asActivity - Return the Create activity instead of the Note
+   * @return {Object|null} Object with @context, a Tombstone for deleted messages, or null if unknown
+   */
+  const getMessageObject = (messageId, baseUrl, asActivity = false) => {
+    const record = store.getMessage(messageId);
+    if (!record) return null;
+
+    if (!isPublished(record)) {
+      return { '@context': CONTEXT, id: noteUrl(baseUrl, messageId), type: 'Tombstone' };
+    }
+
+    return { '@context': CONTEXT, ...(asActivity ? buildCreate(record, baseUrl) : buildNote(record, baseUrl)) };
+  };
+
+  /**
+   * Actor outbox. Without `page` returns the collection summary; pages are
+   * cursor-paged like the REST API (?page=true&before=<cursor>).
+   * @param {string} address - Actor address
+   * @param {string} baseUrl - Site URL
+   * @param {Object} query - Request query
+   * @return {Object|null} OrderedCollection or OrderedCollectionPage, or null if unknown
+   */
+  const getOutbox = (address, baseUrl, query = {}) => {
+    if (!getActiveProfile(address)) return null;
+
+    const outboxUrl = `${actorUrl(baseUrl, address)}/outbox`;
+    const records = store.getMessagesBySender(address, { includeDeleted: true })
+      .filter(isPublished)
+      .sort((a, b) => b.messageId - a.messageId);
+
+    if (!query.page) {
+      return {
+        '@context': CONTEXT,
+        id: outboxUrl,
+        type: 'OrderedCollection',
+        totalItems: records.length,
+        first: `${outboxUrl}?page=true`
+      };
+    }
+
+    const params = parseCursorQuery(query);
+    if (params.error) return { error: params.error };
+
+    const { items, hasMore, cursors } = paginate(records, params);
+    const pageUrl = `${outboxUrl}?page=true${query.before ? `&before=${query.before}` : ''}`;
+
+    return {
+      '@context': CONTEXT,
+      id: pageUrl,
+      type: 'OrderedCollectionPage',
+      partOf: outboxUrl,
+      orderedItems: items.map(record => buildCreate(record, baseUrl)),
+      ...(hasMore ? { next: `${outboxUrl}?page=true&before=${cursors.before}` } : {})
+    };
+  };
+
+  /**
+   * Followers collection; only the count is public
+   * @param {string} address - Actor address
+   * @param {string} baseUrl - Site URL
+   * @return {Object|null} OrderedCollection, or null if unknown
+   */
+  const getFollowers = (address, baseUrl) => {
+    if (!getActiveProfile(address)) return null;
+
+    return {
+      '@context': CONTEXT,
+      id: `${actorUrl(baseUrl, address)}/followers`,
+      type: 'OrderedCollection',
+      totalItems: actors[address.toLowerCase()]?.followers.length || 0
+    };
+  };
+
+  // Talking to other servers
+
+  // Signed GET, so servers that require authorized fetch answer too
+  const fetchRemote = async (url, signer) => {
+    const headers = { accept: ACTIVITY_CONTENT_TYPE };
+    if (signer) {
+      Object.assign(headers, signRequest({ url }, signer.keyId, signer.privateKeyPem));
+    }
+
+    const response = await guardedFetch(url, { headers, signal: AbortSignal.timeout(REMOTE_TIMEOUT) });
+    if (!response.ok) throw new Error(`GET ${url} returned ${response.status}`);
+    return response.json();
+  };
+
+  const fetchRemoteActor = async (url, signer) => {
+    const cached = remoteActors.get(url);
+    if (cached && Date.now() - cached.fetchedAt < REMOTE_ACTOR_TTL) return cached.actor;
+
+    const actor = await fetchRemote(url, signer);
+    remoteActors.delete(url);
+    remoteActors.set(url, { actor, fetchedAt: Date.now() });
+    if (remoteActors.size > MAX_REMOTE_ACTORS) {
+      remoteActors.delete(remoteActors.keys().next().value);
+    }
+    return actor;
+  };
+
+  const postActivity = async (inbox, activity, signer) => {
+    const body = JSON.stringify({ '@context': CONTEXT, ...activity });
+    const headers = {
+      'content-type': ACTIVITY_CONTENT_TYPE,
+      ...signRequest({ url: inbox, method: 'POST', body }, signer.keyId, signer.privateKeyPem)
+    };
+
+    const response = await guardedFetch(inbox, { method: 'POST', headers, body, signal: AbortSignal.timeout(REMOTE_TIMEOUT) });
+    await response.body?.cancel();
+    if (!response.ok) throw new Error(`POST ${inbox} returned ${response.status}`);
+  };
+
+  const getSigner = async (address, baseUrl) => ({
+    keyId: `${actorUrl(baseUrl, address)}#main-key`,
+    privateKeyPem: (await getActorState(address)).privateKeyPem
+  });
+
+  /**
+   * Handles an activity posted to an actor's inbox. The request must carry a
+   * valid HTTP signature from the activity's actor. Follow and Undo(Follow)
+   * are processed; anything else is accepted and ignored.
+   * @param {string} address - Actor whose inbox received the activity
+   * @param {string} baseUrl - Site URL of the request; a Follow must name an actor on it
+   * @param {Object} request - { method, path, headers, body } with the raw body
+   * @return {Promise<Object>} { status, error }
+   */
+  const handleInbox = async (address, baseUrl, request) => {
+    if (!publicUrl) return { status: 503, error: 'Federation is disabled until PUBLIC_URL is set' };
+    if (!getActiveProfile(address)) return { status: 404, error: 'Actor not found' };
+
+    let activity;
+    try {
+      activity = JSON.parse(request.body.toString('utf8'));
+    } catch (error) {
+      return { status: 400, error: 'Invalid JSON' };
+    }
+
+    if (typeof activity?.actor !== 'string') return { status: 400, error: 'Activity has no actor' };
+
+    const signer = await getSigner(address, baseUrl);
+    const verification = await verifyRequest(request, async (keyId) => {
+      try {
+        const doc = await fetchRemoteActor(keyId.split('#')[0], signer);
+        const key = getActorKey(doc, keyId, activity.actor);
+        if (!key) logger.warn('ActivityPub key does not belong to the actor', { keyId, actor: activity.actor });
+        return key;
+      } catch (error) {
+        logger.warn('Error fetching ActivityPub key', { keyId, error: error.message });
+        return null;
+      }
+    });
+
+    if (!verification.valid) return { status: 401, error: verification.error };
+    if (verification.owner !== activity.actor) {
+      return { status: 401, error: 'Signature does not belong to the activity actor' };
+    }
+
+    const state = await getActorState(address);
+    const localActor = actorUrl(baseUrl, address);
+
+    if (activity.type === 'Follow') {
+      const target = parseActorUrl(typeof activity.object === 'string' ? activity.object : activity.object?.id);
+      if (!target || target.baseUrl !== baseUrl || target.address !== ethers.utils.getAddress(address)) {
+        return { status: 400, error: 'Follow is not addressed to this actor' };
+      }
+
+      let remote;
+      try {
+        remote = await fetchRemoteActor(activity.actor, signer);
+      } catch (error) {
+        return { status: 502, error: `Could not fetch actor ${activity.actor}` };
+      }
+
+      const inbox = remote.endpoints?.sharedInbox || remote.inbox;
+      if (!inbox) return { status: 400, error: 'Follower has no inbox' };
+
+      state.followers = state.followers.filter(follower => follower.id !== activity.actor);
+      state.followers.push({ id: activity.actor, inbox, baseUrl, followedAt: Date.now() });
+      save();
+      logger.info('ActivityPub follow', { follower: activity.actor, actor: localActor });
+
+      try {
+        await postActivity(remote.inbox, {
+          id: `${localActor}#accepts/${crypto.randomUUID()}`,
+          type: 'Accept',
+          actor: localActor,
+          object: activity
+        }, signer);
+      } catch (error) {
+        logger.warn('Error sending ActivityPub Accept', { inbox: remote.inbox, error: error.message });
+      }
+
+      return { status: 202 };
+    }
+
+    if (activity.type === 'Undo' && activity.object?.type === 'Follow') {
+      const before = state.followers.length;
+      state.followers = state.followers.filter(follower => follower.id !== activity.actor);
+      if (state.followers.length !== before) {
+        save();
+        logger.info('ActivityPub unfollow', { follower: activity.actor, actor: localActor });
+      }
+      return { status: 202 };
+    }
+
+    return { status: 202 };
+  };
+
+  /**
+   * Delivers a new message to the followers of its sender. Never throws;
+   * failed deliveries are logged.
+   * @param {number} messageId - ID of a message already in the store
+   * @return {Promise<number>} Number of inboxes delivered to
+   */
+  const publishMessage = async (messageId) => {
+    const record = store.getMessage(messageId);
+    if (!publicUrl || !isPublished(record) || !getActiveProfile(record.sender)) return 0;
+
+    const followers = actors[record.sender.toLowerCase()]?.followers || [];
+    if (followers.length === 0) return 0;
+
+    // Followers on the same server share an inbox
+    const inboxes = [...new Set(followers.map(follower => follower.inbox))];
+    const activity = buildCreate(record, publicUrl);
+    const signer = await getSigner(record.sender, publicUrl);
+
+    const results = await Promise.allSettled(inboxes.map(inbox => postActivity(inbox, activity, signer)));
+
+    results.forEach(result => {
+      if (result.status === 'rejected') {
+        logger.warn('Error delivering ActivityPub message', { messageId, error: result.reason.message });
+      }
+    });
+
+    const delivered = results.filter(result => result.status === 'fulfilled').length;
+    logger.debug('Delivered ActivityPub message', { messageId, delivered, inboxes: results.length });
+    return delivered;
+  };
+
+  return {
+    load,
+    getWebFinger,
+    getActor,
+    getMessageObject,
+    getOutbox,
+    getFollowers,
+    handleInbox,
+    publishMessage
+  };
+};
@@ -0,0 +1,139 @@
+// server/channels.js
+import { ethers } from 'ethers';
+import { logger } from './logger.js';
+
+// Channels without a parameter
+const STATIC_CHANNELS = ['feed', 'profiles', 'params'];
+
+// Cap per connection so one client can't grow the subscription maps without bound
+export const MAX_SUBSCRIPTIONS = 100;
+
+/**
+ * Normalizes a channel name, or returns null if it isn't one.
+ * Channels: feed, profiles, params, thread:<messageId>, user:<address>
+ * @param {string} channel - Channel name from a client
+ * @return {string|null} Canonical name (addresses lowercased)
+ */
+export const parseChannel = (channel) => {
+  if (typeof channel !== 'string') return null;
+  if (STATIC_CHANNELS.includes(channel)) return channel;
+
+  const [kind, value] = channel.split(/:(.*)/);
+
+  if (kind === 'thread' && /^\d+$/.test(value) && parseInt(value) > 0) {
+    return `thread:${parseInt(value)}`;
+  }
+  if (kind === 'user' && ethers.utils.isAddress(value)) {
+    return `user:${value.toLowerCase()}`;
+  }
+
+  return null;
+};
+
+/**
+ * Factory for WebSocket channel subscriptions.
+ * Events are published to channels and sent only to the clients
+ * subscribed to at least one of them, once per client.
+ * @returns {Object} Hub methods
+ */
+export const createChannelHub = () => {
+  const channelsByClient = new Map(); // ws -> Set of channel names
+  const clientsByChannel = new Map(); // channel name -> Set of ws
+
+  /**
+   * Subscribes a client to channels
+   * @param {WebSocket} ws - Client connection
+   * @param {Array<string>} channels - Canonical channel names
+   * @return {Array<string>} Channels the client is now subscribed to, of those given
+   */
+  const subscribe = (ws, channels) => {
+    if (!channelsByClient.has(ws)) channelsByClient.set(ws, new Set());
+    const subscribed = channelsByClient.get(ws);
+
+    return channels.filter(channel => {
+      if (subscribed.has(channel)) return true;
+      if (subscribed.size >= MAX_SUBSCRIPTIONS) return false;
+
+      subscribed.add(channel);
+      if (!clientsByChannel.has(channel)) clientsByChannel.set(channel, new Set());
+      clientsByChannel.get(channel).add(ws);
+      return true;
+    });
+  };
+
+  /**
+   * Unsubscribes a client from channels
+   * @param {WebSocket} ws - Client connection
+   * @param {Array<string>} channels - Canonical channel names
+   */
+  const unsubscribe = (ws, channels) => {
+    const subscribed = channelsByClient.get(ws);
+    if (!subscribed) return;
+
+    channels.forEach(channel => {
+      subscribed.delete(channel);
+
+      const clients = clientsByChannel.get(channel);
+      if (clients) {
+        clients.delete(ws);
+        if (clients.size === 0) clientsByChannel.delete(channel);
+      }
+    });
+  };
+
+  // Drop every subscription of a closed connection
+  const removeClient = (ws) => {
+    const subscribed = channelsByClient.get(ws);
+    if (!subscribed) return;
+
+    unsubscribe(ws, [...subscribed]);
+    channelsByClient.delete(ws);
+  };
+
+  const getSubscriptions = (ws) => [...(channelsByClient.get(ws) || [])];
+
+  /**
+   * Sends an event to every client subscribed to any of the channels
+   * @param {Array<string>} channels - Canonical channel names
+   * @param {Object} event - Event payload; `channels` is added to it
+   * @return {number} Number of clients the event was sent to
+   */
+  const publish = (channels, event) => {
+    const recipients = new Set();
+    channels.forEach(channel => {
+      (clientsByChannel.get(channel) || []).forEach(ws => recipients.add(ws));
+    });
+
+    if (recipients.size === 0) return 0;
+
+    const payload = JSON.stringify({ ...event, channels });
+    let sent = 0;
+
+    recipients.forEach(ws => {
+      if (ws.readyState !== 1) return; // WebSocket.OPEN
+
+      try {
+        ws.send(payload);
+        sent++;
+      } catch (sendError) {
+        logger.error('Error sending WebSocket event', { type: event.type, error: sendError });
+      }
+    });
+
+    return sent;
+  };
+
+  const getStats = () => ({
+    clients: channelsByClient.size,
+    channels: Object.fromEntries([...clientsByChannel].map(([channel, clients]) => [channel, clients.size]))
+  });
+
+  return {
+    subscribe,
+    unsubscribe,
+    removeClient,
+    getSubscriptions,
+    publish,
+    getStats
+  };
+};
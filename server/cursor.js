@@ -0,0 +1,88 @@
+// server/cursor.js
+
+// Page size limits for cursor paging
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encodes a message ID as an opaque cursor
+ * @param {number} messageId - Message ID the cursor points at
+ * @return {string} Cursor string
+ */
+export const encodeCursor = (messageId) =>
+  Buffer.from(JSON.stringify({ id: messageId })).toString('base64url');
+
+/**
+ * Decodes a cursor created by encodeCursor
+ * @param {string} cursor - Cursor string
+ * @return {number|null} Message ID, or null if the cursor is invalid
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(id) && id >= 0 ? id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether a request to a page-numbered route asks for cursor paging instead
+ * @param {Object} query - Express request query
+ * @return {boolean}
+ */
+export const wantsCursorPage = (query) =>
+  query.before !== undefined || query.after !== undefined;
+
+/**
+ * Reads before/after/limit from a request query
+ * @param {Object} query - Express request query
+ * @return {Object} { before, after, limit } with decoded IDs, or { error }
+ */
+export const parseCursorQuery = (query) => {
+  const before = query.before ? decodeCursor(query.before.toString()) : null;
+  const after = query.after ? decodeCursor(query.after.toString()) : null;
+
+  if ((query.before && before === null) || (query.after && after === null)) {
+    return { error: 'Invalid cursor' };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { before, after, limit };
+};
+
+/**
+ * Takes one page from records sorted newest first.
+ * With `after`, returns the records right after the cursor (the oldest of
+ * the newer ones), so polling with cursors.after never skips a message.
+ * @param {Array<Object>} records - Records with messageId, newest first
+ * @param {Object} options - { before, after, limit } as from parseCursorQuery
+ * @return {Object} { items, hasMore, cursors: { before, after } }
+ */
+export const paginate = (records, { before = null, after = null, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  let items;
+  let hasMore;
+
+  if (after !== null) {
+    const newer = records.filter(record => record.messageId > after);
+    items = newer.slice(-limit);
+    hasMore = newer.length > limit;
+  } else {
+    const older = before !== null ? records.filter(record => record.messageId < before) : records;
+    items = older.slice(0, limit);
+    hasMore = older.length > limit;
+  }
+
+  // Empty pages keep the incoming cursor so clients can keep polling
+  const oldestId = items.length > 0 ? items[items.length - 1].messageId : before;
+  const newestId = items.length > 0 ? items[0].messageId : after;
+
+  return {
+    items,
+    hasMore,
+    cursors: {
+      before: oldestId !== null ? encodeCursor(oldestId) : null,
+      after: newestId !== null ? encodeCursor(newestId) : null
+    }
+  };
+};
@@ -0,0 +1,77 @@
+// server/eventLog.js
+import crypto from 'crypto';
+
+// Events kept for clients that reconnect
+const DEFAULT_BUFFER_SIZE = 1000;
+
+/**
+ * Factory for the sequence of server events. Every event gets the next
+ * sequence number, and the most recent ones are kept so a client that
+ * reconnects can be sent the ones it missed.
+ *
+ * Sequence numbers start again at 1 when the server restarts; the stream
+ * ID tells a client whether its last sequence number is from this run.
+ * @param {Object} options - Options
+ * @param {number} options.size - Number of events to keep
+ * @returns {Object} Event log methods
+ */
+export const createEventLog = ({ size = DEFAULT_BUFFER_SIZE } = {}) => {
+  const streamId = crypto.randomBytes(8).toString('hex');
+  const entries = [];
+  let seq = 0;
+
+  /**
+   * Records an event
+   * @param {Object} params - Event parameters
+   * @param {Array<string>} params.channels - Channels it is published to, if any
+   * @param {string} params.recipient - Lowercased address it is sent to, if targeted
+   * @param {Object} params.event - Event payload
+   * @return {Object} Entry { seq, channels, recipient, payload, queued } with
+   *   seq added to the payload. Set queued when a targeted event is queued
+   *   for the recipient instead of sent, so it isn't replayed as well.
+   */
+  const append = ({ channels = [], recipient = null, event }) => {
+    seq++;
+    const entry = { seq, channels, recipient, payload: { ...event, seq }, queued: false };
+
+    entries.push(entry);
+    if (entries.length > size) entries.shift();
+
+    return entry;
+  };
+
+  /**
+   * Entries after a sequence number
+   * @param {number} lastSeq - Last sequence number the client saw
+   * @param {string} clientStreamId - Stream ID the client saw it on
+   * @return {Array<Object>|null} Entries oldest first, or null if some of the
+   *   missed events are no longer kept (or are from another stream)
+   */
+  const since = (lastSeq, clientStreamId) => {
+    if (clientStreamId !== streamId || !Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > seq) {
+      return null;
+    }
+
+    const oldest = entries.length > 0 ? entries[0].seq : seq + 1;
+    if (lastSeq < oldest - 1) return null;
+
+    return entries.filter(entry => entry.seq > lastSeq);
+  };
+
+  const getSeq = () => seq;
+
+  const getStats = () => ({
+    streamId,
+    seq,
+    buffered: entries.length,
+    oldestSeq: entries.length > 0 ? entries[0].seq : null
+  });
+
+  return {
+    streamId,
+    append,
+    since,
+    getSeq,
+    getStats
+  };
+};
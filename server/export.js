@@ -0,0 +1,88 @@
+// server/export.js
+
+// Column order for CSV, also the key order of JSON Lines rows
+const FIELDS = [
+  'messageId',
+  'timestamp',
+  'sender',
+  'nickname',
+  'content',
+  'isReply',
+  'replyToMessageId',
+  'replyToSender',
+  'replyIds',
+  'isDeleted',
+  'deletionReason',
+  'deletedAt'
+];
+
+/**
+ * Builds one export row from a stored message
+ * @param {Object} store - Message store, for reply relations
+ * @param {Object} record - Stored message
+ * @return {Object} Row with the fields in FIELDS; nickname is the one the
+ *   sender had when posting. Messages their author deleted have no content,
+ *   as in thread views; pruned ones keep theirs.
+ */
+export const toExportRow = (store, record) => ({
+  messageId: record.messageId,
+  timestamp: new Date(record.timestamp).toISOString(),
+  sender: record.sender,
+  nickname: record.nickname || '',
+  content: record.isDeleted && record.deletionReason !== 'pruned' ? null : record.content || '',
+  isReply: record.replyToMessageId !== 0,
+  replyToMessageId: record.replyToMessageId || null,
+  replyToSender: record.replyToMessageId ? store.getMessage(record.replyToMessageId)?.sender || null : null,
+  replyIds: store.getReplies(record.messageId, { includeDeleted: true }).map(reply => reply.messageId),
+  isDeleted: record.isDeleted,
+  deletionReason: record.deletionReason || null,
+  deletedAt: record.deletedAt ? new Date(record.deletedAt).toISOString() : null
+});
+
+// Quote a CSV value. Values that a spreadsheet would run as a formula get a
+// leading apostrophe.
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = Array.isArray(value) ? value.join(' ') : value.toString();
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const markdownRow = (row) => {
+  const details = [
+    `- Posted: ${row.timestamp} as @${row.nickname || row.sender}`,
+    row.isReply ? `- Reply to: #${row.replyToMessageId}${row.replyToSender ? ` by ${row.replyToSender}` : ''}` : null,
+    row.replyIds.length > 0 ? `- Replies: ${row.replyIds.map(id => `#${id}`).join(', ')}` : null,
+    row.isDeleted ? `- ${row.deletionReason === 'pruned' ? 'Pruned' : 'Deleted'}${row.deletedAt ? `: ${row.deletedAt}` : ''}` : null
+  ].filter(Boolean);
+
+  const content = row.content === null ? '' : `${row.content}\n\n`;
+  return `## Message #${row.messageId}\n\n${details.join('\n')}\n\n${content}`;
+};
+
+/**
+ * Export formats. Each one writes a header once, then one chunk per row, so
+ * the route can stream rows as it goes.
+ */
+export const EXPORT_FORMATS = {
+  jsonl: {
+    contentType: 'application/x-ndjson',
+    extension: 'jsonl',
+    header: () => '',
+    row: (row) => `${JSON.stringify(row)}\n`
+  },
+  csv: {
+    contentType: 'text/csv',
+    extension: 'csv',
+    header: () => `${FIELDS.join(',')}\r\n`,
+    row: (row) => `${FIELDS.map(field => csvValue(row[field])).join(',')}\r\n`
+  },
+  md: {
+    contentType: 'text/markdown',
+    extension: 'md',
+    header: (address, exportedAt) => `# Messages by ${address}\n\nExported ${exportedAt}\n\n`,
+    row: markdownRow
+  }
+};
@@ -0,0 +1,104 @@
+// server/feed.js
+import { escapeHtml, renderMarkdown } from './markdown.js';
+
+// Number of messages in a feed
+export const FEED_SIZE = 50;
+
+// Length of the item title taken from the message text
+const TITLE_LENGTH = 80;
+
+// XML needs the same escaping as HTML attributes
+const escapeXml = escapeHtml;
+
+// Title for a feed item: author and the start of the first line
+const itemTitle = (message) => {
+  const firstLine = ((message.content || '').split('\n').find(line => line.trim() !== '') || '')
+    .trim()
+    .replace(/^(#{1,3}|>|[-*]|\d+\.)\s+/, '');
+  const text = firstLine.length > TITLE_LENGTH ? `${firstLine.slice(0, TITLE_LENGTH)}...` : firstLine;
+  return `@${message.nickname}: ${text}`;
+};
+
+// Fields shared by both formats
+const feedItem = (message, baseUrl) => ({
+  id: message.messageId,
+  title: itemTitle(message),
+  link: `${baseUrl}/message/${message.messageId}`,
+  author: message.nickname,
+  authorLink: `${baseUrl}/user/${message.sender}`,
+  date: new Date(message.timestamp),
+  html: renderMarkdown(message.content, { baseUrl, mentions: message.mentions || [] })
+});
+
+/**
+ * Builds an RSS 2.0 feed. Item GUIDs are message IDs and links point at the
+ * message permalink.
+ * @param {Object} feed - Feed description
+ * @param {string} feed.title - Feed title
+ * @param {string} feed.description - Feed description
+ * @param {string} feed.link - Page the feed belongs to
+ * @param {string} feed.selfUrl - URL of the feed itself
+ * @param {string} feed.baseUrl - Site URL for permalinks
+ * @param {Array<Object>} feed.messages - Formatted messages, newest first
+ * @return {string} RSS XML
+ */
+export const buildRssFeed = ({ title, description, link, selfUrl, baseUrl, messages }) => {
+  const items = messages.map(message => feedItem(message, baseUrl)).map(item => `
+    <item>
+      <guid isPermaLink="false">${item.id}</guid>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <description>${escapeXml(item.html)}</description>
+    </item>`).join('');
+
+  const lastBuildDate = messages.length > 0 ? new Date(messages[0].timestamp) : new Date();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(link)}</link>
+    <description>${escapeXml(description)}</description>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml" />
+    <lastBuildDate>${lastBuildDate.toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+};
+
+/**
+ * Builds an Atom feed with the same items as buildRssFeed. Atom IDs must be
+ * URIs, so entries use the message permalink.
+ * @param {Object} feed - Same fields as buildRssFeed
+ * @return {string} Atom XML
+ */
+export const buildAtomFeed = ({ title, description, link, selfUrl, baseUrl, messages }) => {
+  const entries = messages.map(message => feedItem(message, baseUrl)).map(item => `
+  <entry>
+    <id>${escapeXml(item.link)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.link)}" />
+    <author>
+      <name>${escapeXml(item.author)}</name>
+      <uri>${escapeXml(item.authorLink)}</uri>
+    </author>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.date.toISOString()}</updated>
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`).join('');
+
+  const updated = messages.length > 0 ? new Date(messages[0].timestamp) : new Date();
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(selfUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(link)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}" />
+  <updated>${updated.toISOString()}</updated>${entries}
+</feed>
+`;
+};
@@ -0,0 +1,131 @@
+// server/httpSignature.js
+import crypto from 'crypto';
+
+// Requests signed longer ago than this are rejected
+const MAX_CLOCK_SKEW = 12 * 60 * 60 * 1000;
+
+// Headers a signature must cover, so it can't be replayed later, or sent
+// to another path or host; requests with a body must sign digest too
+const REQUIRED_HEADERS = ['(request-target)', 'host', 'date'];
+
+/**
+ * SHA-256 Digest header value for a request body
+ * @param {Buffer|string} body - Request body
+ * @return {string} Digest header value
+ */
+export const digestBody = (body) =>
+  `SHA-256=${crypto.createHash('sha256').update(body).digest('base64')}`;
+
+// String that gets signed, built from the listed headers
+const signingString = (headerNames, { method, path, headers }) =>
+  headerNames.map(name => (name === '(request-target)'
+    ? `(request-target): ${method.toLowerCase()} ${path}`
+    : `${name}: ${headers[name]}`)).join('\n');
+
+/**
+ * Signs an outgoing request (draft-cavage HTTP Signatures, rsa-sha256).
+ * POST requests also get a Digest header.
+ * @param {Object} request - Request to sign
+ * @param {string} request.url - Target URL
+ * @param {string} request.method - HTTP method
+ * @param {string} request.body - Request body, for POST
+ * @param {string} keyId - Key ID, e.g. the actor URL plus #main-key
+ * @param {string} privateKeyPem - PEM-encoded private key
+ * @return {Object} Headers to send (host, date, digest, signature)
+ */
+export const signRequest = ({ url, method = 'GET', body }, keyId, privateKeyPem) => {
+  const { host, pathname, search } = new URL(url);
+  const headers = { host, date: new Date().toUTCString() };
+  const headerNames = ['(request-target)', 'host', 'date'];
+
+  if (body !== undefined) {
+    headers.digest = digestBody(body);
+    headerNames.push('digest');
+  }
+
+  const signature = crypto.sign(
+    'sha256',
+    Buffer.from(signingString(headerNames, { method, path: `${pathname}${search}`, headers })),
+    privateKeyPem
+  ).toString('base64');
+
+  headers.signature = `keyId="${keyId}",algorithm="rsa-sha256",headers="${headerNames.join(' ')}",signature="${signature}"`;
+  return headers;
+};
+
+/**
+ * Parses a Signature header
+ * @param {string} header - Signature header value
+ * @return {Object|null} { keyId, headers, signature }, or null if malformed
+ */
+export const parseSignatureHeader = (header) => {
+  if (!header) return null;
+
+  const params = {};
+  for (const match of header.matchAll(/(\w+)="([^"]*)"/g)) {
+    params[match[1]] = match[2];
+  }
+
+  if (!params.keyId || !params.signature) return null;
+
+  return {
+    keyId: params.keyId,
+    headers: (params.headers || 'date').toLowerCase().split(' ').filter(Boolean),
+    signature: params.signature
+  };
+};
+
+/**
+ * Verifies the signature of an incoming request
+ * @param {Object} request - Incoming request
+ * @param {string} request.method - HTTP method
+ * @param {string} request.path - Path including the query string
+ * @param {Object} request.headers - Lowercased request headers
+ * @param {Buffer} request.body - Raw body, checked against the Digest header
+ * @param {Function} fetchPublicKey - async (keyId) => { owner, publicKeyPem } or null
+ * @return {Promise<Object>} { valid, owner, error }
+ */
+export const verifyRequest = async ({ method, path, headers, body }, fetchPublicKey) => {
+  const parsed = parseSignatureHeader(headers.signature);
+  if (!parsed) {
+    return { valid: false, error: 'Missing or malformed Signature header' };
+  }
+
+  const missing = REQUIRED_HEADERS.filter(name => !parsed.headers.includes(name));
+  if (missing.length > 0) {
+    return { valid: false, error: `Signature must cover ${missing.join(', ')}` };
+  }
+
+  if (parsed.headers.some(name => name !== '(request-target)' && headers[name] === undefined)) {
+    return { valid: false, error: 'Signed header is missing' };
+  }
+
+  const date = Date.parse(headers.date);
+  if (isNaN(date) || Math.abs(Date.now() - date) > MAX_CLOCK_SKEW) {
+    return { valid: false, error: 'Date header is missing or too far off' };
+  }
+
+  if (body && body.length > 0) {
+    if (!parsed.headers.includes('digest') || headers.digest !== digestBody(body)) {
+      return { valid: false, error: 'Digest does not match the body' };
+    }
+  }
+
+  const key = await fetchPublicKey(parsed.keyId);
+  if (!key) {
+    return { valid: false, error: `Could not fetch key ${parsed.keyId}` };
+  }
+
+  try {
+    const valid = crypto.verify(
+      'sha256',
+      Buffer.from(signingString(parsed.headers, { method, path, headers })),
+      key.publicKeyPem,
+      Buffer.from(parsed.signature, 'base64')
+    );
+
+    return valid ? { valid: true, owner: key.owner } : { valid: false, error: 'Signature does not verify' };
+  } catch (error) {
+    return { valid: false, error: `Signature check failed: ${error.message}` };
+  }
+};
@@ -0,0 +1,328 @@
+// server/indexer.js
+import { safeToNumber } from './utils.js';
+import { extractMentions } from './text.js';
+import { logger } from './logger.js';
+
+// Defaults
+const DEFAULT_BATCH_SIZE = 2000; // blocks per getLogs request
+const DEFAULT_POLL_INTERVAL = 5000; // ms between catch-up runs
+const BLOCK_TIMESTAMP_CACHE_SIZE = 1000;
+
+/**
+ * Factory for the background event indexer.
+ * Backfills contract events from a starting block into the store and keeps
+ * it current by polling for new logs.
+ * @param {Object} options - Indexer options
+ * @param {Object} options.provider - ethers provider
+ * @param {Object} options.contract - ethers contract instance
+ * @param {Object} options.store - Message store (see store.js)
+ * @param {number} options.startBlock - First block to index
+ * @param {number} options.batchSize - Blocks per getLogs request
+ * @param {number} options.pollInterval - Poll interval in milliseconds
+ * @returns {Object} Indexer methods
+ */
+export const createIndexer = ({
+  provider,
+  contract,
+  store,
+  startBlock = 0,
+  batchSize = DEFAULT_BATCH_SIZE,
+  pollInterval = DEFAULT_POLL_INTERVAL
+}) => {
+  let ready = false;
+  let syncing = false;
+  let syncQueue = Promise.resolve();
+  let pollTimer = null;
+  let headBlock = null;
+  let lastError = null;
+  const blockTimestamps = new Map();
+
+  const getBlockTimestamp = async (blockNumber) => {
+    if (blockTimestamps.has(blockNumber)) {
+      return blockTimestamps.get(blockNumber);
+    }
+
+    try {
+      const block = await provider.getBlock(blockNumber);
+      const timestamp = block.timestamp * 1000;
+
+      if (blockTimestamps.size >= BLOCK_TIMESTAMP_CACHE_SIZE) {
+        blockTimestamps.clear();
+      }
+      blockTimestamps.set(blockNumber, timestamp);
+
+      return timestamp;
+    } catch (error) {
+      logger.warn('Indexer could not get block timestamp', { blockNumber, error: error.message });
+      return null;
+    }
+  };
+
+  /**
+   * Read a message from the contract for fields the events don't carry
+   */
+  const fetchMessage = async (messageId) => {
+    const msg = await contract.getMessage(messageId);
+    return {
+      content: msg.content || '',
+      nickname: msg.nickname || ''
+    };
+  };
+
+  /**
+   * Resolve @mentions to addresses as of the event being applied.
+   * The store knows every profile up to this block; the contract is only
+   * asked for nicknames registered before the indexer's start block.
+   */
+  const resolveMentions = async (content) => {
+    const mentions = [];
+
+    for (const nickname of extractMentions(content)) {
+      let address = store.getAddressByNickname(nickname);
+
+      if (!address && store.getMeta().startBlock > 0) {
+        try {
+          const onChain = await contract.getAddressByNickname(nickname);
+          if (onChain && !/^0x0{40}$/.test(onChain)) address = onChain;
+        } catch (error) {
+          logger.warn('Indexer could not resolve mention', { nickname, error: error.message });
+        }
+      }
+
+      if (address) mentions.push({ nickname, address });
+    }
+
+    return mentions;
+  };
+
+  /**
+   * Apply a single parsed contract event to the store
+   * @param {Object} event - { name, args, blockNumber, transactionHash }
+   */
+  const applyEvent = async ({ name, args, blockNumber, transactionHash }) => {
+    switch (name) {
+      case 'MessageSent': {
+        const messageId = safeToNumber(args.messageId);
+
+        // Nickname at posting time is the sender's profile at this block
+        let nickname = store.getProfile(args.sender)?.nickname;
+        if (!nickname) {
+          nickname = (await fetchMessage(messageId)).nickname;
+        }
+
+        store.upsertMessage({
+          messageId,
+          sender: args.sender,
+          nickname,
+          content: args.content,
+          mentions: await resolveMentions(args.content),
+          timestamp: safeToNumber(args.timestamp) * 1000,
+          replyToMessageId: 0,
+          blockNumber,
+          transactionHash
+        });
+        break;
+      }
+
+      case 'ReplyMessageSent': {
+        const messageId = safeToNumber(args.messageId);
+
+        // Reply events don't include the content
+        const { content, nickname } = await fetchMessage(messageId);
+
+        store.upsertMessage({
+          messageId,
+          sender: args.sender,
+          nickname: nickname || store.getProfile(args.sender)?.nickname || '',
+          content,
+          mentions: await resolveMentions(content),
+          timestamp: safeToNumber(args.timestamp) * 1000,
+          replyToMessageId: safeToNumber(args.replyToMessageId),
+          blockNumber,
+          transactionHash
+        });
+        break;
+      }
+
+      case 'MessageDeleted': {
+        const messageId = safeToNumber(args.messageId);
+        if (!store.hasMessage(messageId)) {
+          logger.warn('Indexer: deleted message is not in the store', { messageId });
+          break;
+        }
+
+        store.markDeleted(messageId, {
+          reason: 'user',
+          deletedBy: args.sender,
+          deletedAt: await getBlockTimestamp(blockNumber),
+          deletedIn: { blockNumber, transactionHash }
+        });
+        break;
+      }
+
+      case 'OldMessagesDeleted': {
+        const count = safeToNumber(args.count);
+        const pruned = store.pruneOldest(count, await getBlockTimestamp(blockNumber), { blockNumber, transactionHash });
+
+        if (pruned.length !== count) {
+          logger.warn('Indexer: pruned message count differs', { contractCount: count, storeCount: pruned.length });
+        }
+        break;
+      }
+
+      case 'ProfileUpdated':
+        store.upsertProfile(args.user, {
+          nickname: args.nickname,
+          avatarCode: args.avatarCode,
+          isActive: true,
+          updatedAt: await getBlockTimestamp(blockNumber)
+        });
+        break;
+
+      case 'ProfileDeactivated':
+        store.deactivateProfile(args.user, await getBlockTimestamp(blockNumber));
+        break;
+
+      case 'ParameterUpdated':
+        store.setParameter(args.paramName, args.newValue);
+        break;
+
+      default:
+        // Events we don't index (e.g. Callback)
+        break;
+    }
+  };
+
+  /**
+   * Fetch and apply all logs between the last indexed block and the chain head
+   */
+  const catchUp = async () => {
+    syncing = true;
+
+    try {
+      headBlock = await provider.getBlockNumber();
+
+      const meta = store.getMeta();
+      let fromBlock = meta.lastBlock === null ? meta.startBlock : meta.lastBlock + 1;
+
+      while (fromBlock <= headBlock) {
+        const toBlock = Math.min(headBlock, fromBlock + batchSize - 1);
+        const logs = await provider.getLogs({
+          address: contract.address,
+          fromBlock,
+          toBlock
+        });
+
+        // Resume point inside a partially applied batch
+        const lastEvent = store.getMeta().lastEvent;
+
+        for (const log of logs) {
+          if (lastEvent && (log.blockNumber < lastEvent.blockNumber ||
+            (log.blockNumber === lastEvent.blockNumber && log.logIndex <= lastEvent.logIndex))) {
+            continue;
+          }
+
+          let parsed;
+          try {
+            parsed = contract.interface.parseLog(log);
+          } catch (error) {
+            continue; // Not one of our ABI events
+          }
+
+          await applyEvent({
+            name: parsed.name,
+            args: parsed.args,
+            blockNumber: log.blockNumber,
+            transactionHash: log.transactionHash
+          });
+
+          store.setLastEvent({ blockNumber: log.blockNumber, logIndex: log.logIndex });
+        }
+
+        store.setLastBlock(toBlock);
+
+        if (!ready && logs.length > 0) {
+          logger.info('Indexer backfilled blocks', { fromBlock, toBlock, logs: logs.length });
+        }
+
+        fromBlock = toBlock + 1;
+      }
+
+      if (!ready) {
+        ready = true;
+        logger.info('Indexer is up to date', { headBlock, ...store.getStats() });
+      }
+
+      lastError = null;
+    } finally {
+      syncing = false;
+    }
+  };
+
+  /**
+   * Run a catch-up pass. Calls are serialized, so awaiting the returned
+   * promise guarantees everything up to the current head is in the store.
+   * @returns {Promise<void>}
+   */
+  const sync = () => {
+    syncQueue = syncQueue
+      .then(catchUp)
+      .catch(error => {
+        lastError = error.message;
+        logger.error('Indexer sync failed', { error: error.message });
+      });
+    return syncQueue;
+  };
+
+  /**
+   * Start backfilling and polling
+   */
+  const start = () => {
+    if (store.getMeta().startBlock === null) {
+      store.setStartBlock(startBlock);
+    }
+
+    logger.info('Indexer starting', { fromBlock: store.getMeta().lastBlock ?? store.getMeta().startBlock });
+    sync();
+
+    pollTimer = setInterval(() => {
+      if (!syncing) sync();
+    }, pollInterval);
+  };
+
+  /**
+   * Stop polling and persist the store
+   */
+  const stop = () => {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+    store.flush();
+  };
+
+  const isReady = () => ready;
+
+  const getStatus = () => {
+    const { lastBlock } = store.getMeta();
+    return {
+      ready,
+      syncing,
+      headBlock,
+      lastBlock,
+      lag: headBlock !== null && lastBlock !== null ? headBlock - lastBlock : null,
+      lastError,
+      ...store.getStats()
+    };
+  };
+
+  return {
+    start,
+    stop,
+    sync,
+    isReady,
+    getStatus
+  };
+};
+
+export default createIndexer;
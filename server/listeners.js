@@ -0,0 +1,329 @@
+// server/listeners.js
+import fs from 'fs';
+import path from 'path';
+import { describeRpcError } from './utils.js';
+import { logger } from './logger.js';
+
+// Defaults
+const DEFAULT_CHECK_INTERVAL = 15000; // ms between stall checks
+const DEFAULT_STALL_TIMEOUT = 60000; // ms without a new block while the chain moves on
+
+// Delay before the cursor is written to disk after live events
+const SAVE_DELAY = 2000;
+
+// ethers only asks for the last 10 blocks of logs on each poll, so a longer
+// jump between polls can skip events
+const POLL_BLOCK_RANGE = 10;
+
+// Blocks per queryFilter request when backfilling
+const BACKFILL_BATCH_SIZE = 2000;
+
+// A longer gap, e.g. after the server was down for days, is only replayed
+// from this many blocks before the head; the indexer still covers all of it
+const MAX_BACKFILL_BLOCKS = 10000;
+
+// Live events held while a backfill runs; older ones are fetched again by it
+const MAX_HELD_EVENTS = 1000;
+
+// Whether an event comes after the cursor, which is the last one handled
+const isAfter = (event, cursor) =>
+  event.blockNumber > cursor.blockNumber ||
+  (event.blockNumber === cursor.blockNumber && event.logIndex > cursor.logIndex);
+
+/**
+ * Factory for contract event listeners that survive provider errors and
+ * restarts. All events come through one subscription, so they are handled
+ * one at a time in chain order, and the last one handled is saved: shortly
+ * after live events, and after each batch of a backfill. Missed events are
+ * fetched with queryFilter and handled like live ones before live delivery
+ * resumes: after a restart, after a polling error, after a handler throws,
+ * which handles that event again, when the poller jumps more blocks than it
+ * fetches logs for, and when the listeners stall, which also resubscribes. They count as stalled when the poller has reported no
+ * block for stallTimeout while the chain moved on, or is more blocks behind
+ * the chain head than it fetches logs for.
+ * @param {Object} options - Listener options
+ * @param {Object} options.provider - ethers provider
+ * @param {Object} options.contract - ethers contract instance
+ * @param {string} options.dataDir - Directory for the state file
+ * @param {Object} options.handlers - Event name -> function called like a
+ *   contract.on listener, with the event's arguments and then the event
+ * @param {number} options.checkInterval - Milliseconds between stall checks
+ * @param {number} options.stallTimeout - Milliseconds without a block from
+ *   the poller, while the chain moves on, before the listeners count as stalled
+ * @returns {Object} Listener methods
+ */
+export const createContractListeners = ({
+  provider,
+  contract,
+  dataDir,
+  handlers,
+  checkInterval = DEFAULT_CHECK_INTERVAL,
+  stallTimeout = DEFAULT_STALL_TIMEOUT
+}) => {
+  const filePath = path.join(dataDir, 'listeners.json');
+
+  // { blockNumber, logIndex } of the last event handled; logIndex -1 means
+  // everything before blockNumber was handled
+  let cursor = null;
+
+  // Events run one after another on this chain
+  let queue = Promise.resolve();
+
+  // From when a backfill is started until one succeeds, live events are
+  // held back so the cursor doesn't move past the events it is fetching
+  let backfillPending = false;
+  let backfillRunning = false;
+  let held = [];
+
+  let lastBlockSeen = null;
+  let lastBlockAt = null;
+  let checkTimer = null;
+  let saveTimer = null;
+  let subscribed = false;
+  let lastError = null;
+
+  const stats = { handled: 0, backfilled: 0, backfills: 0, stalls: 0 };
+
+  const load = () => {
+    try {
+      if (fs.existsSync(filePath)) {
+        cursor = JSON.parse(fs.readFileSync(filePath, 'utf8')).cursor || null;
+      }
+    } catch (error) {
+      logger.error('Error loading listener state', { filePath, error });
+    }
+  };
+
+  // Writes the cursor to disk immediately
+  const flush = () => {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ cursor }));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      logger.error('Error saving listener state', { filePath, error });
+    }
+  };
+
+  // Coalesces the writes for a burst of live events; events handled after
+  // the last write are handled again if the server dies before the next one
+  const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DELAY);
+  };
+
+  // Handling
+
+  const handle = async (event, backfilled) => {
+    // Skips events seen before, removed by a reorg or not from the ABI
+    if (event.removed || !event.event || !isAfter(event, cursor)) return;
+
+    // Live events queued behind one that failed wait for the backfill that
+    // retries it, so the cursor doesn't move past it
+    if (!backfilled && backfillPending) {
+      held = [...held, event].slice(-MAX_HELD_EVENTS);
+      return;
+    }
+
+    const handler = handlers[event.event];
+    if (handler) {
+      if (backfilled) logger.debug('Replaying missed contract event', { event: event.event, blockNumber: event.blockNumber });
+      await handler(...event.args, event);
+    }
+
+    cursor = { blockNumber: event.blockNumber, logIndex: event.logIndex };
+    if (!backfilled) scheduleSave();
+    stats.handled++;
+    if (backfilled) stats.backfilled++;
+  };
+
+  const enqueue = (event, backfilled = false) => {
+    queue = queue.then(() => handle(event, backfilled)).catch(error => {
+      logger.error('Error handling contract event, retrying it with a backfill', { event: event.event, error });
+      backfill();
+    });
+    return queue;
+  };
+
+  const onEvent = (event) => {
+    if (!backfillPending) {
+      enqueue(event);
+      return;
+    }
+    held = [...held, event].slice(-MAX_HELD_EVENTS);
+  };
+
+  // Backfill
+
+  const fetchMissed = async () => {
+    const head = await provider.getBlockNumber();
+
+    // First run: delivery starts after the current head
+    if (!cursor) {
+      cursor = { blockNumber: head + 1, logIndex: -1 };
+      flush();
+      return head;
+    }
+
+    let fromBlock = cursor.blockNumber;
+
+    if (head - fromBlock > MAX_BACKFILL_BLOCKS) {
+      logger.warn('Contract event gap too long, replaying only the latest blocks', {
+        fromBlock,
+        skippedBlocks: head - MAX_BACKFILL_BLOCKS - fromBlock
+      });
+      fromBlock = head - MAX_BACKFILL_BLOCKS;
+    }
+
+    const before = stats.backfilled;
+    for (let start = fromBlock; start <= head; start += BACKFILL_BATCH_SIZE) {
+      const end = Math.min(start + BACKFILL_BATCH_SIZE - 1, head);
+      const events = await contract.queryFilter('*', start, end);
+      for (const event of events) {
+        await handle(event, true);
+      }
+      if (events.length > 0) flush();
+    }
+
+    const replayed = stats.backfilled - before;
+    if (replayed > 0) {
+      logger.info('Backfilled missed contract events', { fromBlock, toBlock: head, events: replayed });
+    }
+    return head;
+  };
+
+  /**
+   * Fetches and handles the events after the cursor, then the live events
+   * that arrived meanwhile. If it fails, live events stay held until a
+   * later backfill succeeds.
+   * @return {Promise} Resolves when it has run
+   */
+  const backfill = () => {
+    if (backfillRunning) return queue;
+    backfillPending = true;
+    backfillRunning = true;
+
+    queue = queue
+      .then(fetchMissed)
+      .then(() => {
+        stats.backfills++;
+        backfillPending = false;
+        lastError = null;
+        const events = held;
+        held = [];
+        events.forEach(event => enqueue(event));
+      }, error => {
+        lastError = describeRpcError(error);
+        logger.error('Error backfilling contract events, retrying at the next check', { error: lastError });
+      })
+      .finally(() => {
+        backfillRunning = false;
+      });
+    return queue;
+  };
+
+  // Subscription
+
+  const onBlock = (blockNumber) => {
+    const jumped = lastBlockSeen !== null && blockNumber - lastBlockSeen > POLL_BLOCK_RANGE;
+    lastBlockSeen = blockNumber;
+    lastBlockAt = Date.now();
+
+    // Block events come before the logs of the same poll
+    if (jumped) {
+      logger.warn('Contract event poller skipped blocks, backfilling', { blockNumber });
+      backfill();
+    }
+  };
+
+  // ethers moves on to the next blocks when a poll's getLogs fails
+  const onError = (error) => {
+    logger.warn('Contract event polling failed, backfilling', { error: describeRpcError(error) });
+    backfill();
+  };
+
+  const subscribe = () => {
+    contract.on('*', onEvent);
+    provider.on('block', onBlock);
+    provider.on('error', onError);
+    subscribed = true;
+  };
+
+  const unsubscribe = () => {
+    contract.off('*', onEvent);
+    provider.off('block', onBlock);
+    provider.off('error', onError);
+    subscribed = false;
+  };
+
+  const check = async () => {
+    try {
+      const head = await provider.getBlockNumber();
+      // The poller is usually a block or so behind on fast chains, so being
+      // behind alone doesn't count: it must have gone quiet, or fallen
+      // further behind than it fetches logs for
+      const silent = (lastBlockSeen === null || head > lastBlockSeen) && Date.now() - lastBlockAt > stallTimeout;
+      const lagging = lastBlockSeen !== null && head - lastBlockSeen > POLL_BLOCK_RANGE;
+
+      if (silent || lagging) {
+        stats.stalls++;
+        logger.warn('Contract listeners stalled, resubscribing', { lastBlockSeen, head, lastBlockAge: Date.now() - lastBlockAt });
+        unsubscribe();
+        lastBlockSeen = head;
+        lastBlockAt = Date.now();
+        backfill();
+        subscribe();
+      } else if (backfillPending && !backfillRunning) {
+        // Retry a backfill that failed
+        backfill();
+      }
+    } catch (error) {
+      logger.warn('Contract listener check failed', { error: describeRpcError(error) });
+    }
+  };
+
+  /**
+   * Loads the cursor and subscribes. Live events are held until the first
+   * backfill has handled what happened since the cursor was saved; without
+   * a saved cursor, delivery starts at the current head.
+   */
+  const start = () => {
+    load();
+    lastBlockAt = Date.now();
+    backfill();
+    subscribe();
+    checkTimer = setInterval(check, checkInterval);
+  };
+
+  const stop = () => {
+    clearInterval(checkTimer);
+    checkTimer = null;
+    if (subscribed) unsubscribe();
+    if (cursor) flush();
+  };
+
+  const getStatus = () => ({
+    subscribed,
+    cursor,
+    lastBlockSeen,
+    // Milliseconds since the poller last reported a block
+    lastBlockAge: lastBlockAt === null ? null : Date.now() - lastBlockAt,
+    backfillPending,
+    heldEvents: held.length,
+    lastError,
+    ...stats
+  });
+
+  return {
+    start,
+    stop,
+    backfill,
+    getStatus
+  };
+};
@@ -0,0 +1,157 @@
+// server/logger.js
+import { AsyncLocalStorage } from 'async_hooks';
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Fields whose values are never logged
+const SECRET_KEY_PATTERN = /token|secret|signature|password|passphrase|authorization|private|api_?key|mnemonic/i;
+
+// Query parameters in URLs that carry credentials
+const SECRET_PARAM_PATTERN = /key|token|secret|auth|password/i;
+
+// Path segments that look like API keys, e.g. /v3/<project id> in RPC URLs.
+// 0x values (addresses, hashes) are left alone.
+const KEY_SEGMENT_PATTERN = /^(?!0x)[A-Za-z0-9_-]{20,}$/;
+
+const URL_PATTERN = /\b(?:https?|wss?):\/\/[^\s"'<>]+/g;
+
+const REDACTED = '[REDACTED]';
+
+// Context of the request or event being handled, e.g. { requestId }
+const context = new AsyncLocalStorage();
+
+/**
+ * Runs a function with a logging context; everything logged while it runs,
+ * including in async code it starts, carries the context's fields
+ * @param {Object} fields - e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @return {*} What fn returns
+ */
+export const runWithContext = (fields, fn) => context.run(fields, fn);
+
+export const getContext = () => context.getStore() || {};
+
+const redactUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (parsed.username || parsed.password) {
+      parsed.username = REDACTED;
+      parsed.password = '';
+    }
+    parsed.pathname = parsed.pathname
+      .split('/')
+      .map(segment => (KEY_SEGMENT_PATTERN.test(segment) ? REDACTED : segment))
+      .join('/');
+    parsed.searchParams.forEach((value, name) => {
+      if (SECRET_PARAM_PATTERN.test(name)) parsed.searchParams.set(name, REDACTED);
+    });
+    return decodeURIComponent(parsed.toString());
+  } catch (error) {
+    return REDACTED;
+  }
+};
+
+/**
+ * Factory for a JSON logger. Each entry is one line with the time, level,
+ * message, the current context and the given fields. Secrets are redacted:
+ * values of secret-looking fields, credentials and keys in URLs, and any
+ * value registered with addSecret.
+ * @param {Object} options - Options
+ * @param {string} options.level - Most verbose level written: error, warn, info or debug
+ * @param {Object} options.fields - Fields added to every entry
+ * @returns {Object} Logger methods
+ */
+export const createLogger = ({ level = 'info', fields: baseFields = {} } = {}) => {
+  const state = { level, secrets: [] };
+
+  const redactString = (value) => {
+    let result = state.secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+    result = result.replace(URL_PATTERN, redactUrl);
+    return result;
+  };
+
+  const serialize = (value, depth = 0) => {
+    if (value === null || value === undefined) return value;
+    if (typeof value === 'string') return redactString(value);
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value !== 'object') return value;
+    if (depth > 5) return '[Object]';
+
+    if (value instanceof Error) {
+      return serialize({
+        name: value.name,
+        message: value.message,
+        code: value.code,
+        reason: value.reason,
+        stack: value.stack
+      }, depth + 1);
+    }
+    if (value._isBigNumber) return value.toString();
+    if (Array.isArray(value)) return value.map(item => serialize(item, depth + 1));
+
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => [key, SECRET_KEY_PATTERN.test(key) ? REDACTED : serialize(item, depth + 1)]));
+  };
+
+  const isLevelEnabled = (entryLevel) => LOG_LEVELS.indexOf(entryLevel) <= LOG_LEVELS.indexOf(state.level);
+
+  const write = (entryLevel, message, fields) => {
+    if (!isLevelEnabled(entryLevel)) return;
+
+    const entry = serialize({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: message,
+      ...baseFields,
+      ...getContext(),
+      ...fields
+    });
+
+    const line = `${JSON.stringify(entry)}\n`;
+    if (entryLevel === 'error' || entryLevel === 'warn') {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  };
+
+  const methods = (fields) => ({
+    error: (message, extra = {}) => write('error', message, { ...fields, ...extra }),
+    warn: (message, extra = {}) => write('warn', message, { ...fields, ...extra }),
+    info: (message, extra = {}) => write('info', message, { ...fields, ...extra }),
+    debug: (message, extra = {}) => write('debug', message, { ...fields, ...extra }),
+    // Logger that adds fields to every entry; it shares the level and secrets
+    child: (extra) => methods({ ...fields, ...extra })
+  });
+
+  /**
+   * Sets the most verbose level written
+   * @param {string} newLevel - error, warn, info or debug
+   * @return {boolean} Whether the level was valid
+   */
+  const setLevel = (newLevel) => {
+    if (!LOG_LEVELS.includes(newLevel)) return false;
+    state.level = newLevel;
+    return true;
+  };
+
+  // Values that are replaced wherever they appear, e.g. a key from the environment
+  const addSecret = (secret) => {
+    if (secret && secret.length >= 4) state.secrets.push(secret);
+  };
+
+  return {
+    ...methods({}),
+    setLevel,
+    getLevel: () => state.level,
+    isLevelEnabled,
+    addSecret,
+    redact: serialize
+  };
+};
+
+// The server's logger; server.js sets its level from the environment
+export const logger = createLogger();
+
+export default logger;
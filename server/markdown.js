@@ -0,0 +1,155 @@
+// server/markdown.js
+import { tokenizeMessage } from './text.js';
+
+// Only these URL schemes become links or images; anything else stays text
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+// Code spans, images and links are rendered before the rest of the line
+const INLINE_SEGMENT = /(`[^`]+`|!?\[[^\]]*\]\([^)]*\))/;
+
+/**
+ * Escapes text for use in HTML content and attributes
+ * @param {string} text - Raw text
+ * @return {string} Escaped text
+ */
+export const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#039;');
+
+// Render one code span, image or link segment
+const renderSegment = (segment) => {
+  if (segment.startsWith('`')) {
+    return `<code>${escapeHtml(segment.slice(1, -1))}</code>`;
+  }
+
+  const [, bang, label, url] = segment.match(/^(!?)\[([^\]]*)\]\(([^)]*)\)$/);
+  if (!SAFE_URL.test(url.trim())) {
+    return escapeHtml(segment);
+  }
+
+  return bang
+    ? `<img src="${escapeHtml(url.trim())}" alt="${escapeHtml(label)}" />`
+    : `<a href="${escapeHtml(url.trim())}">${escapeHtml(label)}</a>`;
+};
+
+/**
+ * Renders message markdown to HTML that is safe to embed in feeds.
+ * Supports the same subset as src/components/MarkdownRenderer.jsx. Raw HTML
+ * in the message is escaped, and #tags and resolved @mentions become
+ * absolute links.
+ * @param {string} markdown - Message content
+ * @param {Object} options - Options
+ * @param {string} options.baseUrl - Site URL for tag and profile links
+ * @param {Array<Object>} options.mentions - [{ nickname, address }] resolved at index time
+ * @return {string} HTML
+ */
+export const renderMarkdown = (markdown, { baseUrl = '', mentions = [] } = {}) => {
+  if (!markdown) return '';
+
+  // Drop the placeholder character so messages can't forge placeholders
+  markdown = markdown.replace(/\uE000/g, '');
+  const base = escapeHtml(baseUrl);
+  const mentionAddresses = Object.fromEntries(mentions.map(({ nickname, address }) => [nickname, address]));
+
+  // Everything that is already HTML is swapped for a placeholder, so the
+  // bold/italic rules below only ever see escaped text
+  const renderInline = (text) => {
+    const placeholders = [];
+    const hold = (html) => {
+      placeholders.push(html);
+      return `\uE000${placeholders.length - 1}\uE000`;
+    };
+
+    let html = text.split(INLINE_SEGMENT).map((part, index) => {
+      if (index % 2 === 1) return hold(renderSegment(part));
+
+      return tokenizeMessage(part).map(token => {
+        if (token.type === 'tag') {
+          return hold(`<a href="${base}/tag/${encodeURIComponent(token.tag)}">${escapeHtml(token.value)}</a>`);
+        }
+        if (token.type === 'mention' && mentionAddresses[token.nickname]) {
+          return hold(`<a href="${base}/user/${mentionAddresses[token.nickname]}">${escapeHtml(token.value)}</a>`);
+        }
+        return escapeHtml(token.value);
+      }).join('');
+    }).join('');
+
+    html = html
+      .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+      .replace(/__(.*?)__/g, '<strong>$1</strong>')
+      .replace(/\*(.*?)\*/g, '<em>$1</em>')
+      .replace(/_(.*?)_/g, '<em>$1</em>');
+
+    return html.replace(/\uE000(\d+)\uE000/g, (match, index) => placeholders[index]);
+  };
+
+  const htmlLines = [];
+  let codeBlock = null;
+  let listType = null;
+
+  const closeList = () => {
+    if (listType) {
+      htmlLines.push(`</${listType}>`);
+      listType = null;
+    }
+  };
+
+  const openList = (type) => {
+    if (listType !== type) {
+      closeList();
+      htmlLines.push(`<${type}>`);
+      listType = type;
+    }
+  };
+
+  for (const line of markdown.split('\n')) {
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith('```')) {
+      if (codeBlock === null) {
+        closeList();
+        codeBlock = [];
+      } else {
+        htmlLines.push(`<pre><code>${escapeHtml(codeBlock.join('\n').trim())}</code></pre>`);
+        codeBlock = null;
+      }
+      continue;
+    }
+
+    if (codeBlock !== null) {
+      codeBlock.push(line);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,3}) (.*)$/);
+    if (heading) {
+      closeList();
+      htmlLines.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+    } else if (line.startsWith('> ')) {
+      closeList();
+      htmlLines.push(`<blockquote>${renderInline(line.substring(2))}</blockquote>`);
+    } else if (trimmed.startsWith('* ') || trimmed.startsWith('- ')) {
+      openList('ul');
+      htmlLines.push(`<li>${renderInline(trimmed.substring(2))}</li>`);
+    } else if (/^\d+\.\s/.test(trimmed)) {
+      openList('ol');
+      htmlLines.push(`<li>${renderInline(trimmed.replace(/^\d+\.\s/, ''))}</li>`);
+    } else if (trimmed !== '') {
+      closeList();
+      htmlLines.push(`<p>${renderInline(line)}</p>`);
+    } else {
+      closeList();
+    }
+  }
+
+  // Unterminated code block
+  if (codeBlock !== null) {
+    htmlLines.push(`<pre><code>${escapeHtml(codeBlock.join('\n').trim())}</code></pre>`);
+  }
+  closeList();
+
+  return htmlLines.join('');
+};
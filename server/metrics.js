@@ -0,0 +1,201 @@
+// server/metrics.js
+import { logger } from './logger.js';
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Histogram buckets in seconds, for HTTP requests and RPC calls
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length > 0
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+/**
+ * Factory for a registry of Prometheus metrics, rendered in the text
+ * exposition format. Metrics are counters, gauges or histograms, each with
+ * a fixed list of label names; values are kept per combination of labels.
+ * @param {Object} options - Options
+ * @param {string} options.prefix - Prefix for every metric name
+ * @returns {Object} Registry methods
+ */
+export const createMetrics = ({ prefix = 'crkcrk_' } = {}) => {
+  const registered = [];
+  const collectors = [];
+
+  // Keeps values per label combination; the key is the label values in order
+  const register = (type, name, help, labelNames) => {
+    const metric = { type, name: `${prefix}${name}`, help, labelNames, series: new Map() };
+    registered.push(metric);
+    return metric;
+  };
+
+  const seriesFor = (metric, labels, create) => {
+    const values = metric.labelNames.map(label => (labels[label] === undefined ? '' : String(labels[label])));
+    const key = values.join('\u0000');
+
+    if (!metric.series.has(key)) {
+      const labelObject = Object.fromEntries(metric.labelNames.map((label, i) => [label, values[i]]));
+      metric.series.set(key, { labels: labelObject, ...create() });
+    }
+    return metric.series.get(key);
+  };
+
+  /**
+   * Counter that only goes up
+   * @return {Object} { inc(labels, amount) }
+   */
+  const counter = (name, help, labelNames = []) => {
+    const metric = register('counter', name, help, labelNames);
+    return {
+      inc: (labels = {}, amount = 1) => {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+      }
+    };
+  };
+
+  /**
+   * Gauge set to the current value of something
+   * @return {Object} { set(labels, value), reset() }
+   */
+  const gauge = (name, help, labelNames = []) => {
+    const metric = register('gauge', name, help, labelNames);
+    return {
+      set: (labels, value) => {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      },
+      // Drop every series, e.g. before a collector sets the current ones
+      reset: () => metric.series.clear()
+    };
+  };
+
+  /**
+   * Histogram of observed values
+   * @return {Object} { observe(labels, value), startTimer(labels) }; the
+   *   function startTimer returns observes the elapsed seconds
+   */
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+    const metric = register('histogram', name, help, labelNames);
+    metric.buckets = buckets;
+
+    const observe = (labels, value) => {
+      const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) series.counts[i]++;
+      });
+      series.sum += value;
+      series.count++;
+    };
+
+    const startTimer = (labels = {}) => {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+
+    return { observe, startTimer };
+  };
+
+  /**
+   * Adds a function that updates gauges right before each scrape, for
+   * values that are cheaper to read than to track
+   * @param {Function} collect - Called with no arguments; may be async
+   */
+  const addCollector = (collect) => {
+    collectors.push(collect);
+  };
+
+  const renderMetric = (metric) => {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+
+    metric.series.forEach(series => {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        return;
+      }
+
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+
+    return lines.join('\n');
+  };
+
+  /**
+   * Runs the collectors and renders every metric
+   * @return {Promise<string>} Text exposition format
+   */
+  const render = async () => {
+    for (const collect of collectors) {
+      try {
+        await collect();
+      } catch (error) {
+        logger.error('Error collecting metrics', { error });
+      }
+    }
+
+    return `${registered.map(renderMetric).join('\n')}\n`;
+  };
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    addCollector,
+    render
+  };
+};
+
+/**
+ * Counts, times and logs (at debug level) every JSON-RPC request a provider
+ * sends. Calls to the contract are labeled with the contract function they
+ * call, and log lines carry the ID of the request or event that made them.
+ * @param {Object} provider - ethers JsonRpcProvider; its send is replaced
+ * @param {Object} options - Options
+ * @param {Object} options.contractInterface - ethers Interface of the contract
+ * @param {Object} options.requests - Counter with method, function and status labels
+ * @param {Object} options.duration - Histogram with method and function labels
+ */
+export const instrumentProvider = (provider, { contractInterface, requests, duration }) => {
+  const send = provider.send.bind(provider);
+
+  const functionName = (method, params) => {
+    if (method !== 'eth_call' || !params || !params[0] || !params[0].data) return '';
+    try {
+      return contractInterface.getFunction(params[0].data.slice(0, 10)).name;
+    } catch (error) {
+      return 'unknown';
+    }
+  };
+
+  provider.send = async (method, params) => {
+    const labels = { method, function: functionName(method, params) };
+    const endTimer = duration.startTimer(labels);
+    const startedAt = Date.now();
+    let status = 'ok';
+
+    try {
+      return await send(method, params);
+    } catch (error) {
+      status = 'error';
+      throw error;
+    } finally {
+      endTimer();
+      requests.inc({ ...labels, status });
+      logger.debug('RPC call', { ...labels, status, durationMs: Date.now() - startedAt });
+    }
+  };
+};
@@ -0,0 +1,149 @@
+// server/multicall.js
+import { ethers } from 'ethers';
+import { describeRpcError } from './utils.js';
+import { logger } from './logger.js';
+
+// Multicall3 is deployed at this address on most chains
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Calls per aggregate3 request
+const DEFAULT_MAX_BATCH_SIZE = 100;
+
+// A revert shaped like a node's answer, so ethers decodes it the same way
+// as for a call sent on its own
+const revertError = (data) => {
+  const error = new Error('execution reverted');
+  error.data = data;
+  return error;
+};
+
+/**
+ * Batches a provider's contract reads through Multicall3. eth_calls sent in
+ * the same tick are combined into aggregate3 calls in which each call may
+ * fail on its own; one that reverts rejects as if it had been sent alone.
+ * If Multicall3 has no code on the chain, or an aggregate call fails as a
+ * whole, the calls are sent one by one in parallel instead. Only plain
+ * reads of the latest block are batched; calls with a sender, value, gas
+ * limit or block tag go straight through.
+ * @param {Object} provider - ethers JsonRpcProvider; its send is replaced
+ * @param {Object} options - Options
+ * @param {Array} options.abi - IMulticall3 ABI
+ * @param {string} options.address - Multicall3 address
+ * @param {number} options.maxBatchSize - Calls per aggregate3 request
+ * @returns {Object} { getStats }
+ */
+export const batchContractReads = (provider, {
+  abi,
+  address = MULTICALL3_ADDRESS,
+  maxBatchSize = DEFAULT_MAX_BATCH_SIZE
+}) => {
+  const send = provider.send.bind(provider);
+  const multicall = new ethers.utils.Interface(abi);
+
+  // [{ params, resolve, reject }] waiting for the end of the tick
+  let pending = [];
+  let flushScheduled = false;
+
+  // Promise of whether Multicall3 has code; checked again after an error
+  let deployed = null;
+  let available = null;
+
+  const stats = { calls: 0, batches: 0, batchedCalls: 0, fallbacks: 0 };
+
+  const isDeployed = () => {
+    if (!deployed) {
+      deployed = send('eth_getCode', [address, 'latest'])
+        .then(code => {
+          const found = code !== '0x';
+          available = found;
+          if (!found) logger.info('Multicall3 is not deployed, contract reads are sent one by one', { address });
+          return found;
+        })
+        .catch(error => {
+          deployed = null;
+          logger.warn('Could not check for Multicall3', { address, error: describeRpcError(error) });
+          return false;
+        });
+    }
+    return deployed;
+  };
+
+  const isBatchable = (method, params) => {
+    if (method !== 'eth_call' || !params) return false;
+    const [transaction, blockTag = 'latest'] = params;
+    return !!transaction && !!transaction.to && !!transaction.data &&
+      !transaction.from && !transaction.value && !transaction.gasLimit && !transaction.gas &&
+      blockTag === 'latest' &&
+      transaction.to.toLowerCase() !== address.toLowerCase();
+  };
+
+  const sendAlone = ({ params, resolve, reject }) => {
+    send('eth_call', params).then(resolve, reject);
+  };
+
+  const sendBatch = async (calls) => {
+    if (calls.length === 1 || !(await isDeployed())) {
+      calls.forEach(sendAlone);
+      return;
+    }
+
+    let results;
+    try {
+      const data = multicall.encodeFunctionData('aggregate3', [calls.map(({ params: [transaction] }) => ({
+        target: transaction.to,
+        allowFailure: true,
+        callData: transaction.data
+      }))]);
+      [results] = multicall.decodeFunctionResult('aggregate3', await send('eth_call', [{ to: address, data }, 'latest']));
+    } catch (error) {
+      stats.fallbacks++;
+      logger.warn('Multicall3 batch failed, sending the calls one by one', { calls: calls.length, error: describeRpcError(error) });
+      calls.forEach(sendAlone);
+      return;
+    }
+
+    stats.batches++;
+    stats.batchedCalls += calls.length;
+    calls.forEach((call, i) => {
+      const { success, returnData } = results[i];
+      if (success) {
+        call.resolve(returnData);
+      } else {
+        call.reject(revertError(returnData));
+      }
+    });
+  };
+
+  const flush = () => {
+    const calls = pending;
+    pending = [];
+    flushScheduled = false;
+
+    for (let i = 0; i < calls.length; i += maxBatchSize) {
+      sendBatch(calls.slice(i, i + maxBatchSize));
+    }
+  };
+
+  provider.send = (method, params) => {
+    if (!isBatchable(method, params)) return send(method, params);
+
+    stats.calls++;
+    return new Promise((resolve, reject) => {
+      pending.push({ params, resolve, reject });
+      if (!flushScheduled) {
+        flushScheduled = true;
+        // After the calls started by the same code have queued up
+        setTimeout(flush, 0);
+      }
+    });
+  };
+
+  const getStats = () => ({
+    address,
+    // null until the first batch
+    available,
+    ...stats
+  });
+
+  return { getStats };
+};
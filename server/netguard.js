@@ -0,0 +1,163 @@
+// server/netguard.js
+import dns from 'dns';
+import net from 'net';
+import { Agent, buildConnector, fetch } from 'undici';
+
+// Addresses a request made on behalf of someone else must not reach: this
+// host, the private network it runs in, and cloud metadata services.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges too.
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, including metadata services
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b:1::', 48], // local-use NAT64
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @return {boolean} True if requests to it should be refused
+ */
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Parses a comma separated list of host names and IP addresses that may be
+ * reached even though they are private
+ * @param {string} value - e.g. "localhost,10.0.0.5"
+ * @return {Set<string>} Lowercased hosts
+ */
+export const parseAllowedHosts = (value) =>
+  new Set((value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean));
+
+// Error for a destination that is refused, so callers can tell it apart
+// from other network errors
+const blockedError = (host) => {
+  const error = new Error(`${host} is not a public address`);
+  error.code = 'BLOCKED_ADDRESS';
+  return error;
+};
+
+// IPv6 hosts keep their brackets in URL.hostname
+const normalizeHost = (hostname) => hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+
+/**
+ * Checks that a URL is http(s) and that its host currently resolves only
+ * to public addresses, unless the host is allowed explicitly. This gives
+ * an early answer, e.g. when a URL is registered; the name may resolve
+ * elsewhere later, so requests must go through createGuardedFetch.
+ * @param {string} url - URL about to be requested
+ * @param {Object} options - Options
+ * @param {Set<string>} options.allowedHosts - Hosts exempt from the check
+ * @return {Promise} Rejects with a message saying why the URL is refused
+ */
+export const assertPublicUrl = async (url, { allowedHosts = new Set() } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Invalid URL ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Unsupported URL ${url}`);
+  }
+
+  const host = normalizeHost(parsed.hostname);
+  if (allowedHosts.has(host)) return;
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+    } catch (error) {
+      throw new Error(`Could not resolve ${host}`);
+    }
+  }
+
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw blockedError(host);
+  }
+};
+
+/**
+ * Creates a fetch for requests made on behalf of someone else. The host is
+ * resolved while connecting and refused if any of its addresses is
+ * private, and the socket connects to the addresses that were checked, so
+ * a DNS answer that changes between a check and the request can't point it
+ * elsewhere. The socket's remote address is checked again once connected,
+ * which also covers IP literals. Redirects are never followed. Refused
+ * destinations fail like network errors, with a cause whose code is
+ * BLOCKED_ADDRESS.
+ * @param {Object} options - Options
+ * @param {Set<string>} options.allowedHosts - Hosts exempt from the checks
+ * @return {Function} fetch(url, init) for http(s) URLs
+ */
+export const createGuardedFetch = ({ allowedHosts = new Set() } = {}) => {
+  const lookup = (hostname, options, callback) => {
+    const host = normalizeHost(hostname);
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      if (!allowedHosts.has(host) && (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address)))) {
+        return callback(blockedError(host));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+
+  const connector = buildConnector({ lookup });
+  const connect = (options, callback) => connector(options, (error, socket) => {
+    if (error) return callback(error);
+
+    const host = normalizeHost(options.hostname);
+    if (!allowedHosts.has(host) && isPrivateAddress(socket.remoteAddress)) {
+      socket.destroy();
+      return callback(blockedError(host));
+    }
+    callback(null, socket);
+  });
+
+  const dispatcher = new Agent({ connect });
+
+  return (url, init = {}) => {
+    const { protocol } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      return Promise.reject(new Error(`Unsupported URL ${url}`));
+    }
+    return fetch(url, { ...init, redirect: 'manual', dispatcher });
+  };
+};
+
+/**
+ * Short description of a failed guarded request, safe to show to whoever
+ * chose the URL: it says why it failed without echoing network errors
+ * @param {Error} error - Error thrown by a guarded fetch
+ * @return {string} Description
+ */
+export const describeFetchError = (error) => {
+  if (error?.name === 'TimeoutError' || error?.name === 'AbortError') return 'Timed out';
+  if (error?.cause?.code === 'BLOCKED_ADDRESS' || error?.code === 'BLOCKED_ADDRESS') return 'Destination is not a public address';
+  return 'Could not connect';
+};
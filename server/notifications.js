@@ -0,0 +1,217 @@
+// server/notifications.js
+import fs from 'fs';
+import path from 'path';
+import { findRootId, collectSubtree } from './thread.js';
+import { logger } from './logger.js';
+
+// Notifications kept per offline address; the oldest are dropped first
+const MAX_QUEUED = 100;
+
+// Queued notifications not delivered within this time are dropped
+const QUEUE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Threads one address can mute
+const MAX_MUTES = 1000;
+
+// Delay before pending changes are written to disk
+const SAVE_DELAY = 2000;
+
+/**
+ * Factory for reply notification rules, thread mutes and the queue of
+ * notifications for addresses that aren't connected.
+ *
+ * A reply notifies the author of the message it answers, the author of the
+ * thread's root message, and everyone who replied earlier in the thread.
+ * Mutes are per address and per thread (root message ID). Mutes and the
+ * queue are kept in their own file next to the store snapshot; changes are
+ * written a little later, so a burst of them is written once.
+ * @param {Object} options - Options
+ * @param {Object} options.store - Message store
+ * @param {string} options.dataDir - Directory for the state file
+ * @returns {Object} Notification methods
+ */
+export const createNotifications = ({ store, dataDir }) => {
+  const filePath = path.join(dataDir, 'notifications.json');
+
+  // lowercased address -> [rootId]
+  let mutes = {};
+
+  // lowercased address -> [{ event, queuedAt }]
+  let queued = {};
+
+  let saveTimer = null;
+
+  const load = () => {
+    try {
+      if (fs.existsSync(filePath)) {
+        const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        mutes = state.mutes || {};
+        queued = state.queued || {};
+      }
+    } catch (error) {
+      logger.error('Error loading notification state', { filePath, error });
+    }
+  };
+
+  /**
+   * Writes mutes and the queue to disk immediately
+   */
+  const flush = () => {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ mutes, queued }));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      logger.error('Error saving notification state', { filePath, error });
+    }
+  };
+
+  // Schedules a write, coalescing bursts of changes
+  const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DELAY);
+  };
+
+  // Mutes
+
+  const isMuted = (address, rootId) => (mutes[address.toLowerCase()] || []).includes(rootId);
+
+  const getMutes = (address) => [...(mutes[address.toLowerCase()] || [])];
+
+  /**
+   * Mutes the thread a message belongs to
+   * @param {string} address - Address that mutes it
+   * @param {number} messageId - Any message in the thread
+   * @return {number|null} Root message ID that was muted, or null if the
+   *   address already mutes too many threads
+   */
+  const mute = (address, messageId) => {
+    const key = address.toLowerCase();
+    const rootId = findRootId(store, messageId);
+    const current = mutes[key] || [];
+
+    if (current.includes(rootId)) return rootId;
+    if (current.length >= MAX_MUTES) return null;
+
+    mutes[key] = [...current, rootId];
+    scheduleSave();
+    return rootId;
+  };
+
+  /**
+   * Unmutes the thread a message belongs to
+   * @param {string} address - Address that muted it
+   * @param {number} messageId - Any message in the thread
+   * @return {number} Root message ID
+   */
+  const unmute = (address, messageId) => {
+    const key = address.toLowerCase();
+    const rootId = findRootId(store, messageId);
+
+    if (mutes[key] && mutes[key].includes(rootId)) {
+      mutes[key] = mutes[key].filter(id => id !== rootId);
+      if (mutes[key].length === 0) delete mutes[key];
+      scheduleSave();
+    }
+
+    return rootId;
+  };
+
+  // Rules
+
+  /**
+   * Who to notify about a reply, and why
+   * @param {number} messageId - ID of the reply, which must be in the store
+   * @return {Array<Object>} [{ address, type, reason, rootId }], one per address.
+   *   type is 'replyToYourMessage' for the author of the parent message and
+   *   'threadReply' for the others; reason is 'parent', 'root' or 'participant'
+   */
+  const getReplyRecipients = (messageId) => {
+    const reply = store.getMessage(messageId);
+    if (!reply || !reply.replyToMessageId) return [];
+
+    const rootId = findRootId(store, messageId);
+    const sender = reply.sender.toLowerCase();
+    const recipients = new Map();
+
+    const add = (address, type, reason) => {
+      const key = address.toLowerCase();
+      if (key === sender || recipients.has(key) || isMuted(key, rootId)) return;
+      recipients.set(key, { address: key, type, reason, rootId });
+    };
+
+    const parent = store.getMessage(reply.replyToMessageId);
+    if (parent) add(parent.sender, 'replyToYourMessage', 'parent');
+
+    const root = store.getMessage(rootId);
+    if (root) add(root.sender, 'threadReply', 'root');
+
+    // Earlier replies anywhere in the thread, except ones their authors
+    // deleted; pruned replies still count
+    collectSubtree(store, rootId)
+      .filter(record => record.replyToMessageId && record.messageId < reply.messageId)
+      .filter(record => !record.isDeleted || record.deletionReason === 'pruned')
+      .forEach(record => add(record.sender, 'threadReply', 'participant'));
+
+    return [...recipients.values()];
+  };
+
+  // Offline queue
+
+  /**
+   * Keeps a notification for an address until it next registers
+   * @param {string} address - Recipient
+   * @param {Object} event - Event payload
+   */
+  const enqueue = (address, event) => {
+    const key = address.toLowerCase();
+    const now = Date.now();
+
+    queued[key] = [...(queued[key] || []), { event, queuedAt: now }]
+      .filter(entry => now - entry.queuedAt < QUEUE_TTL)
+      .slice(-MAX_QUEUED);
+    scheduleSave();
+  };
+
+  /**
+   * Removes and returns what was queued for an address
+   * @param {string} address - Recipient
+   * @return {Array<Object>} Event payloads, oldest first
+   */
+  const takeQueued = (address) => {
+    const key = address.toLowerCase();
+    const entries = queued[key];
+    if (!entries) return [];
+
+    delete queued[key];
+    scheduleSave();
+
+    const now = Date.now();
+    return entries.filter(entry => now - entry.queuedAt < QUEUE_TTL).map(entry => entry.event);
+  };
+
+  const getStats = () => ({
+    mutedThreads: Object.values(mutes).reduce((sum, list) => sum + list.length, 0),
+    queuedAddresses: Object.keys(queued).length,
+    queued: Object.values(queued).reduce((sum, list) => sum + list.length, 0)
+  });
+
+  return {
+    load,
+    isMuted,
+    getMutes,
+    mute,
+    unmute,
+    getReplyRecipients,
+    enqueue,
+    takeQueued,
+    flush,
+    getStats
+  };
+};
@@ -0,0 +1,348 @@
+// server/rpcPool.js
+import { ethers } from 'ethers';
+import { describeRpcError } from './utils.js';
+import { logger } from './logger.js';
+
+// Defaults
+const DEFAULT_QUORUM = 2;
+const DEFAULT_HEALTH_CHECK_INTERVAL = 5000; // ms between health checks
+const DEFAULT_TIMEOUT = 10000; // ms per request
+const DEFAULT_MAX_BLOCK_LAG = 5; // blocks behind the best endpoint before it counts as unhealthy
+
+// Methods whose answers must agree between endpoints: a node that is behind
+// or broken would otherwise leave permanent gaps in the index, or point the
+// server at another chain (ethers falls back to net_version for the chain ID)
+const DEFAULT_QUORUM_METHODS = ['eth_getLogs', 'eth_chainId', 'net_version'];
+
+// Weight of the newest sample in the latency and error rate averages
+const SMOOTHING = 0.2;
+
+// An endpoint is unhealthy after this many failures in a row, or when its
+// smoothed error rate reaches MAX_ERROR_RATE
+const MAX_CONSECUTIVE_FAILURES = 3;
+const MAX_ERROR_RATE = 0.5;
+
+// Score penalties, in milliseconds of latency, per block behind and for an
+// error rate of 1
+const LAG_PENALTY = 500;
+const ERROR_PENALTY = 10000;
+
+// JSON-RPC errors that come from the node rather than the call, and are
+// worth retrying on another endpoint
+const NODE_ERROR_CODES = [-32005];
+const NODE_ERROR_PATTERN = /header not found|missing trie node|limit exceeded|rate limit|timeout|unavailable/i;
+
+// Same as ethers does for JsonRpcProvider, so errors keep the shape its
+// revert detection expects
+const getResult = (payload) => {
+  if (payload.error) {
+    const error = new Error(payload.error.message);
+    error.code = payload.error.code;
+    error.data = payload.error.data;
+    throw error;
+  }
+  return payload.result;
+};
+
+// Whether an error is the node's answer to the call (e.g. a revert), which
+// another endpoint would give too, rather than a problem with the endpoint
+const isCallError = (error) => {
+  const rpcError = error && error.error;
+  if (!rpcError || typeof rpcError.code !== 'number') return false;
+  return !NODE_ERROR_CODES.includes(rpcError.code) && !NODE_ERROR_PATTERN.test(rpcError.message || '');
+};
+
+/**
+ * Factory for a pool of JSON-RPC endpoints behind one ethers provider.
+ * Endpoints are health-checked in the background (block height, latency and
+ * error rate) and each request goes to the healthiest one, moving on to the
+ * next when an endpoint fails or times out. Quorum methods are sent to
+ * several healthy endpoints and only answered when enough of them agree.
+ * With a single URL the pool behaves like a plain JsonRpcProvider.
+ * @param {Object} options - Pool options
+ * @param {Array<string>} options.urls - JSON-RPC URLs, in order of preference
+ * @param {number} options.quorum - Endpoints that must agree on quorum methods;
+ *   lowered to the number of healthy endpoints when fewer are up
+ * @param {Array<string>} options.quorumMethods - Methods that need a quorum
+ * @param {number} options.healthCheckInterval - Milliseconds between health checks
+ * @param {number} options.timeout - Milliseconds before a request fails
+ * @param {number} options.maxBlockLag - Blocks an endpoint may be behind
+ * @returns {Object} { provider, start, stop, getStatus }
+ */
+export const createRpcPool = ({
+  urls,
+  quorum = DEFAULT_QUORUM,
+  quorumMethods = DEFAULT_QUORUM_METHODS,
+  healthCheckInterval = DEFAULT_HEALTH_CHECK_INTERVAL,
+  timeout = DEFAULT_TIMEOUT,
+  maxBlockLag = DEFAULT_MAX_BLOCK_LAG
+}) => {
+  if (!urls || urls.length === 0) {
+    throw new Error('At least one RPC URL is required');
+  }
+
+  const endpoints = urls.map((url, index) => ({
+    url,
+    // URL as logged and shown in /health, without keys
+    label: logger.redact(url),
+    index,
+    blockNumber: null,
+    lastSuccessAt: null,
+    lastCheckedAt: null,
+    latency: null,
+    errorRate: 0,
+    consecutiveFailures: 0,
+    requests: 0,
+    failures: 0,
+    lastError: null
+  }));
+
+  const stats = { failovers: 0, quorumFailures: 0, disagreements: 0 };
+  let bestBlock = null;
+  let bestBlockAt = null;
+  let checkTimer = null;
+  let nextId = 1;
+
+  // Health and scoring
+
+  const lagOf = (endpoint) =>
+    (endpoint.blockNumber === null || bestBlock === null ? null : bestBlock - endpoint.blockNumber);
+
+  const isHealthy = (endpoint) =>
+    endpoint.blockNumber !== null &&
+    endpoint.consecutiveFailures < MAX_CONSECUTIVE_FAILURES &&
+    endpoint.errorRate < MAX_ERROR_RATE &&
+    // No answer for three health checks means the endpoint hangs
+    Date.now() - endpoint.lastSuccessAt <= healthCheckInterval * 3 &&
+    lagOf(endpoint) <= maxBlockLag;
+
+  // Lower is better
+  const scoreOf = (endpoint) =>
+    (endpoint.latency || 0) + (lagOf(endpoint) || 0) * LAG_PENALTY + endpoint.errorRate * ERROR_PENALTY;
+
+  // Healthy endpoints by score, then the others, so requests still go
+  // somewhere when every endpoint is down
+  const ranked = () => endpoints
+    .map(endpoint => ({ endpoint, healthy: isHealthy(endpoint), score: scoreOf(endpoint) }))
+    .sort((a, b) => (b.healthy - a.healthy) || (a.score - b.score) || (a.endpoint.index - b.endpoint.index))
+    .map(({ endpoint }) => endpoint);
+
+  const recordBlock = (endpoint, blockNumber) => {
+    endpoint.blockNumber = blockNumber;
+    if (bestBlock === null || blockNumber > bestBlock) {
+      bestBlock = blockNumber;
+      bestBlockAt = Date.now();
+    }
+  };
+
+  const recordSuccess = (endpoint, latency) => {
+    endpoint.latency = endpoint.latency === null ? latency : endpoint.latency * (1 - SMOOTHING) + latency * SMOOTHING;
+    endpoint.errorRate *= 1 - SMOOTHING;
+    endpoint.consecutiveFailures = 0;
+    endpoint.lastSuccessAt = Date.now();
+  };
+
+  const recordFailure = (endpoint, error) => {
+    endpoint.errorRate = endpoint.errorRate * (1 - SMOOTHING) + SMOOTHING;
+    endpoint.consecutiveFailures++;
+    endpoint.failures++;
+    endpoint.lastError = describeRpcError(error);
+  };
+
+  // Requests
+
+  /**
+   * Sends one request to one endpoint and records how it went
+   */
+  const request = async (endpoint, method, params) => {
+    const startedAt = Date.now();
+    endpoint.requests++;
+
+    try {
+      const result = await ethers.utils.fetchJson(
+        // No retries on 429: another endpoint is tried instead
+        { url: endpoint.url, timeout, throttleLimit: 1 },
+        JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params }),
+        getResult
+      );
+      recordSuccess(endpoint, Date.now() - startedAt);
+      if (method === 'eth_blockNumber') recordBlock(endpoint, parseInt(result, 16));
+      return result;
+    } catch (error) {
+      if (isCallError(error)) {
+        recordSuccess(endpoint, Date.now() - startedAt);
+      } else {
+        recordFailure(endpoint, error);
+      }
+      throw error;
+    }
+  };
+
+  // Tries endpoints in order of health until one answers
+  const sendWithFailover = async (method, params) => {
+    const candidates = ranked();
+
+    for (const [i, endpoint] of candidates.entries()) {
+      try {
+        return await request(endpoint, method, params);
+      } catch (error) {
+        if (isCallError(error) || i === candidates.length - 1) throw error;
+
+        stats.failovers++;
+        logger.warn('RPC endpoint failed, trying the next one', { endpoint: endpoint.label, method, error: describeRpcError(error) });
+      }
+    }
+  };
+
+  // Asks the healthiest endpoints at once, then one more at a time, until
+  // enough of them give the same answer. A revert or other call error counts
+  // as an answer like any result.
+  const sendWithQuorum = async (method, params) => {
+    const candidates = ranked();
+    const required = Math.max(1, Math.min(quorum, candidates.filter(isHealthy).length));
+    const answers = new Map(); // JSON of the answer -> { result, error, endpoints }
+    let lastError = null;
+    let next = 0;
+
+    while (next < candidates.length) {
+      const batch = candidates.slice(next, next === 0 ? required : next + 1);
+      next += batch.length;
+
+      const outcomes = await Promise.allSettled(batch.map(endpoint => request(endpoint, method, params)));
+
+      for (const [i, outcome] of outcomes.entries()) {
+        if (outcome.status === 'rejected' && !isCallError(outcome.reason)) {
+          lastError = outcome.reason;
+          logger.warn('RPC endpoint failed during a quorum read', { endpoint: batch[i].label, method, error: describeRpcError(outcome.reason) });
+          continue;
+        }
+
+        const key = outcome.status === 'fulfilled'
+          ? JSON.stringify(outcome.value)
+          : `error:${outcome.reason.error.code}:${outcome.reason.error.message}`;
+        const answer = answers.get(key) || { result: outcome.value, error: outcome.reason, endpoints: [] };
+        answer.endpoints.push(batch[i].label);
+        answers.set(key, answer);
+
+        if (answer.endpoints.length >= required) {
+          if (answers.size > 1) {
+            stats.disagreements++;
+            logger.warn('RPC endpoints disagreed, using the quorum answer', {
+              method,
+              agreed: answer.endpoints,
+              answers: answers.size
+            });
+          }
+          if (answer.error) throw answer.error;
+          return answer.result;
+        }
+      }
+    }
+
+    stats.quorumFailures++;
+    logger.error('RPC endpoints did not reach a quorum', { method, required, answers: answers.size });
+
+    if (answers.size === 0 && lastError) throw lastError;
+    const error = new Error(`RPC endpoints did not agree on ${method}`);
+    error.code = 'SERVER_ERROR';
+    throw error;
+  };
+
+  const send = (method, params = []) => {
+    if (endpoints.length > 1 && quorumMethods.includes(method)) {
+      return sendWithQuorum(method, params);
+    }
+    return sendWithFailover(method, params);
+  };
+
+  // The provider the rest of the server uses; only its send is changed, so
+  // contracts, event polling and instrumentProvider work as before. A static
+  // provider asks for the chain ID once instead of before every request.
+  const provider = new ethers.providers.StaticJsonRpcProvider(urls[0]);
+  provider.send = send;
+
+  // Health checks
+
+  const checkEndpoint = async (endpoint) => {
+    endpoint.lastCheckedAt = Date.now();
+    try {
+      await request(endpoint, 'eth_blockNumber', []);
+    } catch (error) {
+      logger.debug('RPC health check failed', { endpoint: endpoint.label, error: describeRpcError(error) });
+    }
+  };
+
+  const checkAll = async () => {
+    const wasHealthy = endpoints.map(isHealthy);
+    await Promise.all(endpoints.map(checkEndpoint));
+
+    endpoints.forEach((endpoint, i) => {
+      const healthy = isHealthy(endpoint);
+      if (healthy === wasHealthy[i]) return;
+
+      if (healthy) {
+        logger.info('RPC endpoint is healthy', { endpoint: endpoint.label, blockNumber: endpoint.blockNumber });
+      } else {
+        logger.warn('RPC endpoint is unhealthy', {
+          endpoint: endpoint.label,
+          lag: lagOf(endpoint),
+          errorRate: endpoint.errorRate,
+          lastError: endpoint.lastError
+        });
+      }
+    });
+  };
+
+  /**
+   * Starts health checks, with a first one right away
+   * @return {Promise} Resolves when the first check has finished
+   */
+  const start = () => {
+    if (checkTimer) return Promise.resolve();
+    checkTimer = setInterval(checkAll, healthCheckInterval);
+    return checkAll();
+  };
+
+  const stop = () => {
+    clearInterval(checkTimer);
+    checkTimer = null;
+  };
+
+  /**
+   * Current state of the pool for /health
+   * @return {Object} Endpoints in order of preference, with their health
+   */
+  const getStatus = () => {
+    const order = ranked();
+    return {
+      active: order[0].label,
+      healthyEndpoints: endpoints.filter(isHealthy).length,
+      blockNumber: bestBlock,
+      // Milliseconds since any endpoint last reported a new block
+      blockAge: bestBlockAt === null ? null : Date.now() - bestBlockAt,
+      quorum: { size: quorum, methods: quorumMethods },
+      ...stats,
+      endpoints: order.map(endpoint => ({
+        url: endpoint.label,
+        healthy: isHealthy(endpoint),
+        score: Math.round(scoreOf(endpoint)),
+        blockNumber: endpoint.blockNumber,
+        lag: lagOf(endpoint),
+        latencyMs: endpoint.latency === null ? null : Math.round(endpoint.latency),
+        errorRate: Math.round(endpoint.errorRate * 1000) / 1000,
+        consecutiveFailures: endpoint.consecutiveFailures,
+        requests: endpoint.requests,
+        failures: endpoint.failures,
+        lastCheckedAt: endpoint.lastCheckedAt,
+        lastError: endpoint.lastError === null ? null : logger.redact(endpoint.lastError)
+      }))
+    };
+  };
+
+  return {
+    provider,
+    start,
+    stop,
+    getStatus
+  };
+};
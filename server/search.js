@@ -0,0 +1,124 @@
+// server/search.js
+
+// Limit for profile matches
+const MAX_PROFILE_RESULTS = 10;
+
+// Lowercase and collapse whitespace so phrases match across line breaks
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Splits a query into lowercased terms and "quoted phrases"
+ * @param {string} query - Raw query string
+ * @return {Object} { terms, phrases }
+ */
+export const parseQuery = (query = '') => {
+  const terms = [];
+  const phrases = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = normalize(match[1]);
+      if (phrase) phrases.push(phrase);
+    } else {
+      terms.push(match[2].toLowerCase());
+    }
+  }
+
+  return { terms, phrases };
+};
+
+/**
+ * Factory for full-text search over the local message store
+ * @param {Object} options - Search options
+ * @param {Object} options.store - Message store (see store.js)
+ * @returns {Object} Search methods
+ */
+export const createSearch = ({ store }) => {
+  /**
+   * Resolve a sender filter given as an address or a nickname
+   * @param {string} sender - Address, nickname or @nickname
+   * @return {string|null} Lowercased address, or null if unknown
+   */
+  const resolveSender = (sender) => {
+    if (/^0x[a-fA-F0-9]{40}$/.test(sender)) return sender.toLowerCase();
+
+    const address = store.getAddressByNickname(sender.replace(/^@/, ''));
+    return address ? address.toLowerCase() : null;
+  };
+
+  const matchesText = (text, { terms, phrases }) => {
+    const haystack = normalize(text);
+    return terms.every(term => haystack.includes(term)) &&
+      phrases.every(phrase => haystack.includes(phrase));
+  };
+
+  /**
+   * Search messages, newest first
+   * @param {Object} params - Search parameters
+   * @param {string} params.q - Query with optional "quoted phrases"
+   * @param {string} params.sender - Address or nickname to filter by
+   * @param {number} params.from - Earliest timestamp in milliseconds
+   * @param {number} params.to - Latest timestamp in milliseconds
+   * @param {boolean} params.includeDeleted - Include messages deleted by their author
+   * @param {boolean} params.includePruned - Include messages pruned by the contract
+   * @returns {Array<Object>} Matching message records
+   */
+  const searchMessages = ({
+    q = '',
+    sender = null,
+    from = null,
+    to = null,
+    includeDeleted = false,
+    includePruned = false
+  } = {}) => {
+    const query = parseQuery(q);
+
+    let senderAddress = null;
+    if (sender) {
+      senderAddress = resolveSender(sender);
+      // Unknown nickname: nothing can match
+      if (!senderAddress) return [];
+    }
+
+    const candidates = senderAddress
+      ? store.getMessagesBySender(senderAddress, { includeDeleted: true })
+      : store.getAllMessages();
+
+    const matches = candidates.filter(record => {
+      if (record.isDeleted) {
+        if (record.deletionReason === 'pruned' ? !includePruned : !includeDeleted) return false;
+      }
+      if (from !== null && record.timestamp < from) return false;
+      if (to !== null && record.timestamp > to) return false;
+      return matchesText(record.content || '', query);
+    });
+
+    return matches.sort((a, b) => b.messageId - a.messageId);
+  };
+
+  /**
+   * Search active profiles by nickname
+   * @param {string} q - Query; every term must appear in the nickname
+   * @returns {Array<Object>} Matching profiles
+   */
+  const searchProfiles = (q = '') => {
+    const { terms, phrases } = parseQuery(q);
+    const needles = [...terms, ...phrases].map(needle => needle.replace(/^@/, ''));
+    if (needles.length === 0) return [];
+
+    return store.getAllProfiles()
+      .filter(profile => profile.isActive && profile.nickname)
+      .filter(profile => needles.every(needle => profile.nickname.toLowerCase().includes(needle)))
+      .sort((a, b) => a.nickname.length - b.nickname.length)
+      .slice(0, MAX_PROFILE_RESULTS);
+  };
+
+  return {
+    searchMessages,
+    searchProfiles
+  };
+};
+
+export default createSearch;
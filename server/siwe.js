@@ -0,0 +1,190 @@
+// server/siwe.js
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+
+// How long a challenge can be signed, and how long the session it buys lasts
+const CHALLENGE_TTL = 5 * 60 * 1000;
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+// Caps on outstanding challenges and sessions, so unauthenticated clients
+// can't grow the maps without bound
+const MAX_CHALLENGES = 10000;
+const MAX_SESSIONS = 10000;
+
+const STATEMENT = 'Sign in to receive notifications for your address.';
+
+/**
+ * Builds an EIP-4361 (Sign-In with Ethereum) message
+ * @param {Object} fields - Message fields
+ * @return {string} Message text for personal_sign
+ */
+export const buildSiweMessage = ({ domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime }) => [
+  `${domain} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  statement,
+  '',
+  `URI: ${uri}`,
+  'Version: 1',
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt}`,
+  `Expiration Time: ${expirationTime}`
+].join('\n');
+
+/**
+ * Parses an EIP-4361 message
+ * @param {string} message - Message text
+ * @return {Object|null} Parsed fields, or null if it isn't a SIWE message
+ */
+export const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') return null;
+
+  const lines = message.split('\n');
+  const header = lines[0].match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+  if (!header || !ethers.utils.isAddress(lines[1] || '')) return null;
+
+  const fields = {};
+  lines.slice(2).forEach(line => {
+    const match = line.match(/^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time): (.+)$/);
+    if (match) fields[match[1]] = match[2];
+  });
+
+  if (fields.Version !== '1' || !fields.Nonce) return null;
+
+  return {
+    domain: header[1],
+    address: lines[1],
+    uri: fields.URI,
+    chainId: parseInt(fields['Chain ID']),
+    nonce: fields.Nonce,
+    issuedAt: fields['Issued At'],
+    expirationTime: fields['Expiration Time']
+  };
+};
+
+/**
+ * Factory for wallet sign-in. The server issues the message to sign, so a
+ * signature only verifies for a message this server handed out: the domain,
+ * URI and chain are whatever it put in, and each nonce works once.
+ * @param {Object} options - Options
+ * @param {Function} options.getChainId - async () => chain ID for new messages
+ * @returns {Object} Auth methods
+ */
+export const createSiweAuth = ({ getChainId }) => {
+  const challenges = new Map(); // nonce -> { message, address, expiresAt }
+  const sessions = new Map(); // token -> { address, expiresAt }
+
+  // Drop expired entries, then the oldest ones if still over the cap
+  const prune = (map, max) => {
+    const now = Date.now();
+    for (const [key, entry] of map) {
+      if (entry.expiresAt <= now) map.delete(key);
+    }
+    while (map.size >= max) {
+      map.delete(map.keys().next().value);
+    }
+  };
+
+  /**
+   * Issues a message for an address to sign
+   * @param {Object} params - Challenge parameters
+   * @param {string} params.address - Address signing in
+   * @param {string} params.origin - Origin of the app asking, e.g. https://example.com
+   * @return {Promise<Object>} { message, nonce, expiresAt }
+   */
+  const createChallenge = async ({ address, origin }) => {
+    if (!ethers.utils.isAddress(address)) {
+      throw new Error('Invalid address format');
+    }
+
+    prune(challenges, MAX_CHALLENGES);
+
+    const now = Date.now();
+    const expiresAt = now + CHALLENGE_TTL;
+    // EIP-4361 nonces are alphanumeric
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const checksumAddress = ethers.utils.getAddress(address);
+
+    const message = buildSiweMessage({
+      domain: new URL(origin).host,
+      address: checksumAddress,
+      statement: STATEMENT,
+      uri: origin,
+      chainId: await getChainId(),
+      nonce,
+      issuedAt: new Date(now).toISOString(),
+      expirationTime: new Date(expiresAt).toISOString()
+    });
+
+    challenges.set(nonce, { message, address: checksumAddress, expiresAt });
+    return { message, nonce, expiresAt };
+  };
+
+  /**
+   * Verifies a signed challenge and starts a session
+   * @param {string} message - Message that was signed
+   * @param {string} signature - personal_sign signature
+   * @return {Object} { token, address, expiresAt }, or { error }
+   */
+  const verify = (message, signature) => {
+    const parsed = parseSiweMessage(message);
+    if (!parsed) return { error: 'Not a sign-in message' };
+
+    const challenge = challenges.get(parsed.nonce);
+    // Nonces are single use, whether the signature checks out or not
+    challenges.delete(parsed.nonce);
+
+    if (!challenge || challenge.message !== message) {
+      return { error: 'Unknown or already used nonce' };
+    }
+    if (challenge.expiresAt <= Date.now()) {
+      return { error: 'Challenge expired' };
+    }
+
+    let signer;
+    try {
+      signer = ethers.utils.verifyMessage(message, signature);
+    } catch (error) {
+      return { error: 'Malformed signature' };
+    }
+
+    if (signer !== challenge.address) {
+      return { error: 'Signature does not match the address' };
+    }
+
+    prune(sessions, MAX_SESSIONS);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const session = { address: signer, expiresAt: Date.now() + SESSION_TTL };
+    sessions.set(token, session);
+
+    return { token, ...session };
+  };
+
+  /**
+   * Looks up a session
+   * @param {string} token - Session token
+   * @return {Object|null} { address, expiresAt }, or null if unknown or expired
+   */
+  const getSession = (token) => {
+    const session = typeof token === 'string' ? sessions.get(token) : null;
+    if (!session) return null;
+
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+
+    return session;
+  };
+
+  const revoke = (token) => sessions.delete(token);
+
+  return {
+    createChallenge,
+    verify,
+    getSession,
+    revoke
+  };
+};
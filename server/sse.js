@@ -0,0 +1,158 @@
+// server/sse.js
+import { logger } from './logger.js';
+
+// Comment lines sent this often keep proxies from closing idle streams
+const DEFAULT_KEEPALIVE_INTERVAL = 15000;
+
+// How long browsers wait before reconnecting, in milliseconds
+const RETRY_DELAY = 3000;
+
+/**
+ * Event ID of an event log entry. Sequence numbers start again when the
+ * server restarts, so the stream ID is part of it.
+ * @param {string} streamId - Event log stream ID
+ * @param {number} seq - Sequence number
+ * @return {string} e.g. "3f2a…:42"
+ */
+export const formatEventId = (streamId, seq) => `${streamId}:${seq}`;
+
+/**
+ * Parses a Last-Event-ID
+ * @param {string} eventId - ID the client last saw
+ * @return {Object|null} { streamId, lastSeq }, or null if malformed
+ */
+export const parseEventId = (eventId) => {
+  const match = typeof eventId === 'string' && eventId.match(/^([0-9a-f]+):(\d+)$/);
+  return match ? { streamId: match[1], lastSeq: parseInt(match[2]) } : null;
+};
+
+/**
+ * Factory for Server-Sent Events streams, for clients that can't keep a
+ * WebSocket open. Each stream is subscribed to a fixed set of channels and
+ * gets the same channel events as WebSocket clients, with the event log's
+ * sequence numbers as event IDs.
+ * @param {Object} options - Options
+ * @param {Object} options.eventLog - Event log the events are sequenced in
+ * @param {number} options.keepaliveInterval - Milliseconds between keepalive comments
+ * @returns {Object} Stream methods
+ */
+export const createEventStream = ({ eventLog, keepaliveInterval = DEFAULT_KEEPALIVE_INTERVAL }) => {
+  // res -> Set of channel names
+  const clients = new Map();
+  let keepaliveTimer = null;
+
+  const write = (res, { id, data }) => {
+    try {
+      res.write(`${id ? `id: ${id}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+      logger.error('Error writing to event stream', { error });
+    }
+  };
+
+  const writeEntry = (res, entry) => write(res, {
+    id: formatEventId(eventLog.streamId, entry.seq),
+    data: { ...entry.payload, channels: entry.channels }
+  });
+
+  const startKeepalive = () => {
+    if (keepaliveTimer) return;
+    keepaliveTimer = setInterval(() => {
+      clients.forEach((subscribed, res) => res.write(': keepalive\n\n'));
+    }, keepaliveInterval);
+  };
+
+  const stopKeepalive = () => {
+    clearInterval(keepaliveTimer);
+    keepaliveTimer = null;
+  };
+
+  /**
+   * Opens a stream on a response. Without a last event ID the stream starts
+   * with a `hello` event; with one it first sends the missed events, or
+   * `resyncRequired` if they are no longer kept.
+   * @param {Object} res - Express response
+   * @param {Object} options - Stream options
+   * @param {Array<string>} options.channels - Canonical channel names
+   * @param {string|null} options.lastEventId - Last-Event-ID from the client
+   */
+  const open = (res, { channels, lastEventId = null }) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stops nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+    const subscribed = new Set(channels);
+
+    if (lastEventId) {
+      const parsed = parseEventId(lastEventId);
+      const missed = parsed ? eventLog.since(parsed.lastSeq, parsed.streamId) : null;
+
+      if (missed) {
+        missed
+          .filter(entry => entry.channels.some(channel => subscribed.has(channel)))
+          .forEach(entry => writeEntry(res, entry));
+      } else {
+        write(res, {
+          id: formatEventId(eventLog.streamId, eventLog.getSeq()),
+          data: { type: 'resyncRequired', streamId: eventLog.streamId, seq: eventLog.getSeq(), timestamp: Date.now() }
+        });
+      }
+    } else {
+      write(res, {
+        id: formatEventId(eventLog.streamId, eventLog.getSeq()),
+        data: { type: 'hello', streamId: eventLog.streamId, seq: eventLog.getSeq(), channels, timestamp: Date.now() }
+      });
+    }
+
+    clients.set(res, subscribed);
+    startKeepalive();
+
+    res.on('close', () => {
+      clients.delete(res);
+      if (clients.size === 0) stopKeepalive();
+    });
+  };
+
+  /**
+   * Sends an event log entry to the streams subscribed to any of its channels
+   * @param {Object} entry - Entry from eventLog.append
+   * @return {number} Number of streams it was sent to
+   */
+  const publish = (entry) => {
+    let sent = 0;
+
+    clients.forEach((subscribed, res) => {
+      if (!entry.channels.some(channel => subscribed.has(channel))) return;
+      writeEntry(res, entry);
+      sent++;
+    });
+
+    return sent;
+  };
+
+  /**
+   * Ends every open stream, e.g. on shutdown, so the HTTP server can close.
+   * Browsers reconnect after the retry delay.
+   */
+  const close = () => {
+    stopKeepalive();
+    clients.forEach((subscribed, res) => res.end());
+    clients.clear();
+  };
+
+  const getStats = () => ({
+    clients: clients.size
+  });
+
+  return {
+    open,
+    publish,
+    close,
+    getStats
+  };
+};
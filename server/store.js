@@ -0,0 +1,526 @@
+// server/store.js
+import fs from 'fs';
+import path from 'path';
+import { extractHashtags } from './text.js';
+import { logger } from './logger.js';
+
+// Delay before pending changes are written to disk
+const SAVE_DELAY = 2000;
+
+// Bump when records gain derived fields; older snapshots are rebuilt from the chain
+const SNAPSHOT_VERSION = 2;
+
+/**
+ * Factory for the local message store.
+ * Keeps messages, profiles and contract parameters in memory and persists
+ * them to a single JSON snapshot so the indexer can resume after a restart.
+ * @param {Object} options - Store options
+ * @param {string} options.dataDir - Directory for the snapshot file
+ * @returns {Object} Store methods
+ */
+export const createMessageStore = ({ dataDir }) => {
+  const filePath = path.join(dataDir, 'index.json');
+
+  // Primary data
+  const messages = new Map(); // messageId -> message record
+  const profiles = new Map(); // lowercased address -> profile record
+  let parameters = {};
+  let meta = { startBlock: null, lastBlock: null, lastEvent: null, updatedAt: null };
+
+  // Secondary indexes, rebuilt on load
+  const orderedIds = []; // message IDs in ascending order
+  const repliesByParent = new Map(); // parent ID -> reply IDs
+  const idsBySender = new Map(); // lowercased address -> message IDs
+  const addressByNickname = new Map(); // nickname -> address
+  const idsByTag = new Map(); // lowercased hashtag -> message IDs
+  const idsByMention = new Map(); // lowercased mentioned address -> message IDs
+
+  let saveTimer = null;
+
+  const indexMessage = (record) => {
+    const { messageId } = record;
+
+    // IDs almost always arrive in order, so appending is the common path
+    if (orderedIds.length === 0 || orderedIds[orderedIds.length - 1] < messageId) {
+      orderedIds.push(messageId);
+    } else if (!orderedIds.includes(messageId)) {
+      orderedIds.push(messageId);
+      orderedIds.sort((a, b) => a - b);
+    }
+
+    const senderKey = record.sender.toLowerCase();
+    if (!idsBySender.has(senderKey)) idsBySender.set(senderKey, []);
+    const senderIds = idsBySender.get(senderKey);
+    if (!senderIds.includes(messageId)) senderIds.push(messageId);
+
+    if (record.replyToMessageId) {
+      if (!repliesByParent.has(record.replyToMessageId)) repliesByParent.set(record.replyToMessageId, []);
+      const replyIds = repliesByParent.get(record.replyToMessageId);
+      if (!replyIds.includes(messageId)) replyIds.push(messageId);
+    }
+
+    extractHashtags(record.content).forEach(tag => {
+      if (!idsByTag.has(tag)) idsByTag.set(tag, []);
+      const tagIds = idsByTag.get(tag);
+      if (!tagIds.includes(messageId)) tagIds.push(messageId);
+    });
+
+    (record.mentions || []).forEach(({ address }) => {
+      const key = address.toLowerCase();
+      if (!idsByMention.has(key)) idsByMention.set(key, []);
+      const mentionIds = idsByMention.get(key);
+      if (!mentionIds.includes(messageId)) mentionIds.push(messageId);
+    });
+  };
+
+  const indexProfile = (address, profile) => {
+    if (profile.nickname && profile.isActive) {
+      addressByNickname.set(profile.nickname, address);
+    }
+  };
+
+  /**
+   * Load the snapshot from disk (if any) and rebuild indexes
+   */
+  const load = () => {
+    try {
+      if (!fs.existsSync(filePath)) {
+        logger.info('No store snapshot, starting empty', { filePath });
+        return;
+      }
+
+      const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+      if (snapshot.version !== SNAPSHOT_VERSION) {
+        logger.info('Store snapshot is outdated, rebuilding index', { version: snapshot.version ?? 1 });
+        return;
+      }
+
+      meta = { ...meta, ...snapshot.meta };
+      parameters = snapshot.parameters || {};
+
+      (snapshot.messages || []).forEach(record => {
+        messages.set(record.messageId, record);
+        indexMessage(record);
+      });
+
+      Object.entries(snapshot.profiles || {}).forEach(([address, profile]) => {
+        profiles.set(address, profile);
+        indexProfile(profile.address, profile);
+      });
+
+      logger.info('Store loaded', { messages: messages.size, profiles: profiles.size, lastBlock: meta.lastBlock });
+    } catch (error) {
+      logger.error('Error loading store snapshot', { filePath, error });
+    }
+  };
+
+  /**
+   * Write the snapshot to disk immediately
+   */
+  const flush = () => {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+
+      const snapshot = {
+        version: SNAPSHOT_VERSION,
+        meta: { ...meta, updatedAt: Date.now() },
+        parameters,
+        messages: orderedIds.map(id => messages.get(id)),
+        profiles: Object.fromEntries(profiles)
+      };
+
+      // Write to a temporary file first so a crash never leaves a truncated snapshot
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      logger.error('Error saving store snapshot', { filePath, error });
+    }
+  };
+
+  /**
+   * Schedule a snapshot write, coalescing bursts of changes
+   */
+  const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DELAY);
+  };
+
+  // Indexer progress
+
+  const getMeta = () => ({ ...meta });
+
+  const setStartBlock = (blockNumber) => {
+    meta.startBlock = blockNumber;
+    scheduleSave();
+  };
+
+  const setLastBlock = (blockNumber) => {
+    meta.lastBlock = blockNumber;
+    scheduleSave();
+  };
+
+  /**
+   * Record the last applied log so a partially applied batch can resume
+   * without applying non-idempotent events (like pruning) twice
+   */
+  const setLastEvent = ({ blockNumber, logIndex }) => {
+    meta.lastEvent = { blockNumber, logIndex };
+    scheduleSave();
+  };
+
+  // Messages
+
+  /**
+   * Insert or replace a message record
+   * @param {Object} record - Message record with numeric messageId
+   */
+  const upsertMessage = (record) => {
+    const existing = messages.get(record.messageId);
+    const merged = {
+      isDeleted: false,
+      deletionReason: null,
+      deletedBy: null,
+      deletedAt: null,
+      deletedIn: null,
+      ...existing,
+      ...record
+    };
+
+    messages.set(merged.messageId, merged);
+    indexMessage(merged);
+    scheduleSave();
+    return merged;
+  };
+
+  /**
+   * Mark a message as deleted, keeping its content
+   * @param {number} messageId - Message ID
+   * @param {Object} details - Deletion details (reason, deletedBy, deletedAt,
+   * and deletedIn: the { blockNumber, transactionHash } of the event)
+   * @returns {Object|null} Updated record
+   */
+  const markDeleted = (messageId, { reason = 'user', deletedBy = null, deletedAt = null, deletedIn = null } = {}) => {
+    const record = messages.get(messageId);
+    if (!record || record.isDeleted) return record || null;
+
+    record.isDeleted = true;
+    record.deletionReason = reason;
+    record.deletedBy = deletedBy;
+    record.deletedAt = deletedAt;
+    record.deletedIn = deletedIn;
+    scheduleSave();
+    return record;
+  };
+
+  /**
+   * Mirror the contract's deleteOldestMessages: soft-delete the oldest
+   * active top-level messages
+   * @param {number} count - Number of messages the contract pruned
+   * @param {number|null} deletedAt - Time of pruning in milliseconds
+   * @param {Object|null} deletedIn - { blockNumber, transactionHash } of the event
+   * @returns {Array<number>} IDs of pruned messages
+   */
+  const pruneOldest = (count, deletedAt = null, deletedIn = null) => {
+    const pruned = [];
+
+    for (const id of orderedIds) {
+      if (pruned.length >= count) break;
+      if (id === 0) continue;
+
+      const record = messages.get(id);
+      if (!record.isDeleted && !record.replyToMessageId) {
+        markDeleted(id, { reason: 'pruned', deletedAt, deletedIn });
+        pruned.push(id);
+      }
+    }
+
+    return pruned;
+  };
+
+  const getMessage = (messageId) => messages.get(messageId) || null;
+
+  const hasMessage = (messageId) => messages.has(messageId);
+
+  /**
+   * Equivalent of the contract's messageCount (next message ID)
+   */
+  const getMessageCount = () => {
+    if (orderedIds.length === 0) return 1;
+    return orderedIds[orderedIds.length - 1] + 1;
+  };
+
+  const getTotalActiveMessages = () => {
+    let count = 0;
+    messages.forEach(record => {
+      if (!record.isDeleted) count++;
+    });
+    return count;
+  };
+
+  /**
+   * Get messages with IDs in [start, end), newest first
+   */
+  const getMessagesInRange = (start, end) => {
+    const result = [];
+    for (let i = end - 1; i >= start; i--) {
+      const record = messages.get(i);
+      if (record) result.push(record);
+    }
+    return result;
+  };
+
+  /**
+   * Get all message records in ascending ID order
+   */
+  const getAllMessages = () => orderedIds.map(id => messages.get(id));
+
+  /**
+   * Get all active messages including replies, newest first
+   */
+  const getActiveMessages = () => {
+    const result = [];
+    for (let i = orderedIds.length - 1; i >= 0; i--) {
+      const record = messages.get(orderedIds[i]);
+      if (!record.isDeleted) result.push(record);
+    }
+    return result;
+  };
+
+  /**
+   * Get active top-level messages, newest first
+   */
+  const getActiveTopLevelMessages = () => {
+    const result = [];
+    for (let i = orderedIds.length - 1; i >= 0; i--) {
+      const record = messages.get(orderedIds[i]);
+      if (!record.isDeleted && !record.replyToMessageId) result.push(record);
+    }
+    return result;
+  };
+
+  /**
+   * Get messages removed by the contract's active message cap, newest first
+   * @param {Object} options - Filters
+   * @param {number} options.from - Only messages posted at or after this time (ms)
+   * @param {number} options.to - Only messages posted at or before this time (ms)
+   * @param {Object} options.deletedIn - Only messages pruned by this event,
+   * given as { blockNumber, transactionHash }
+   * @returns {Array<Object>} Pruned message records
+   */
+  const getPrunedMessages = ({ from = null, to = null, deletedIn = null } = {}) => {
+    const result = [];
+    for (let i = orderedIds.length - 1; i >= 0; i--) {
+      const record = messages.get(orderedIds[i]);
+      if (record.deletionReason !== 'pruned') continue;
+      if (deletedIn && (record.deletedIn?.blockNumber !== deletedIn.blockNumber ||
+        record.deletedIn?.transactionHash !== deletedIn.transactionHash)) continue;
+      if (to !== null && record.timestamp > to) continue;
+      if (from !== null && record.timestamp < from) break;
+      result.push(record);
+    }
+    return result;
+  };
+
+  const getReplies = (messageId, { includeDeleted = false } = {}) => {
+    const ids = repliesByParent.get(messageId) || [];
+    return ids
+      .map(id => messages.get(id))
+      .filter(record => record && (includeDeleted || !record.isDeleted));
+  };
+
+  const getMessagesBySender = (address, { includeDeleted = false } = {}) => {
+    const ids = idsBySender.get(address.toLowerCase()) || [];
+    return ids
+      .map(id => messages.get(id))
+      .filter(record => record && (includeDeleted || !record.isDeleted));
+  };
+
+  /**
+   * Get messages containing a hashtag, newest first
+   * @param {string} tag - Lowercased tag without #
+   * @param {Object} options - includeDeleted / includePruned
+   * @returns {Array<Object>} Message records
+   */
+  const getMessagesByTag = (tag, { includeDeleted = false, includePruned = false } = {}) => {
+    const ids = idsByTag.get(tag) || [];
+    return ids
+      .map(id => messages.get(id))
+      .filter(record => {
+        if (!record) return false;
+        if (!record.isDeleted) return true;
+        return record.deletionReason === 'pruned' ? includePruned : includeDeleted;
+      })
+      .sort((a, b) => b.messageId - a.messageId);
+  };
+
+  /**
+   * Get messages that mention an address, newest first
+   * @param {string} address - Mentioned address
+   * @param {Object} options - includeDeleted / includePruned
+   * @returns {Array<Object>} Message records
+   */
+  const getMessagesMentioning = (address, { includeDeleted = false, includePruned = false } = {}) => {
+    const ids = idsByMention.get(address.toLowerCase()) || [];
+    return ids
+      .map(id => messages.get(id))
+      .filter(record => {
+        if (!record) return false;
+        if (!record.isDeleted) return true;
+        return record.deletionReason === 'pruned' ? includePruned : includeDeleted;
+      })
+      .sort((a, b) => b.messageId - a.messageId);
+  };
+
+  /**
+   * Count messages per hashtag posted since a point in time.
+   * Messages deleted by their author don't count; pruned ones do,
+   * since pruning only reflects the active message cap.
+   * @param {Object} options - Options
+   * @param {number} options.since - Start of the window in milliseconds
+   * @param {number} options.limit - Maximum number of tags
+   * @returns {Array<Object>} [{ tag, count, lastUsed }] by count, then recency
+   */
+  const getTrendingTags = ({ since = 0, limit = 10 } = {}) => {
+    const trending = [];
+
+    idsByTag.forEach((ids, tag) => {
+      let count = 0;
+      let lastUsed = 0;
+
+      ids.forEach(id => {
+        const record = messages.get(id);
+        if (!record || record.timestamp < since) return;
+        if (record.isDeleted && record.deletionReason !== 'pruned') return;
+        count++;
+        lastUsed = Math.max(lastUsed, record.timestamp);
+      });
+
+      if (count > 0) trending.push({ tag, count, lastUsed });
+    });
+
+    return trending
+      .sort((a, b) => b.count - a.count || b.lastUsed - a.lastUsed)
+      .slice(0, limit);
+  };
+
+  const findMessageByTimestamp = (timestampMs) => {
+    for (let i = orderedIds.length - 1; i >= 0; i--) {
+      const record = messages.get(orderedIds[i]);
+      if (Math.floor(record.timestamp / 1000) === Math.floor(timestampMs / 1000)) return record;
+    }
+    return null;
+  };
+
+  // Profiles
+
+  /**
+   * Insert or update a profile, keeping the nickname index consistent
+   * with the contract (old nickname is released on change)
+   */
+  const upsertProfile = (address, { nickname, avatarCode, isActive = true, updatedAt = null }) => {
+    const key = address.toLowerCase();
+    const existing = profiles.get(key);
+
+    if (existing?.nickname && existing.nickname !== nickname &&
+      addressByNickname.get(existing.nickname)?.toLowerCase() === key) {
+      addressByNickname.delete(existing.nickname);
+    }
+
+    const profile = {
+      address,
+      nickname: nickname || '',
+      avatarCode: avatarCode || '',
+      isActive: !!isActive,
+      updatedAt
+    };
+
+    profiles.set(key, profile);
+    indexProfile(address, profile);
+    scheduleSave();
+    return profile;
+  };
+
+  const deactivateProfile = (address, updatedAt = null) => {
+    const key = address.toLowerCase();
+    const existing = profiles.get(key);
+    if (!existing) return null;
+
+    if (addressByNickname.get(existing.nickname)?.toLowerCase() === key) {
+      addressByNickname.delete(existing.nickname);
+    }
+
+    existing.isActive = false;
+    existing.updatedAt = updatedAt;
+    scheduleSave();
+    return existing;
+  };
+
+  const getProfile = (address) => profiles.get(address.toLowerCase()) || null;
+
+  const getAddressByNickname = (nickname) => addressByNickname.get(nickname) || null;
+
+  const getAllProfiles = () => [...profiles.values()];
+
+  // Contract parameters
+
+  const setParameter = (name, value) => {
+    parameters = { ...parameters, [name]: value.toString() };
+    scheduleSave();
+  };
+
+  const getParameters = () => ({ ...parameters });
+
+  const getStats = () => ({
+    messages: messages.size,
+    pruned: [...messages.values()].filter(record => record.deletionReason === 'pruned').length,
+    tags: idsByTag.size,
+    profiles: profiles.size,
+    startBlock: meta.startBlock,
+    lastBlock: meta.lastBlock
+  });
+
+  return {
+    load,
+    flush,
+    scheduleSave,
+    getMeta,
+    setStartBlock,
+    setLastBlock,
+    setLastEvent,
+    upsertMessage,
+    markDeleted,
+    pruneOldest,
+    getMessage,
+    hasMessage,
+    getMessageCount,
+    getTotalActiveMessages,
+    getMessagesInRange,
+    getAllMessages,
+    getActiveMessages,
+    getActiveTopLevelMessages,
+    getPrunedMessages,
+    getReplies,
+    getMessagesBySender,
+    findMessageByTimestamp,
+    getMessagesByTag,
+    getMessagesMentioning,
+    getTrendingTags,
+    upsertProfile,
+    deactivateProfile,
+    getProfile,
+    getAddressByNickname,
+    getAllProfiles,
+    setParameter,
+    getParameters,
+    getStats
+  };
+};
+
+export default createMessageStore;
@@ -0,0 +1,105 @@
+// server/text.js
+
+// #tag preceded by start of text or a character that can't be part of a
+// word or URL, so "a#b" and "http://host/#anchor" are not tags.
+// Must match HASHTAG_PATTERN in src/utils/messageText.js
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_/&#])#([\p{L}\p{N}_]{1,50})/gu;
+
+// @nickname with the contract's nickname rules (letters, digits, underscore,
+// at most 32 chars), not preceded by a word character so emails don't match.
+// Must match MENTION_PATTERN in src/utils/messageText.js
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@.])@([A-Za-z0-9_]{1,32})(?![A-Za-z0-9_])/gu;
+
+/**
+ * Extracts unique hashtags from message content
+ * @param {string} content - Message content
+ * @return {Array<string>} Lowercased tags without the leading #
+ */
+export const extractHashtags = (content) => {
+  if (!content) return [];
+
+  const tags = new Set();
+  for (const match of content.matchAll(HASHTAG_PATTERN)) {
+    const tag = match[2].toLowerCase();
+    // "#1" is a number, not a tag
+    if (!/^\d+$/.test(tag)) tags.add(tag);
+  }
+
+  return [...tags];
+};
+
+/**
+ * Normalizes a tag from a URL or query (strips # and lowercases)
+ * @param {string} tag - Tag as given by the client
+ * @return {string} Normalized tag
+ */
+export const normalizeTag = (tag = '') => tag.replace(/^#/, '').toLowerCase();
+
+/**
+ * Extracts unique @mentions from message content
+ * @param {string} content - Message content
+ * @return {Array<string>} Nicknames as written (lookups are case-sensitive)
+ */
+export const extractMentions = (content) => {
+  if (!content) return [];
+
+  const nicknames = new Set();
+  for (const match of content.matchAll(MENTION_PATTERN)) {
+    nicknames.add(match[2]);
+  }
+
+  return [...nicknames];
+};
+
+/**
+ * Splits message text into plain text, hashtag and mention tokens
+ * Must match tokenizeMessage in src/utils/messageText.js
+ * @param {string} text - Message content
+ * @return {Array<Object>} Tokens: { type: 'text', value },
+ *   { type: 'tag', value, tag } or { type: 'mention', value, nickname }
+ */
+export const tokenizeMessage = (text) => {
+  if (!text) return [];
+
+  const matches = [];
+
+  for (const match of text.matchAll(HASHTAG_PATTERN)) {
+    const [, prefix, tag] = match;
+    // "#1" is a number, not a tag
+    if (/^\d+$/.test(tag)) continue;
+
+    matches.push({
+      start: match.index + prefix.length,
+      token: { type: 'tag', value: `#${tag}`, tag: tag.toLowerCase() }
+    });
+  }
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const [, prefix, nickname] = match;
+    matches.push({
+      start: match.index + prefix.length,
+      token: { type: 'mention', value: `@${nickname}`, nickname }
+    });
+  }
+
+  matches.sort((a, b) => a.start - b.start);
+
+  const tokens = [];
+  let lastIndex = 0;
+
+  matches.forEach(({ start, token }) => {
+    if (start < lastIndex) return;
+
+    if (start > lastIndex) {
+      tokens.push({ type: 'text', value: text.slice(lastIndex, start) });
+    }
+    tokens.push(token);
+    lastIndex = start + token.value.length;
+  });
+
+  if (lastIndex < text.length) {
+    tokens.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+
+  return tokens;
+};
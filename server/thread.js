@@ -0,0 +1,114 @@
+// server/thread.js
+import { shortAddress } from './utils.js';
+
+/**
+ * Walks up the reply chain to the top-level message
+ * @param {Object} store - Message store
+ * @param {number} messageId - Any message in the thread
+ * @return {number} ID of the root message (may be missing from the store)
+ */
+export const findRootId = (store, messageId) => {
+  let currentId = messageId;
+  let record = store.getMessage(currentId);
+
+  // Reply IDs are always higher than their parent's, so this terminates
+  while (record && record.replyToMessageId) {
+    currentId = record.replyToMessageId;
+    record = store.getMessage(currentId);
+  }
+
+  return currentId;
+};
+
+/**
+ * Format one node of the thread. Messages deleted by their author become
+ * placeholders without content so their replies keep their place in the tree;
+ * pruned messages stay readable like in the archive.
+ */
+const formatNode = (record, messageId, depth) => {
+  if (!record) {
+    return { messageId, depth, placeholder: true, missing: true, isDeleted: false, children: [] };
+  }
+
+  const base = {
+    messageId: record.messageId,
+    displayId: record.messageId.toString(),
+    depth,
+    replyToMessageId: record.replyToMessageId,
+    isReply: record.replyToMessageId !== 0,
+    timestamp: record.timestamp,
+    isDeleted: record.isDeleted,
+    deletionReason: record.deletionReason,
+    children: []
+  };
+
+  if (record.isDeleted && record.deletionReason !== 'pruned') {
+    return { ...base, placeholder: true, sender: null, nickname: null, content: null, mentions: [] };
+  }
+
+  return {
+    ...base,
+    placeholder: false,
+    sender: record.sender,
+    nickname: record.nickname || shortAddress(record.sender),
+    content: record.content || '',
+    mentions: record.mentions || []
+  };
+};
+
+/**
+ * Builds the full reply tree for the thread containing a message
+ * @param {Object} store - Message store
+ * @param {number} messageId - Any message in the thread
+ * @param {Object} options - Options
+ * @param {string} options.order - 'oldest' (default) or 'newest' first among siblings
+ * @return {Object|null} { rootId, focusId, root, totalReplies, maxDepth }, or null if unknown
+ */
+export const buildThread = (store, messageId, { order = 'oldest' } = {}) => {
+  if (!store.hasMessage(messageId)) return null;
+
+  const rootId = findRootId(store, messageId);
+  const direction = order === 'newest' ? -1 : 1;
+  let totalReplies = 0;
+  let maxDepth = 0;
+
+  const buildNode = (id, depth) => {
+    const node = formatNode(store.getMessage(id), id, depth);
+    maxDepth = Math.max(maxDepth, depth);
+
+    node.children = store.getReplies(id, { includeDeleted: true })
+      .sort((a, b) => (a.messageId - b.messageId) * direction)
+      .map(reply => {
+        totalReplies++;
+        return buildNode(reply.messageId, depth + 1);
+      });
+
+    return node;
+  };
+
+  return {
+    rootId,
+    focusId: messageId,
+    root: buildNode(rootId, 0),
+    totalReplies,
+    maxDepth
+  };
+};
+
+/**
+ * Collects a message and every reply below it, deleted ones included
+ * @param {Object} store - Message store
+ * @param {number} messageId - Top of the subtree
+ * @return {Array<Object>} Stored messages, parents before their replies
+ */
+export const collectSubtree = (store, messageId) => {
+  const top = store.getMessage(messageId);
+  if (!top) return [];
+
+  const records = [top];
+  for (let i = 0; i < records.length; i++) {
+    records.push(...store.getReplies(records[i].messageId, { includeDeleted: true }));
+  }
+
+  return records;
+};
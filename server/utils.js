@@ -0,0 +1,70 @@
+// server/utils.js
+
+/**
+ * Safely converts BigNumber to Number
+ * @param {any} value - Value to convert
+ * @return {number} Converted number
+ */
+export const safeToNumber = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') return Number(value);
+  if (value && typeof value.toNumber === 'function') {
+    try {
+      return value.toNumber();
+    } catch (e) {
+      return Number(value.toString());
+    }
+  }
+  return Number(value);
+};
+
+/**
+ * Shortens an address for display, e.g. 0x1234...abcd
+ * @param {string} address - Wallet address
+ * @return {string} Shortened address
+ */
+export const shortAddress = (address) => {
+  if (!address) return '';
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+};
+
+/**
+ * Parses a time query parameter given as milliseconds or a date string
+ * @param {string} value - Query parameter value
+ * @return {number|null} Time in milliseconds, or null if missing/invalid
+ */
+export const parseTimeParam = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Parses a duration like 30m, 24h or 7d (plain numbers are milliseconds)
+ * @param {string} value - Duration string
+ * @return {number|null} Duration in milliseconds, or null if invalid
+ */
+export const parseDuration = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const match = /^(\d+)(ms|s|m|h|d)?$/.exec(value.toString().trim());
+  if (!match) return null;
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Number(match[1]) * units[match[2] || 'ms'];
+};
+
+/**
+ * Short description of an RPC error; ethers' messages include the whole
+ * request and response
+ * @param {Error} error - Error from a provider or contract call
+ * @return {string} JSON-RPC error message, or the reason with the HTTP status
+ */
+export const describeRpcError = (error) => {
+  if (error.error && error.error.message) return error.error.message;
+  if (error.status) return `${error.reason} (status ${error.status})`;
+  return error.reason || error.message;
+};
@@ -0,0 +1,386 @@
+// server/webhooks.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { extractHashtags, normalizeTag } from './text.js';
+import { assertPublicUrl, createGuardedFetch, describeFetchError } from './netguard.js';
+import { logger } from './logger.js';
+
+// Contract events webhooks can be registered for
+export const WEBHOOK_EVENT_TYPES = [
+  'newMessage',
+  'newReply',
+  'messageDeleted',
+  'oldMessagesDeleted',
+  'profileUpdated',
+  'profileDeactivated',
+  'parameterUpdated'
+];
+
+// Timeout for one delivery attempt
+const DELIVERY_TIMEOUT = 10000;
+
+// Attempts before a delivery goes to the dead-letter list, and the delay
+// before the first retry; each retry waits twice as long as the one before
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BASE_DELAY = 10000;
+
+const MAX_WEBHOOKS_PER_ADDRESS = 10;
+const MAX_FILTER_VALUES = 50;
+
+// Delivery attempts kept in memory per webhook, and dead letters kept on disk
+const DELIVERY_LOG_SIZE = 100;
+const MAX_DEAD_LETTERS = 500;
+
+/**
+ * Signature header value for a payload: the Unix time and an HMAC-SHA256
+ * of "<time>.<body>" with the webhook's secret, like t=…,v1=…
+ * @param {string} secret - Webhook secret
+ * @param {string} body - Request body
+ * @param {number} time - Unix time in seconds
+ * @return {string} Header value
+ */
+export const signPayload = (secret, body, time = Math.floor(Date.now() / 1000)) => {
+  const hmac = crypto.createHmac('sha256', secret).update(`${time}.${body}`).digest('hex');
+  return `t=${time},v1=${hmac}`;
+};
+
+// Normalizes a list from a request body, or returns null if it isn't one
+const toList = (value, normalize, isValid) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > MAX_FILTER_VALUES) return null;
+
+  const list = value.map(item => (typeof item === 'string' ? normalize(item.trim()) : ''));
+  return list.every(isValid) ? [...new Set(list)] : null;
+};
+
+/**
+ * Factory for outgoing webhooks.
+ * Signed-in addresses register URLs for event types, optionally only for
+ * some senders or hashtags. Each matching event is POSTed as JSON with an
+ * X-Crkcrk-Signature header; failed deliveries are retried with exponential
+ * backoff and end up in a dead-letter list that can be redelivered.
+ * Webhooks and dead letters are kept in their own file next to the store
+ * snapshot. Retries that are waiting when the server stops are lost.
+ * URLs that resolve to loopback, private or link-local addresses are
+ * refused when registering, and deliveries only connect to addresses
+ * checked while connecting, so a name that later resolves elsewhere can't
+ * reach them either. Redirects aren't followed, and network errors are
+ * logged here but shown to the owner only as a short reason.
+ * @param {Object} options - Options
+ * @param {string} options.dataDir - Directory for the state file
+ * @param {number} options.maxAttempts - Attempts per delivery
+ * @param {number} options.retryBaseDelay - Milliseconds before the first retry
+ * @param {Set<string>} options.allowedHosts - Private hosts webhooks may still use
+ * @returns {Object} Webhook methods
+ */
+export const createWebhooks = ({
+  dataDir,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryBaseDelay = DEFAULT_RETRY_BASE_DELAY,
+  allowedHosts = new Set()
+}) => {
+  const filePath = path.join(dataDir, 'webhooks.json');
+  const guardedFetch = createGuardedFetch({ allowedHosts });
+
+  // [{ id, owner, url, events, senders, tags, secret, createdAt }]
+  let webhooks = [];
+
+  // [{ deliveryId, webhookId, event, payload, attempts, lastError, failedAt }]
+  let deadLetters = [];
+
+  // webhook ID -> recent attempts, newest first
+  const deliveryLogs = new Map();
+
+  // Retry timers, so they can be cancelled when a webhook is removed
+  const pendingRetries = new Map(); // deliveryId -> { webhookId, timer }
+
+  const stats = { delivered: 0, failedAttempts: 0, deadLettered: 0 };
+
+  const load = () => {
+    try {
+      if (fs.existsSync(filePath)) {
+        const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        webhooks = state.webhooks || [];
+        deadLetters = state.deadLetters || [];
+      }
+    } catch (error) {
+      logger.error('Error loading webhooks', { filePath, error });
+    }
+  };
+
+  const save = () => {
+    try {
+      fs.mkdirSync(dataDir, { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ webhooks, deadLetters }));
+      fs.renameSync(tmpPath, filePath);
+    } catch (error) {
+      logger.error('Error saving webhooks', { filePath, error });
+    }
+  };
+
+  // Webhook as shown to its owner; the secret is only returned on creation
+  const toPublic = (webhook) => ({
+    id: webhook.id,
+    owner: webhook.owner,
+    url: webhook.url,
+    events: webhook.events,
+    senders: webhook.senders,
+    tags: webhook.tags,
+    createdAt: webhook.createdAt
+  });
+
+  const findOwned = (owner, id) =>
+    webhooks.find(webhook => webhook.id === id && webhook.owner === owner.toLowerCase()) || null;
+
+  // Registration
+
+  /**
+   * Registers a webhook
+   * @param {string} owner - Signed-in address
+   * @param {Object} params - { url, events, senders, tags } from the request
+   * @return {Promise<Object>} { webhook } including its secret, or { error }
+   */
+  const register = async (owner, { url, events, senders, tags } = {}) => {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch (error) {
+      return { error: 'url must be an absolute URL' };
+    }
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+      return { error: 'url must use http or https' };
+    }
+
+    const eventList = toList(events, item => item, item => WEBHOOK_EVENT_TYPES.includes(item));
+    if (!eventList || eventList.length === 0) {
+      return { error: `events must list one or more of ${WEBHOOK_EVENT_TYPES.join(', ')}` };
+    }
+
+    const senderList = toList(senders, item => item.toLowerCase(), item => ethers.utils.isAddress(item));
+    if (!senderList) return { error: 'senders must be a list of addresses' };
+
+    const tagList = toList(tags, normalizeTag, item => /^[\p{L}\p{N}_]{1,50}$/u.test(item));
+    if (!tagList) return { error: 'tags must be a list of hashtags' };
+
+    try {
+      await assertPublicUrl(parsedUrl.toString(), { allowedHosts });
+    } catch (error) {
+      return { error: `url is not allowed: ${error.message}` };
+    }
+
+    const key = owner.toLowerCase();
+    if (webhooks.filter(webhook => webhook.owner === key).length >= MAX_WEBHOOKS_PER_ADDRESS) {
+      return { error: `At most ${MAX_WEBHOOKS_PER_ADDRESS} webhooks per address` };
+    }
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      owner: key,
+      url: parsedUrl.toString(),
+      events: eventList,
+      senders: senderList,
+      tags: tagList,
+      secret: crypto.randomBytes(32).toString('hex'),
+      createdAt: Date.now()
+    };
+
+    webhooks.push(webhook);
+    save();
+    return { webhook };
+  };
+
+  const list = (owner) =>
+    webhooks.filter(webhook => webhook.owner === owner.toLowerCase()).map(toPublic);
+
+  /**
+   * Removes a webhook with its log, dead letters and waiting retries
+   * @param {string} owner - Signed-in address
+   * @param {string} id - Webhook ID
+   * @return {boolean} Whether the address had such a webhook
+   */
+  const remove = (owner, id) => {
+    if (!findOwned(owner, id)) return false;
+
+    pendingRetries.forEach((pending, deliveryId) => {
+      if (pending.webhookId !== id) return;
+      clearTimeout(pending.timer);
+      pendingRetries.delete(deliveryId);
+    });
+
+    webhooks = webhooks.filter(webhook => webhook.id !== id);
+    deadLetters = deadLetters.filter(letter => letter.webhookId !== id);
+    deliveryLogs.delete(id);
+    save();
+    return true;
+  };
+
+  // Delivery
+
+  // Whether an event passes a webhook's event type, sender and tag filters
+  const matches = (webhook, event) => {
+    if (!webhook.events.includes(event.type)) return false;
+
+    if (webhook.senders.length > 0) {
+      const sender = (event.sender || event.user || '').toLowerCase();
+      if (!webhook.senders.includes(sender)) return false;
+    }
+
+    if (webhook.tags.length > 0) {
+      const eventTags = extractHashtags(event.content);
+      if (!webhook.tags.some(tag => eventTags.includes(tag))) return false;
+    }
+
+    return true;
+  };
+
+  const logAttempt = (webhookId, entry) => {
+    const log = deliveryLogs.get(webhookId) || [];
+    deliveryLogs.set(webhookId, [entry, ...log].slice(0, DELIVERY_LOG_SIZE));
+  };
+
+  const retryDelay = (attempt) => retryBaseDelay * 2 ** (attempt - 1);
+
+  // One attempt; schedules the next one or dead-letters the delivery on failure
+  const attemptDelivery = async (delivery) => {
+    const webhook = webhooks.find(item => item.id === delivery.webhookId);
+    if (!webhook) return;
+
+    const attempt = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    let status = null;
+    let error = null;
+
+    try {
+      const response = await guardedFetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'user-agent': 'crkcrk-webhooks',
+          'x-crkcrk-event': delivery.event,
+          'x-crkcrk-delivery': delivery.deliveryId,
+          'x-crkcrk-signature': signPayload(webhook.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+      });
+      status = response.status;
+      await response.body?.cancel();
+      if (!response.ok) error = `Responded with ${response.status}`;
+    } catch (fetchError) {
+      error = describeFetchError(fetchError);
+      logger.debug('Webhook request failed', { webhookId: webhook.id, error: fetchError.cause || fetchError });
+    }
+
+    logAttempt(webhook.id, {
+      deliveryId: delivery.deliveryId,
+      event: delivery.event,
+      attempt,
+      status,
+      success: !error,
+      error,
+      durationMs: Date.now() - startedAt,
+      timestamp: startedAt
+    });
+    pendingRetries.delete(delivery.deliveryId);
+
+    if (!error) {
+      stats.delivered++;
+      return;
+    }
+
+    stats.failedAttempts++;
+    const next = { ...delivery, attempts: attempt, lastError: error };
+
+    if (attempt < maxAttempts) {
+      const delay = retryDelay(attempt);
+      logger.warn('Webhook delivery failed, retrying', { deliveryId: delivery.deliveryId, webhookId: webhook.id, error, attempt, retryInMs: delay });
+      pendingRetries.set(delivery.deliveryId, {
+        webhookId: webhook.id,
+        timer: setTimeout(() => attemptDelivery(next), delay)
+      });
+      return;
+    }
+
+    logger.error('Webhook delivery failed, moved to dead letters', { deliveryId: delivery.deliveryId, webhookId: webhook.id, error, attempts: attempt });
+    stats.deadLettered++;
+    deadLetters = [...deadLetters, { ...next, failedAt: Date.now() }].slice(-MAX_DEAD_LETTERS);
+    save();
+  };
+
+  /**
+   * Delivers an event to every webhook it matches. Returns at once;
+   * deliveries and retries run in the background.
+   * @param {Object} event - Sequenced event payload, as sent to WebSocket clients
+   * @return {number} Number of webhooks it is delivered to
+   */
+  const dispatch = (event) => {
+    const targets = webhooks.filter(webhook => matches(webhook, event));
+
+    targets.forEach(webhook => {
+      const deliveryId = crypto.randomUUID();
+      attemptDelivery({
+        deliveryId,
+        webhookId: webhook.id,
+        event: event.type,
+        payload: { id: deliveryId, type: event.type, data: event, timestamp: Date.now() },
+        attempts: 0
+      });
+    });
+
+    return targets.length;
+  };
+
+  // Delivery log and dead letters
+
+  const getDeliveries = (owner, id) => (findOwned(owner, id) ? deliveryLogs.get(id) || [] : null);
+
+  const getDeadLetters = (owner, id) =>
+    (findOwned(owner, id) ? deadLetters.filter(letter => letter.webhookId === id) : null);
+
+  /**
+   * Takes a dead letter off the list and delivers it again, with a fresh
+   * set of attempts
+   * @param {string} owner - Signed-in address
+   * @param {string} id - Webhook ID
+   * @param {string} deliveryId - Dead letter's delivery ID
+   * @return {boolean} Whether there was such a dead letter
+   */
+  const redeliver = (owner, id, deliveryId) => {
+    if (!findOwned(owner, id)) return false;
+
+    const letter = deadLetters.find(item => item.webhookId === id && item.deliveryId === deliveryId);
+    if (!letter) return false;
+
+    deadLetters = deadLetters.filter(item => item !== letter);
+    save();
+
+    const delivery = { ...letter, attempts: 0 };
+    delete delivery.failedAt;
+    delete delivery.lastError;
+    attemptDelivery(delivery);
+    return true;
+  };
+
+  const getStats = () => ({
+    webhooks: webhooks.length,
+    pendingRetries: pendingRetries.size,
+    deadLetters: deadLetters.length,
+    ...stats
+  });
+
+  return {
+    load,
+    register,
+    list,
+    remove,
+    dispatch,
+    getDeliveries,
+    getDeadLetters,
+    redeliver,
+    getStats
+  };
+};
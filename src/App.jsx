@@ -6,10 +6,35 @@ import Sidebar from './components/Sidebar';
 import Home from './pages/Home';
 import Profile from './pages/Profile';
 import About from './pages/About';
+import Archive from './pages/Archive';
+import Search from './pages/Search';
+import Tag from './pages/Tag';
+import Message from './pages/Message';
 import contractABI from '../contractABI.json';
 import { Web3Provider } from './contexts/Web3Context';
 import './App.css';
 import { StatsProvider } from './contexts/StatsContext';
+import { useRealtime } from './hooks/useRealtime';
+import { subscribeChannels } from './utils/wsChannels';
+
+// The contract's initial values, used until the deployed ones are loaded
+const DEFAULT_CONTRACT_PARAMETERS = {
+  maxMessageLength: 768,
+  messageCooldown: 60,
+  maxReturnCount: 50,
+  maxActiveMessages: 500
+};
+
+// Read the current parameters from the contract
+const loadContractParameters = async (contract) => {
+  const [maxLength, cooldown, returnCount, activeMessages] = await contract.getParameters();
+  return {
+    maxMessageLength: maxLength.toNumber(),
+    messageCooldown: cooldown.toNumber(),
+    maxReturnCount: returnCount.toNumber(),
+    maxActiveMessages: activeMessages.toNumber()
+  };
+};
 
 function App() {
   const [account, setAccount] = useState(null);
@@ -17,17 +42,19 @@ function App() {
   const [contract, setContract] = useState(null);
   const [userProfile, setUserProfile] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [wsConnection, setWsConnection] = useState(null);
-  const [contractParameters, setContractParameters] = useState({
-    maxMessageLength: 762,
-    messageCooldown: 60,
-    maxReturnCount: 50,
-    maxActiveMessages: 500
-  });
+  const [contractParameters, setContractParameters] = useState(DEFAULT_CONTRACT_PARAMETERS);
   const [needsProfile, setNeedsProfile] = useState(false);
   const [connectionStatus, setConnectionStatus] = useState('initializing');
   const isConnectingRef = useRef(false);
 
+  // Shared WebSocket connection for live updates and notifications
+  const {
+    connection: wsConnection,
+    status: realtimeStatus,
+    attempt: realtimeAttempt,
+    authToken
+  } = useRealtime({ account });
+
   // Connect to wallet and contract
   const connectWallet = useCallback(async () => {
     if (isConnectingRef.current) {
@@ -42,18 +69,6 @@ function App() {
       setLoading(true);
 
       if (window.ethereum) {
-        // Close existing WebSocket connection if any
-        if (wsConnection) {
-          try {
-            if (wsConnection.readyState === 0 || wsConnection.readyState === 1) {
-              wsConnection.close();
-            }
-          } catch (error) {
-            console.error('Error closing existing WebSocket:', error);
-          }
-          setWsConnection(null);
-        }
-
         const provider = new ethers.providers.Web3Provider(window.ethereum);
         await provider.send("eth_requestAccounts", []);
         const signer = provider.getSigner();
@@ -80,13 +95,7 @@ function App() {
         // Load contract parameters
         try {
           console.log('Loading contract parameters...');
-          const [maxLength, cooldown, returnCount, activeMessages] = await contract.getParameters();
-          setContractParameters({
-            maxMessageLength: maxLength.toNumber(),
-            messageCooldown: cooldown.toNumber(),
-            maxReturnCount: returnCount.toNumber(),
-            maxActiveMessages: activeMessages.toNumber()
-          });
+          setContractParameters(await loadContractParameters(contract));
           console.log('Contract parameters loaded successfully');
         } catch (error) {
           console.error('Error loading contract parameters:', error);
@@ -138,7 +147,7 @@ function App() {
         setLoading(false);
       }, 100);
     }
-  }, [wsConnection]);
+  }, []);
 
   // Load read-only contract for non-authenticated users
   const loadReadOnlyContract = useCallback(async () => {
@@ -160,13 +169,7 @@ function App() {
 
       // Load contract parameters
       try {
-        const [maxLength, cooldown, returnCount, activeMessages] = await contract.getParameters();
-        setContractParameters({
-          maxMessageLength: maxLength.toNumber(),
-          messageCooldown: cooldown.toNumber(),
-          maxReturnCount: returnCount.toNumber(),
-          maxActiveMessages: activeMessages.toNumber()
-        });
+        setContractParameters(await loadContractParameters(contract));
         console.log('Contract parameters loaded successfully');
       } catch (paramError) {
         console.error('Error loading contract parameters:', paramError);
@@ -183,99 +186,40 @@ function App() {
     }
   }, []);
 
-  // Setup WebSocket connection
-  const setupWebSocket = useCallback(() => {
-    if (account) {
-      console.log('Setting up WebSocket connection...');
-      const wsUrl = import.meta.env.VITE_WS_URL || 'ws://localhost:3000';
-
-      // Close existing connection if any
-      if (wsConnection) {
-        try {
-          if (wsConnection.readyState === 0 || wsConnection.readyState === 1) {
-            wsConnection.close();
-          }
-        } catch (error) {
-          console.error('Error closing existing WebSocket:', error);
-        }
-      }
-
-      const ws = new WebSocket(wsUrl);
-      let reconnectTimer = null;
-
-      ws.onopen = () => {
-        console.log('WebSocket connected');
-        // Register user with WebSocket server
-        ws.send(JSON.stringify({
-          type: 'register',
-          address: account
-        }));
-
-        // Clear reconnect timer if any
-        if (reconnectTimer) {
-          clearTimeout(reconnectTimer);
-          reconnectTimer = null;
-        }
-      };
-
-      ws.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          console.log('WebSocket message:', data);
-        } catch (error) {
-          console.error('Error parsing WebSocket message:', error);
-        }
-      };
-
-      ws.onerror = (error) => {
-        console.error('WebSocket error:', error);
-      };
+  // Live profile and parameter changes. The profile cache follows the same
+  // events in Web3Provider; here they update the user's own profile and the
+  // parameters.
+  useEffect(() => subscribeChannels(wsConnection, ['profiles', 'params']), [wsConnection]);
 
-      ws.onclose = (event) => {
-        console.log('WebSocket disconnected, code:', event.code);
-
-        // Attempt to reconnect if closure was unexpected and component is still mounted
-        if (event.code !== 1000 && event.code !== 1001) {
-          reconnectTimer = setTimeout(() => {
-            if (account) { // Check that account is still connected
-              console.log('Attempting to reconnect WebSocket...');
-              // Do NOT call setupWebSocket() recursively!
-              const newWs = new WebSocket(wsUrl);
-              // Set up for new connection...
-              setWsConnection(newWs);
-            }
-          }, 3000);
-        }
-      };
-
-      setWsConnection(ws);
+  useEffect(() => {
+    if (!wsConnection) return;
 
-      return () => {
-        console.log('Cleaning up WebSocket connection...');
-        // Clean up reconnect timer
-        if (reconnectTimer) {
-          clearTimeout(reconnectTimer);
-        }
+    const handleMessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        const isOwn = account && data.user?.toLowerCase() === account.toLowerCase();
 
-        // Close WebSocket if open
-        if (ws.readyState === 1 || ws.readyState === 0) {
-          ws.close(1000, "Component unmounted");
+        if (data.type === 'profileUpdated' && isOwn) {
+          setUserProfile({ nickname: data.nickname, avatarCode: data.avatarCode, isActive: true });
+          setNeedsProfile(false);
+        } else if (data.type === 'profileDeactivated' && isOwn) {
+          setUserProfile(prev => prev && { ...prev, isActive: false });
+        } else if (data.type === 'parameterUpdated' && data.paramName in DEFAULT_CONTRACT_PARAMETERS) {
+          setContractParameters(prev => ({ ...prev, [data.paramName]: Number(data.newValue) }));
+        } else if (data.type === 'resyncRequired' && contract) {
+          // Parameter events may have been missed
+          loadContractParameters(contract)
+            .then(setContractParameters)
+            .catch(error => console.error('Error reloading contract parameters:', error));
         }
-      };
-    }
-  }, [account]); // Remove wsConnection from dependencies!
-
-  // Update the useEffect hook
-  useEffect(() => {
-    let cleanup;
-    if (account) {
-      cleanup = setupWebSocket();
-    }
-
-    return () => {
-      if (cleanup) cleanup();
+      } catch (error) {
+        console.error('Error processing WebSocket message:', error);
+      }
     };
-  }, [account, setupWebSocket]);
+
+    wsConnection.addEventListener('message', handleMessage);
+    return () => wsConnection.removeEventListener('message', handleMessage);
+  }, [wsConnection, account, contract]);
 
   // Initial wallet connection check
   useEffect(() => {
@@ -305,21 +249,6 @@ function App() {
 
     checkConnection();
   }, [connectWallet, loadReadOnlyContract]);
-  
-  // Updated useEffect for setupWebSocket
-  useEffect(() => {
-    console.log('WebSocket effect running, account:', !!account);
-
-    let cleanup;
-    if (account) {
-      // Only run setupWebSocket if there is an account
-      cleanup = setupWebSocket();
-    }
-
-    return () => {
-      if (cleanup) cleanup();
-    };
-  }, [account, setupWebSocket]); // Dependency only on account and setupWebSocket
 
   // Handle MetaMask account changes
   useEffect(() => {
@@ -470,6 +399,9 @@ function App() {
     userProfile,
     contractParameters,
     wsConnection,
+    realtimeStatus,
+    realtimeAttempt,
+    authToken,
     needsProfile,
     connectWallet,
     createProfile,
@@ -499,6 +431,10 @@ function App() {
               <Routes>
                 <Route path="/" element={<Home />} />
                 <Route path="/about" element={<About />} />
+                <Route path="/archive" element={<Archive />} />
+                <Route path="/search" element={<Search />} />
+                <Route path="/tag/:tag" element={<Tag />} />
+                <Route path="/message/:id" element={<Message />} />
                 <Route path="/profile" element={
                   account ? <Profile /> : <Navigate to="/" replace />
                 } />
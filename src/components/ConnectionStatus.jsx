@@ -1,12 +1,29 @@
 // src/components/ConnectionStatus.jsx
 import React from 'react'
 
-function ConnectionStatus({ connected }) {
+const LABELS = {
+  connecting: 'Connecting...',
+  connected: 'Live',
+  reconnecting: 'Reconnecting'
+}
+
+const COLORS = {
+  connecting: 'bg-yellow-300',
+  connected: 'bg-green-400',
+  reconnecting: 'bg-red-400'
+}
+
+// Status of the live update connection, from useRealtime
+function ConnectionStatus({ status, attempt = 0 }) {
   return (
-    <div className={`status ${connected ? 'connected' : 'disconnected'}`}>
-      {connected ? 'Connected to Reactive Network' : 'Disconnected from Reactive Network'}
+    <div className="text-xs font-mono flex justify-between items-center">
+      <span className="text-gray-400">Live Updates:</span>
+      <span className="flex items-center gap-2 text-white" title={attempt > 0 ? `Attempt ${attempt}` : undefined}>
+        <span className={`inline-block w-2 h-2 rounded-full ${COLORS[status] || COLORS.connecting}`} />
+        {LABELS[status] || status}
+      </span>
     </div>
   )
 }
 
-export default ConnectionStatus
\ No newline at end of file
+export default ConnectionStatus
@@ -1,9 +1,14 @@
 // src/components/MarkdownRenderer.jsx
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { tokenizeMessage, resolveNicknames, mentionsToMap } from '../utils/messageText';
 import '../App.css';
 
-function MarkdownRenderer({ markdown, className = '' }) {
+function MarkdownRenderer({ markdown, mentions, className = '' }) {
   const [html, setHtml] = useState('');
+  const navigate = useNavigate();
+  // Nickname -> address for the mentions being rendered
+  const mentionAddressesRef = useRef({});
 
   useEffect(() => {
     if (!markdown) {
@@ -11,10 +16,30 @@ function MarkdownRenderer({ markdown, className = '' }) {
       return;
     }
 
-    // Convert markdown to HTML
-    const htmlContent = convertMarkdownToHtml(markdown);
-    setHtml(htmlContent);
-  }, [markdown]);
+    let cancelled = false;
+
+    const render = async () => {
+      const known = mentionsToMap(mentions);
+      const missing = tokenizeMessage(markdown)
+        .filter(token => token.type === 'mention' && !known[token.nickname])
+        .map(token => token.nickname);
+
+      const resolved = missing.length > 0 ? await resolveNicknames(missing) : {};
+      if (cancelled) return;
+
+      mentionAddressesRef.current = { ...known, ...resolved };
+
+      // Convert markdown to HTML
+      const htmlContent = convertMarkdownToHtml(markdown);
+      setHtml(htmlContent);
+    };
+
+    render();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [markdown, mentions]);
 
   // Advanced markdown to HTML converter
   function convertMarkdownToHtml(md) {
@@ -119,6 +144,10 @@ function MarkdownRenderer({ markdown, className = '' }) {
 
   // Process inline markdown elements
   function processInlineMarkdown(text) {
+    // Swap tags and mentions for placeholders so the rules below can't mangle them
+    const links = [];
+    text = protectTokens(text, links);
+
     // Handle code specifically to add break-words
     text = text.replace(/`([^`]+)`/g, '<code class="break-all">$1</code>');
     
@@ -135,8 +164,41 @@ function MarkdownRenderer({ markdown, className = '' }) {
     
     // Handle images
     text = text.replace(/!\[(.*?)\]\((.*?)\)/g, '<img src="$2" alt="$1" />');
-    
-    return text;
+
+    return text.replace(/\uE000(\d+)\uE000/g, (match, index) => links[index]);
+  }
+
+  // Replace #tags and @mentions outside code spans and markdown links with
+  // placeholders, collecting their HTML in links
+  function protectTokens(text, links) {
+    return text.split(/(`[^`]+`|!?\[[^\]]*\]\([^)]*\))/).map(part => {
+      if (part.startsWith('`') || /^!?\[/.test(part)) return part;
+
+      return tokenizeMessage(part).map(token => {
+        if (token.type === 'text') return token.value;
+
+        let route = null;
+        if (token.type === 'tag') {
+          route = `/tag/${encodeURIComponent(token.tag)}`;
+        } else if (mentionAddressesRef.current[token.nickname]) {
+          route = `/user/${mentionAddressesRef.current[token.nickname]}`;
+        }
+
+        links.push(route
+          ? `<a href="${route}" data-route="${route}" class="text-sky-300 hover:text-sky-200">${token.value}</a>`
+          : token.value);
+        return `\uE000${links.length - 1}\uE000`;
+      }).join('');
+    }).join('');
+  }
+
+  // Route in-app links through the router instead of reloading the page
+  function handleClick(e) {
+    const link = e.target.closest('a[data-route]');
+    if (!link || e.metaKey || e.ctrlKey || e.shiftKey) return;
+
+    e.preventDefault();
+    navigate(link.getAttribute('data-route'));
   }
 
   // Helper function to escape HTML in code blocks
@@ -152,6 +214,7 @@ function MarkdownRenderer({ markdown, className = '' }) {
   return (
     <div 
       className={`markdown-content overflow-hidden break-words ${className}`}
+      onClick={handleClick}
       dangerouslySetInnerHTML={{ __html: html }}
     />
   );
@@ -0,0 +1,66 @@
+// src/components/MessageContent.jsx
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { tokenizeMessage, resolveNicknames, mentionsToMap } from '../utils/messageText';
+
+// Renders message text with hashtags and mentions as links; whitespace is left to the parent
+function MessageContent({ content, mentions }) {
+  const tokens = useMemo(() => tokenizeMessage(content), [content]);
+  const [resolved, setResolved] = useState({});
+
+  // Mentions the server resolved when the message was indexed
+  const known = useMemo(() => mentionsToMap(mentions), [mentions]);
+
+  // Look up the rest (e.g. messages that arrived over WebSocket)
+  useEffect(() => {
+    const missing = tokens
+      .filter(token => token.type === 'mention' && !known[token.nickname])
+      .map(token => token.nickname);
+
+    if (missing.length === 0) return;
+
+    let cancelled = false;
+    resolveNicknames(missing).then(addresses => {
+      if (!cancelled) setResolved(addresses);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [tokens, known]);
+
+  return (
+    <>
+      {tokens.map((token, index) => {
+        if (token.type === 'tag') {
+          return (
+            <Link
+              key={index}
+              to={`/tag/${encodeURIComponent(token.tag)}`}
+              className="text-sky-300 hover:text-sky-200"
+            >
+              {token.value}
+            </Link>
+          );
+        }
+
+        const address = token.type === 'mention' && (known[token.nickname] || resolved[token.nickname]);
+        if (address) {
+          return (
+            <Link
+              key={index}
+              to={`/user/${address}`}
+              className="text-sky-300 hover:text-sky-200"
+            >
+              {token.value}
+            </Link>
+          );
+        }
+
+        return token.value;
+      })}
+    </>
+  );
+}
+
+export default MessageContent;
@@ -12,35 +12,20 @@ function MessageForm({
 }) {
   const [message, setMessage] = useState('');
   const [preview, setPreview] = useState([]);
-  const { account, userProfile, contract, profileCache, lastMessageTimestamp } = useWeb3();
-  const [maxLength, setMaxLength] = useState(783); // Default max length from contract
+  const { account, userProfile, profileCache, lastMessageTimestamp, contractParameters } = useWeb3();
   const textareaRef = useRef(null);
-  
+
+  // Limits from the contract; they follow parameter updates live
+  const maxLength = contractParameters.maxMessageLength;
+  const cooldownPeriod = contractParameters.messageCooldown;
+
   // Cooldown related states
-  const [cooldownPeriod, setCooldownPeriod] = useState(60); // Default 60 seconds
   const [timeRemaining, setTimeRemaining] = useState(0);
 
   // Constants for formatting
   const CHARS_PER_LINE = isReply ? 40 : 48;
   const MAX_LINES = isReply ? 16 : 16;
 
-  // Get max message length and cooldown period from contract
-  useEffect(() => {
-    const getContractParameters = async () => {
-      if (contract) {
-        try {
-          const params = await contract.getParameters();
-          setMaxLength(params._maxMessageLength.toNumber());
-          setCooldownPeriod(params._messageCooldown.toNumber());
-        } catch (error) {
-          console.error('Error getting contract parameters:', error);
-        }
-      }
-    };
-
-    getContractParameters();
-  }, [contract]);
-
   // Calculate and update cooldown timer when lastMessageTimestamp changes
   useEffect(() => {
     if (!lastMessageTimestamp || lastMessageTimestamp === 0) return;
@@ -1,8 +1,11 @@
 // src/components/MessageList.jsx
 import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
 import Avatar from './Avatar';
 import { ethers } from 'ethers';
 import MessageForm from './MessageForm';
+import MessageContent from './MessageContent';
+import { formatRelativeTime } from '../utils/messageHelpers';
 import { useWeb3 } from '../contexts/Web3Context';
 
 const MessageList = React.memo(function MessageList({
@@ -12,7 +15,8 @@ const MessageList = React.memo(function MessageList({
   onReply,
   pendingDeletion,
   onScrollToMessage,
-  initialExpandedReplies = {}
+  initialExpandedReplies = {},
+  showDeleted = false
 }) {
   const { contract, fetchUserProfile, profileCache } = useWeb3();
   const [expandedReplies, setExpandedReplies] = useState(initialExpandedReplies);
@@ -69,40 +73,6 @@ const MessageList = React.memo(function MessageList({
     loadSendersProfiles();
   }, [messages, fetchUserProfile]);
 
-  const formatRelativeTime = (date) => {
-    if (!date) return '';
-
-    const now = new Date();
-    const diff = now - date;
-
-    // Convert time difference to seconds
-    const seconds = Math.floor(diff / 1000);
-
-    // Time intervals in seconds
-    const intervals = {
-      year: 31536000,
-      month: 2592000,
-      week: 604800,
-      day: 86400,
-      hour: 3600,
-      minute: 60,
-      second: 1
-    };
-
-    // Find the appropriate interval
-    for (const [unit, secondsInUnit] of Object.entries(intervals)) {
-      const interval = Math.floor(seconds / secondsInUnit);
-
-      if (interval >= 1) {
-        return interval === 1
-          ? `1 ${unit} ago`
-          : `${interval} ${unit}s ago`;
-      }
-    }
-
-    return 'just now';
-  };
-
   // Helper function to safely convert numbers
   const safeToNumber = (value) => {
     if (value === null || value === undefined) return 0;
@@ -127,7 +97,7 @@ const MessageList = React.memo(function MessageList({
         // Basic checks
         if (!message || !message.sender) return false;
         if (message.sender === ethers.constants.AddressZero) return false;
-        if (message.isDeleted) return false;
+        if (message.isDeleted && !showDeleted) return false;
 
         // For temporary messages (being processed) special logic
         if (message.messageId === 0 || message.messageId === '0' ||
@@ -150,7 +120,7 @@ const MessageList = React.memo(function MessageList({
 
     console.log(`Filtered to ${filtered.length} messages`);
     return filtered;
-  }, [messages, currentUser]);
+  }, [messages, currentUser, showDeleted]);
 
   const messageColumns = useMemo(() => {
     const columns = Array.from({ length: columnCount }, () => []);
@@ -343,9 +313,28 @@ const MessageList = React.memo(function MessageList({
                 {isProcessing ? (
                   <span className="animate-pulse">Processing...</span>
                 ) : (
-                  `ID: ${message.displayId || message.messageId}`
+                  <Link to={`/message/${messageId}`} className="hover:text-sky-200">
+                    {`ID: ${message.displayId || message.messageId}`}
+                  </Link>
                 )}
               </div>
+              {message.deletionReason === 'pruned' && (
+                <>
+                  <span className="text-gray-600">|</span>
+                  <span
+                    className="text-amber-300/80 cursor-help"
+                    title={message.deletedAt ? `Pruned ${new Date(message.deletedAt).toLocaleString()}` : 'Pruned by the active message limit'}
+                  >
+                    Archived
+                  </span>
+                </>
+              )}
+              {message.deletionReason === 'user' && (
+                <>
+                  <span className="text-gray-600">|</span>
+                  <span className="text-red-400/80">Deleted</span>
+                </>
+              )}
             </div>
           </div>
         </div>
@@ -365,7 +354,7 @@ const MessageList = React.memo(function MessageList({
         )}
 
         <div className="message-text font-mono whitespace-pre pt-4 text-xs" >
-          {message.content}
+          <MessageContent content={message.content} mentions={message.mentions} />
         </div>
 
         {(currentUser || (message.replyCount > 0)) && (
@@ -389,7 +378,7 @@ const MessageList = React.memo(function MessageList({
               </button>
             )}
 
-            {message.sender === currentUser && (
+            {message.sender === currentUser && !message.isDeleted && (
               <button
                 onClick={() => handleDelete(messageId)}
                 className="text-red-500 hover:text-red-400 ml-auto"
@@ -447,7 +436,7 @@ const MessageList = React.memo(function MessageList({
                       </div>
                     </div>
                     <p className="font-mono text-xs whitespace-pre-wrap">
-                      {reply.content}
+                      <MessageContent content={reply.content} mentions={reply.mentions} />
                     </p>
                   </div>
                 ))}
@@ -0,0 +1,89 @@
+// src/components/NotificationCenter.jsx
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useNotifications, describeNotification } from '../hooks/useNotifications';
+import { formatRelativeTime } from '../utils/messageHelpers';
+
+function NotificationCenter() {
+  const { account, wsConnection } = useWeb3();
+  const [open, setOpen] = useState(false);
+  const {
+    notifications,
+    unreadCount,
+    browserAlerts,
+    browserAlertsSupported,
+    markAsRead,
+    markAllAsRead,
+    clearAll,
+    toggleBrowserAlerts
+  } = useNotifications({ account, wsConnection });
+
+  if (!account) return null;
+
+  return (
+    <div className="font-mono">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex justify-between items-center py-2 px-4 rounded-md hover:bg-gray-800 cursor-pointer"
+      >
+        <span>[ Notifications ]</span>
+        {unreadCount > 0 && (
+          <span className="text-xs bg-sky-500 text-gray-950 rounded-full px-2">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="mt-1 inset-ring rounded-md inset-ring-white/10 bg-gray-900/30 text-xs">
+          <div className="flex justify-between p-2 border-b border-gray-800 text-gray-400">
+            <button onClick={markAllAsRead} disabled={unreadCount === 0} className="hover:text-sky-300 disabled:opacity-50 cursor-pointer">
+              [ Mark all read ]
+            </button>
+            <button onClick={clearAll} disabled={notifications.length === 0} className="hover:text-sky-300 disabled:opacity-50 cursor-pointer">
+              [ Clear ]
+            </button>
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="p-2 text-gray-500">No notifications yet</p>
+          ) : (
+            <ul className="max-h-72 overflow-y-auto divide-y divide-gray-800">
+              {notifications.map(notification => (
+                <li key={notification.id} className={notification.read ? 'text-gray-400' : 'text-white'}>
+                  <Link
+                    to={`/message/${notification.type === 'threadDeleted' ? notification.rootId || notification.messageId : notification.messageId}`}
+                    onClick={() => markAsRead(notification.id)}
+                    className="block p-2 hover:bg-gray-800"
+                  >
+                    <div className="flex items-start gap-2">
+                      {!notification.read && <span className="mt-1 inline-block w-2 h-2 flex-none rounded-full bg-sky-300" />}
+                      <div className="overflow-hidden">
+                        <div>{describeNotification(notification)}</div>
+                        {notification.content && (
+                          <div className="text-gray-500 truncate">{notification.content}</div>
+                        )}
+                        <div className="text-gray-600">{formatRelativeTime(new Date(notification.timestamp))}</div>
+                      </div>
+                    </div>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {browserAlertsSupported && (
+            <div className="p-2 border-t border-gray-800 text-gray-400">
+              <button onClick={toggleBrowserAlerts} className="hover:text-sky-300 cursor-pointer">
+                [ Browser alerts: {browserAlerts ? 'on' : 'off'} ]
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationCenter;
@@ -0,0 +1,42 @@
+// src/components/SearchBox.jsx
+import { useState, useEffect } from 'react';
+import { useNavigate, useLocation, useSearchParams } from 'react-router-dom';
+
+function SearchBox() {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+  const [query, setQuery] = useState('');
+
+  // Keep the box in sync with the query of the search page
+  useEffect(() => {
+    if (location.pathname === '/search') {
+      setQuery(searchParams.get('q') || '');
+    }
+  }, [location.pathname, searchParams]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const q = query.trim();
+    if (!q) return;
+
+    // Keep the other filters when searching again from the search page
+    const params = location.pathname === '/search' ? new URLSearchParams(searchParams) : new URLSearchParams();
+    params.set('q', q);
+    navigate(`/search?${params}`);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="font-mono text-xs">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search messages..."
+        className="w-full py-2 px-3 rounded-md bg-gray-900/30 inset-ring inset-ring-white/10 placeholder-gray-500 focus:outline-none focus:inset-ring-sky-300/50"
+      />
+    </form>
+  );
+}
+
+export default SearchBox;
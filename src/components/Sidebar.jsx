@@ -3,12 +3,16 @@ import { Link, useLocation } from 'react-router-dom';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useStats } from '../contexts/StatsContext';
 import Avatar from './Avatar';
+import ConnectionStatus from './ConnectionStatus';
+import NotificationCenter from './NotificationCenter';
 import PostingRateChart from './PostingRateChart';
 import PriceTicker from './PriceTicker'; // Import our new component
+import SearchBox from './SearchBox';
+import TrendingTags from './TrendingTags';
 
 function Sidebar() {
   const location = useLocation();
-  const { account, userProfile, connectWallet } = useWeb3();
+  const { account, userProfile, connectWallet, realtimeStatus, realtimeAttempt } = useWeb3();
   const { messageTimestamps, avgPostingRate } = useStats();
 
   console.log('Sidebar: Received timestamps', messageTimestamps);
@@ -34,6 +38,11 @@ function Sidebar() {
         </div>
       </div>
 
+      {/* Search */}
+      <div className="px-4 pb-4">
+        <SearchBox />
+      </div>
+
       {/* Navigation Menu */}
       <div className="px-4">
         <nav className="space-y-2">
@@ -45,8 +54,15 @@ function Sidebar() {
               >
                 [ Edit Profile ]
               </Link>
+              <NotificationCenter />
             </>
           )}
+          <Link
+            to="/archive"
+            className={`block py-2 px-4 rounded-md hover:bg-gray-800 font-mono ${isActive('/archive')}`}
+          >
+            [ Archive ]
+          </Link>
           <Link
             to="/about"
             className={`block py-2 px-4 rounded-md hover:bg-gray-800 font-mono ${isActive('/about')}`}
@@ -62,6 +78,11 @@ function Sidebar() {
         </nav>
       </div>
 
+      {/* Trending Tags */}
+      <div className="px-4 py-4">
+        <TrendingTags />
+      </div>
+
       {/* User Profile Section */}
       <div className="p-4 mt-auto border-b border-gray-800">
         {account ? (
@@ -99,6 +120,10 @@ function Sidebar() {
 
       {/* Network Stats Section */}
       <div className="px-4 py-4">
+        <div className="mb-3">
+          <ConnectionStatus status={realtimeStatus} attempt={realtimeAttempt} />
+        </div>
+
         <div className="mb-3">
           <div className="text-xs font-mono flex justify-between">
             <span className="text-gray-400">Posting Rate:</span>
@@ -0,0 +1,106 @@
+// src/components/ThreadNode.jsx
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import Avatar from './Avatar';
+import MessageContent from './MessageContent';
+import MessageForm from './MessageForm';
+import { useWeb3 } from '../contexts/Web3Context';
+import { formatRelativeTime } from '../utils/messageHelpers';
+
+// Count every reply below a node, for the collapsed label
+const countDescendants = (node) =>
+  node.children.reduce((total, child) => total + 1 + countDescendants(child), 0);
+
+function ThreadNode({ node, focusId, canReply, onReply }) {
+  const { profileCache } = useWeb3();
+  const [collapsed, setCollapsed] = useState(false);
+  const [showReplyForm, setShowReplyForm] = useState(false);
+
+  const isFocused = node.messageId === focusId;
+  const hiddenCount = countDescendants(node);
+
+  const handleReply = (content) => {
+    onReply(node.messageId, content);
+    setShowReplyForm(false);
+  };
+
+  return (
+    <div className={node.depth > 0 ? 'pl-4 border-l border-white/10' : ''}>
+      <div id={`message-${node.messageId}`} className={`p-3 rounded-xl mb-2 inset-ring inset-ring-white/10 ${isFocused ? 'bg-gray-900 inset-ring-sky-300/40' : 'bg-gray-950'}`}>
+        {node.placeholder ? (
+          <div className="font-mono text-xs text-gray-500 italic">
+            {node.missing ? '[ message not available ]' : '[ deleted by author ]'}
+          </div>
+        ) : (
+          <>
+            <div className="flex items-center gap-2">
+              <div className="w-6 h-6 bg-gray-800 rounded-md shrink-0">
+                <Avatar
+                  address={node.sender}
+                  avatarCode={profileCache[node.sender]?.avatarCode}
+                  size="small"
+                />
+              </div>
+              <Link to={`/user/${node.sender}`} className="font-mono text-xs font-bold hover:text-sky-200">
+                @{node.nickname}
+              </Link>
+              <Link
+                to={`/message/${node.messageId}`}
+                className="text-gray-400 text-xs hover:text-sky-200"
+                title={new Date(node.timestamp).toLocaleString()}
+              >
+                {formatRelativeTime(new Date(node.timestamp))}
+              </Link>
+              {node.deletionReason === 'pruned' && (
+                <span className="text-amber-300/80 text-xs">Archived</span>
+              )}
+            </div>
+            <p className="font-mono text-xs whitespace-pre-wrap pt-2">
+              <MessageContent content={node.content} mentions={node.mentions} />
+            </p>
+          </>
+        )}
+
+        <div className="flex gap-3 mt-2 text-xs font-mono">
+          {node.children.length > 0 && (
+            <button
+              onClick={() => setCollapsed(prev => !prev)}
+              className="text-sky-300 hover:text-sky-200"
+            >
+              [ {collapsed ? `Show ${hiddenCount} ${hiddenCount === 1 ? 'reply' : 'replies'}` : 'Collapse'} ]
+            </button>
+          )}
+          {canReply && !node.missing && (
+            <button
+              onClick={() => setShowReplyForm(prev => !prev)}
+              className="text-sky-300 hover:text-sky-200"
+            >
+              [ {showReplyForm ? 'Cancel' : 'Reply'} ]
+            </button>
+          )}
+        </div>
+
+        {showReplyForm && (
+          <MessageForm
+            onSendMessage={handleReply}
+            placeholder="Type your reply..."
+            buttonText="Post Reply"
+            isReply={true}
+          />
+        )}
+      </div>
+
+      {!collapsed && node.children.map(child => (
+        <ThreadNode
+          key={child.messageId}
+          node={child}
+          focusId={focusId}
+          canReply={canReply}
+          onReply={onReply}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default ThreadNode;
@@ -0,0 +1,50 @@
+// src/components/TrendingTags.jsx
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+
+const SERVER_API_BASE = import.meta.env.VITE_API_URL || '';
+const REFRESH_INTERVAL = 60000;
+const TRENDING_WINDOW = '24h';
+const TRENDING_LIMIT = 8;
+
+function TrendingTags() {
+  const [tags, setTags] = useState([]);
+
+  useEffect(() => {
+    const loadTrending = async () => {
+      try {
+        const response = await fetch(`${SERVER_API_BASE}/api/tags/trending?window=${TRENDING_WINDOW}&limit=${TRENDING_LIMIT}`);
+        if (!response.ok) return;
+
+        const data = await response.json();
+        setTags(data.tags || []);
+      } catch (error) {
+        console.error('Error loading trending tags:', error);
+      }
+    };
+
+    loadTrending();
+    const interval = setInterval(loadTrending, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (tags.length === 0) return null;
+
+  return (
+    <div className="font-mono text-xs">
+      <div className="text-gray-400 mb-2">Trending (24h)</div>
+      <ul className="space-y-1">
+        {tags.map(({ tag, count }) => (
+          <li key={tag} className="flex justify-between">
+            <Link to={`/tag/${encodeURIComponent(tag)}`} className="text-sky-300 hover:text-sky-200 truncate">
+              #{tag}
+            </Link>
+            <span className="text-gray-500 ml-2">{count}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default TrendingTags;
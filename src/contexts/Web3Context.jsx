@@ -1,5 +1,5 @@
 // src/contexts/Web3Context.jsx
-import { createContext, useContext, useState, useCallback, useRef } from 'react';
+import { createContext, useContext, useState, useCallback, useRef, useEffect } from 'react';
 import { ethers } from 'ethers';
 
 const Web3Context = createContext(null);
@@ -83,6 +83,40 @@ export const Web3Provider = ({ children, value }) => {
     }));
   }, []);
 
+  // Keep cached profiles current with profile events from the server. The
+  // cache is keyed by addresses as they were looked up, so every casing of
+  // the address gets the update.
+  useEffect(() => {
+    const ws = value.wsConnection;
+    if (!ws) return;
+
+    const handleMessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        if (data.type !== 'profileUpdated' && data.type !== 'profileDeactivated') return;
+
+        const user = data.user.toLowerCase();
+        setProfileCache(prev => {
+          const keys = Object.keys(prev).filter(key => key.toLowerCase() === user);
+          if (data.type === 'profileUpdated' && !keys.includes(data.user)) keys.push(data.user);
+
+          const next = { ...prev };
+          keys.forEach(key => {
+            next[key] = data.type === 'profileUpdated'
+              ? { nickname: data.nickname, avatarCode: data.avatarCode, isActive: true, loading: false }
+              : { ...prev[key], isActive: false };
+          });
+          return next;
+        });
+      } catch (error) {
+        console.error('Error processing profile event:', error);
+      }
+    };
+
+    ws.addEventListener('message', handleMessage);
+    return () => ws.removeEventListener('message', handleMessage);
+  }, [value.wsConnection]);
+
   // Function to reconnect and refresh the signer
   const reconnectSigner = useCallback(async () => {
     if (connectionAttemptInProgress.current) {
@@ -7,6 +7,58 @@ import { safeToNumber } from '../utils/messageHelpers';
 const SERVER_API_BASE = import.meta.env.VITE_API_URL || '';
 const DEFAULT_PAGE_SIZE = 20;
 
+/**
+ * Converts a feed item from the server (REST or a WebSocket event) to the
+ * format the UI uses
+ * @param {Object} msg - Feed item
+ * @return {Object} Message for the feed list
+ */
+export const formatFeedMessage = (msg) => ({
+  messageId: safeToNumber(msg.messageId),
+  displayId: msg.messageId,
+  sender: msg.sender,
+  nickname: msg.nickname || `${msg.sender.slice(0, 6)}...${msg.sender.slice(-4)}`,
+  content: msg.content,
+  timestamp: new Date(msg.timestamp),
+  isReply: Boolean(msg.isReply),
+  replyToMessageId: safeToNumber(msg.replyToMessageId),
+  originalMessage: msg.originalMessage,
+  replyCount: Number(msg.replyCount || 0)
+});
+
+const newestFirst = (a, b) => safeToNumber(b.messageId) - safeToNumber(a.messageId);
+
+// Add live messages that aren't listed or queued yet, either to the list or
+// to the queue behind the "new messages" alert. New replies count towards
+// their parent right away.
+const insertMessages = (state, added, queue) => {
+  const known = new Set([...state.messages, ...state.incomingMessages].map(m => safeToNumber(m.messageId)));
+  const fresh = added.filter(m => {
+    const id = safeToNumber(m.messageId);
+    if (known.has(id)) return false;
+    known.add(id);
+    return true;
+  });
+
+  if (fresh.length === 0) return state;
+
+  const newReplies = {};
+  fresh.filter(m => m.isReply).forEach(m => {
+    newReplies[m.replyToMessageId] = (newReplies[m.replyToMessageId] || 0) + 1;
+  });
+
+  const messages = state.messages.map(msg => (newReplies[msg.messageId]
+    ? { ...msg, replyCount: (msg.replyCount || 0) + newReplies[msg.messageId] }
+    : msg));
+
+  if (queue) {
+    const incomingMessages = [...fresh, ...state.incomingMessages].sort(newestFirst);
+    return { ...state, messages, incomingMessages, newMessagesCount: incomingMessages.length };
+  }
+
+  return { ...state, messages: [...fresh, ...messages].sort(newestFirst) };
+};
+
 // Reducer for managing message state
 const messageReducer = (state, action) => {
   switch (action.type) {
@@ -19,23 +71,43 @@ const messageReducer = (state, action) => {
         ...state,
         messages: action.messages,
         currentPage: action.page,
-        hasMorePages: action.hasMore
+        hasMorePages: action.hasMore,
+        cursor: action.cursor !== undefined ? action.cursor : state.cursor,
+        // A reload already includes whatever was queued
+        incomingMessages: []
       };
     case 'APPEND_MESSAGES':
       return {
         ...state,
         messages: [...state.messages, ...action.messages],
         currentPage: action.page,
-        hasMorePages: action.hasMore
+        hasMorePages: action.hasMore,
+        cursor: action.cursor
       };
     case 'SET_HAS_MORE_PAGES':
       return { ...state, hasMorePages: action.hasMore };
     case 'DELETE_MESSAGE':
+      return messageReducer(state, { type: 'REMOVE_MESSAGES', messageIds: [action.messageId] });
+    case 'REMOVE_MESSAGES': {
+      const removed = new Set(action.messageIds.map(safeToNumber));
+      const incomingMessages = state.incomingMessages.filter(m => !removed.has(safeToNumber(m.messageId)));
       return {
         ...state,
-        messages: state.messages.filter(m =>
-          safeToNumber(m.messageId) !== safeToNumber(action.messageId)
-        )
+        messages: state.messages.filter(m => !removed.has(safeToNumber(m.messageId))),
+        incomingMessages,
+        newMessagesCount: state.incomingMessages.length > 0 ? incomingMessages.length : state.newMessagesCount
+      };
+    }
+    case 'INSERT_MESSAGES':
+      return insertMessages(state, action.messages, false);
+    case 'QUEUE_MESSAGES':
+      return insertMessages(state, action.messages, true);
+    case 'SHOW_INCOMING_MESSAGES':
+      return {
+        ...state,
+        messages: [...state.incomingMessages, ...state.messages].sort(newestFirst),
+        incomingMessages: [],
+        newMessagesCount: 0
       };
     case 'SET_DELETION_STATUS':
       return { ...state, deletionStatus: action.status };
@@ -95,6 +167,10 @@ const useMessageManagement = (contract, provider, setMessageTimestamps, pendingM
     initialLoading: true,
     currentPage: 0,
     hasMorePages: true,
+    // Opaque cursor pointing at the oldest loaded message
+    cursor: null,
+    // Live messages held back while auto-refresh is off
+    incomingMessages: [],
     deletionStatus: { pending: false, messageId: null, error: null },
     autoRefresh: getInitialAutoRefresh(),
     lastCheckedTimestamp: 0,
@@ -108,6 +184,7 @@ const useMessageManagement = (contract, provider, setMessageTimestamps, pendingM
     loading,
     currentPage,
     hasMorePages,
+    cursor,
     deletionStatus,
     autoRefresh,
     lastCheckedTimestamp,
@@ -201,8 +278,10 @@ const useMessageManagement = (contract, provider, setMessageTimestamps, pendingM
       // Log action for debug
       console.log(`Loading messages page ${page}, append: ${append}`);
 
-      // Load messages from server
-      const endpoint = `${SERVER_API_BASE}/api/messages/feedWithReplies/${page}/${pageSize}`;
+      // Load messages from server; appending continues from the oldest loaded message
+      const params = new URLSearchParams({ limit: pageSize });
+      if (append && state.cursor) params.set('before', state.cursor);
+      const endpoint = `${SERVER_API_BASE}/api/messages/feedWithReplies?${params}`;
       const response = await fetch(endpoint);
 
       if (!response.ok) {
@@ -217,44 +296,20 @@ const useMessageManagement = (contract, provider, setMessageTimestamps, pendingM
         throw new Error('Invalid server response format');
       }
 
-      const { messages: fetchedMessages, hasMore } = data;
+      const { messages: fetchedMessages, hasMore, cursors } = data;
       console.log(`Received ${fetchedMessages.length} messages, hasMore: ${hasMore}`);
 
       // Transform server response to the format expected by UI
-      const formattedMessages = fetchedMessages.map(msg => ({
-        messageId: safeToNumber(msg.messageId),
-        displayId: msg.messageId,
-        sender: msg.sender,
-        nickname: msg.nickname || `${msg.sender.slice(0, 6)}...${msg.sender.slice(-4)}`,
-        content: msg.content,
-        timestamp: new Date(msg.timestamp),
-        isReply: msg.isReply,
-        replyToMessageId: safeToNumber(msg.replyToMessageId),
-        originalMessage: msg.originalMessage,
-        replyCount: Number(msg.replyCount || 0)
-      }));
+      const formattedMessages = fetchedMessages.map(formatFeedMessage);
 
       // Update UI state depending on mode
       if (append) {
-        // Filter to exclude duplicates
-        const existingIds = new Set(state.messages.map(m => m.messageId));
-        const uniqueNewMessages = formattedMessages.filter(m => !existingIds.has(m.messageId));
-
-        console.log(`Adding ${uniqueNewMessages.length} unique messages to existing ${state.messages.length}`);
-
-        if (uniqueNewMessages.length === 0) {
-          console.log('No new unique messages to add');
-          dispatch({ type: 'SET_HAS_MORE_PAGES', hasMore: false });
-          dispatch({ type: 'LOADING_END' });
-          return [];
-        }
-
-        // Dispatch action to add messages
         dispatch({
           type: 'APPEND_MESSAGES',
-          messages: uniqueNewMessages,
+          messages: formattedMessages,
           page,
-          hasMore
+          hasMore,
+          cursor: cursors.before
         });
       } else {
         // Complete replacement of messages
@@ -262,7 +317,8 @@ const useMessageManagement = (contract, provider, setMessageTimestamps, pendingM
           type: 'SET_MESSAGES',
           messages: formattedMessages,
           page,
-          hasMore
+          hasMore,
+          cursor: cursors.before
         });
       }
 
@@ -310,7 +366,7 @@ const useMessageManagement = (contract, provider, setMessageTimestamps, pendingM
     } finally {
       dispatch({ type: 'LOADING_END' });
     }
-  }, [contract, setMessageTimestamps, lastKnownMessageId, state.messages]);
+  }, [contract, setMessageTimestamps, lastKnownMessageId, state.cursor]);
 
   /**
    * Load additional messages when scrolling
@@ -321,14 +377,20 @@ const useMessageManagement = (contract, provider, setMessageTimestamps, pendingM
       return;
     }
 
+    if (!cursor) {
+      console.log('No cursor yet, skipping loadMoreMessages');
+      return;
+    }
+
     const nextPage = currentPage + 1;
     console.log(`Loading more messages (page ${nextPage})...`);
 
     try {
       dispatch({ type: 'LOADING_START' });
 
-      // Direct API request
-      const endpoint = `${SERVER_API_BASE}/api/messages/feedWithReplies/${nextPage}/${DEFAULT_PAGE_SIZE}`;
+      // Continue right below the oldest loaded message, so pages don't shift
+      // when new messages arrive or old ones are pruned
+      const endpoint = `${SERVER_API_BASE}/api/messages/feedWithReplies?limit=${DEFAULT_PAGE_SIZE}&before=${encodeURIComponent(cursor)}`;
       console.log(`Fetching from: ${endpoint}`);
 
       const response = await fetch(endpoint);
@@ -346,47 +408,27 @@ const useMessageManagement = (contract, provider, setMessageTimestamps, pendingM
       }
 
       // Format messages
-      const formattedMessages = data.messages.map(msg => ({
-        messageId: safeToNumber(msg.messageId),
-        displayId: msg.messageId,
-        sender: msg.sender,
-        nickname: msg.nickname || `${msg.sender.slice(0, 6)}...${msg.sender.slice(-4)}`,
-        content: msg.content,
-        timestamp: new Date(msg.timestamp),
-        isReply: Boolean(msg.isReply),
-        replyToMessageId: safeToNumber(msg.replyToMessageId),
-        originalMessage: msg.originalMessage,
-        replyCount: msg.replyCount || 0
-      }));
-
-      // Filter duplicates
-      const existingIds = new Set(messages.map(m => m.messageId));
-      const uniqueMessages = formattedMessages.filter(m => !existingIds.has(m.messageId));
-
-      if (uniqueMessages.length === 0) {
-        console.log('No new unique messages, stopping pagination');
-        dispatch({ type: 'SET_HAS_MORE_PAGES', hasMore: false });
-      } else {
-        // Add new messages
-        dispatch({
-          type: 'APPEND_MESSAGES',
-          messages: uniqueMessages,
-          page: nextPage,
-          hasMore: data.hasMore
-        });
+      const formattedMessages = data.messages.map(formatFeedMessage);
+
+      dispatch({
+        type: 'APPEND_MESSAGES',
+        messages: formattedMessages,
+        page: nextPage,
+        hasMore: data.hasMore,
+        cursor: data.cursors.before
+      });
 
-        // Update timestamps
-        const timestamps = uniqueMessages.map(msg => msg.timestamp.getTime());
-        messageTimestampsRef.current = [...messageTimestampsRef.current, ...timestamps];
-        setMessageTimestamps([...messageTimestampsRef.current]);
-      }
+      // Update timestamps
+      const timestamps = formattedMessages.map(msg => msg.timestamp.getTime());
+      messageTimestampsRef.current = [...messageTimestampsRef.current, ...timestamps];
+      setMessageTimestamps([...messageTimestampsRef.current]);
     } catch (error) {
       console.error('Error loading more messages:', error);
       dispatch({ type: 'SET_HAS_MORE_PAGES', hasMore: false });
     } finally {
       dispatch({ type: 'LOADING_END' });
     }
-  }, [loading, currentPage, messages, messageTimestampsRef, setMessageTimestamps]);
+  }, [loading, currentPage, cursor, messageTimestampsRef, setMessageTimestamps]);
 
   /**
    * Toggle auto-refresh
@@ -402,6 +444,18 @@ const useMessageManagement = (contract, provider, setMessageTimestamps, pendingM
     dispatch({ type: 'SET_AUTO_REFRESH', enabled: newValue });
   }, [autoRefresh]);
 
+  /**
+   * Show the live messages queued behind the "new messages" alert, or reload
+   * if the count came from polling and there's nothing queued
+   */
+  const showNewMessages = useCallback(() => {
+    if (state.incomingMessages.length > 0) {
+      dispatch({ type: 'SHOW_INCOMING_MESSAGES' });
+    } else {
+      loadMessages(0, false);
+    }
+  }, [state.incomingMessages, loadMessages]);
+
   /**
    * Manual message refresh
    */
@@ -471,6 +525,7 @@ const useMessageManagement = (contract, provider, setMessageTimestamps, pendingM
     loadMoreMessages,
     findRealMessageId,
     handleRefreshMessages,
+    showNewMessages,
     toggleAutoRefresh,
     checkForNewMessages,
     invalidateServerCache,
@@ -0,0 +1,192 @@
+// src/hooks/useNotifications.js
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { safeToNumber } from '../utils/messageHelpers';
+
+// Notifications kept per address; older ones are dropped
+const MAX_NOTIFICATIONS = 50;
+
+// Targeted WebSocket events that become notifications
+const NOTIFICATION_TYPES = ['replyToYourMessage', 'threadReply', 'mentioned', 'threadDeleted'];
+
+const storageKey = (address) => `notifications:${address.toLowerCase()}`;
+const BROWSER_ALERTS_KEY = 'browserNotifications';
+
+const loadNotifications = (address) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(storageKey(address)));
+    return Array.isArray(saved) ? saved : [];
+  } catch (e) {
+    console.error('Error reading notifications from localStorage:', e);
+    return [];
+  }
+};
+
+const saveNotifications = (address, notifications) => {
+  try {
+    localStorage.setItem(storageKey(address), JSON.stringify(notifications));
+  } catch (e) {
+    console.error('Error saving notifications to localStorage:', e);
+  }
+};
+
+// Notification from a WebSocket event. The ID makes events replayed after
+// a reconnect collapse into the one already listed.
+const toNotification = (data) => ({
+  id: `${data.type}:${data.messageId}`,
+  type: data.type,
+  messageId: safeToNumber(data.messageId),
+  replyToMessageId: safeToNumber(data.replyToMessageId),
+  rootId: safeToNumber(data.rootId),
+  reason: data.reason || null,
+  sender: data.sender,
+  nickname: data.nickname,
+  content: data.content || '',
+  timestamp: safeToNumber(data.timestamp) * 1000 || Date.now(),
+  read: false
+});
+
+/**
+ * Short text for a notification
+ * @param {Object} notification - Notification from useNotifications
+ * @return {string} e.g. "@bob replied to #12"
+ */
+export const describeNotification = (notification) => {
+  const who = `@${notification.nickname || notification.sender}`;
+  switch (notification.type) {
+    case 'replyToYourMessage':
+      return `${who} replied to #${notification.replyToMessageId}`;
+    case 'threadReply':
+      return notification.reason === 'root'
+        ? `${who} replied in your thread #${notification.rootId}`
+        : `${who} replied in thread #${notification.rootId}, which you replied in`;
+    case 'mentioned':
+      return `${who} mentioned you in #${notification.messageId}`;
+    case 'threadDeleted':
+      return `${who} deleted #${notification.messageId}, a thread you replied in`;
+    default:
+      return `${who}: ${notification.type}`;
+  }
+};
+
+/**
+ * Hook for the notification center: collects replies, mentions and thread
+ * deletions for the connected account, keeps them (and what's read) in
+ * localStorage per address, and optionally shows browser notifications
+ * while the tab is in the background
+ * @param {Object} options - Options
+ * @param {string|null} options.account - Connected wallet address
+ * @param {WebSocket|null} options.wsConnection - Shared connection
+ * @returns {Object} Notifications, unread count and actions
+ */
+export const useNotifications = ({ account, wsConnection }) => {
+  const [notifications, setNotifications] = useState([]);
+  const [browserAlerts, setBrowserAlerts] = useState(() => {
+    try {
+      return localStorage.getItem(BROWSER_ALERTS_KEY) === 'true';
+    } catch (e) {
+      return false;
+    }
+  });
+
+  // Address the current list belongs to, so a save never lands on another one
+  const loadedForRef = useRef(null);
+  // IDs already in the list, checked before state updates have run
+  const seenIdsRef = useRef(new Set());
+
+  useEffect(() => {
+    const loaded = account ? loadNotifications(account) : [];
+    loadedForRef.current = account ? account.toLowerCase() : null;
+    seenIdsRef.current = new Set(loaded.map(item => item.id));
+    setNotifications(loaded);
+  }, [account]);
+
+  const update = useCallback((change) => {
+    setNotifications(prev => {
+      const next = change(prev);
+      if (loadedForRef.current && next !== prev) saveNotifications(loadedForRef.current, next);
+      return next;
+    });
+  }, []);
+
+  const showBrowserAlert = useCallback((notification) => {
+    if (!browserAlerts || !document.hidden || !('Notification' in window)) return;
+    if (Notification.permission !== 'granted') return;
+
+    const browserNotification = new Notification('crkcrk', {
+      body: `${describeNotification(notification)}${notification.content ? `: ${notification.content.slice(0, 100)}` : ''}`,
+      tag: notification.id
+    });
+    browserNotification.onclick = () => {
+      window.focus();
+      window.location.assign(`/message/${notification.messageId}`);
+    };
+  }, [browserAlerts]);
+
+  useEffect(() => {
+    if (!wsConnection || !account) return;
+
+    const handleMessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        if (!NOTIFICATION_TYPES.includes(data.type)) return;
+
+        const notification = toNotification(data);
+        if (seenIdsRef.current.has(notification.id)) return;
+        seenIdsRef.current.add(notification.id);
+
+        update(prev => [notification, ...prev].slice(0, MAX_NOTIFICATIONS));
+        showBrowserAlert(notification);
+      } catch (error) {
+        console.error('Error processing notification:', error);
+      }
+    };
+
+    wsConnection.addEventListener('message', handleMessage);
+    return () => wsConnection.removeEventListener('message', handleMessage);
+  }, [wsConnection, account, update, showBrowserAlert]);
+
+  const markAsRead = useCallback((id) => {
+    update(prev => (prev.some(item => item.id === id && !item.read)
+      ? prev.map(item => (item.id === id ? { ...item, read: true } : item))
+      : prev));
+  }, [update]);
+
+  const markAllAsRead = useCallback(() => {
+    update(prev => (prev.some(item => !item.read) ? prev.map(item => ({ ...item, read: true })) : prev));
+  }, [update]);
+
+  // Cleared IDs stay seen, so events replayed later in the session don't
+  // bring them back
+  const clearAll = useCallback(() => {
+    update(prev => (prev.length > 0 ? [] : prev));
+  }, [update]);
+
+  // Browser alerts are opt-in and need the browser's permission
+  const toggleBrowserAlerts = useCallback(async () => {
+    let enabled = !browserAlerts;
+
+    if (enabled && 'Notification' in window && Notification.permission !== 'granted') {
+      enabled = await Notification.requestPermission() === 'granted';
+    }
+
+    try {
+      localStorage.setItem(BROWSER_ALERTS_KEY, enabled.toString());
+    } catch (e) {
+      console.error('Error saving browserNotifications to localStorage:', e);
+    }
+    setBrowserAlerts(enabled);
+  }, [browserAlerts]);
+
+  return {
+    notifications,
+    unreadCount: notifications.filter(item => !item.read).length,
+    browserAlerts,
+    browserAlertsSupported: 'Notification' in window,
+    markAsRead,
+    markAllAsRead,
+    clearAll,
+    toggleBrowserAlerts
+  };
+};
+
+export default useNotifications;
@@ -0,0 +1,236 @@
+// src/hooks/useRealtime.js
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { loadSession, saveSession, clearSession } from '../utils/siweSession';
+
+const WS_URL = import.meta.env.VITE_WS_URL || 'ws://localhost:3000';
+
+// Reconnect delays double from the base up to the cap; each one is
+// randomized between half and all of that so clients don't reconnect in step
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// A ping is sent this often, and the connection is dropped if nothing at all
+// arrives within the timeout after it
+const HEARTBEAT_INTERVAL = 25000;
+const HEARTBEAT_TIMEOUT = 10000;
+
+const reconnectDelay = (attempt) => {
+  const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+/**
+ * Hook for the app's one WebSocket connection. Reconnects with backoff,
+ * keeps it alive with heartbeats, registers the account (signing in with
+ * the wallet when there's no stored session) and resumes missed events.
+ * @param {Object} options - Options
+ * @param {string|null} options.account - Connected wallet address
+ * @returns {Object} { connection, status, attempt, authToken }; status is
+ *   'connecting', 'connected' or 'reconnecting'
+ */
+export const useRealtime = ({ account }) => {
+  const [connection, setConnection] = useState(null);
+  const [status, setStatus] = useState('connecting');
+  const [attempt, setAttempt] = useState(0);
+  const [authToken, setAuthToken] = useState(null);
+
+  const socketRef = useRef(null);
+  const accountRef = useRef(account);
+  // Last event seen, kept across connections to resume from
+  const eventStreamRef = useRef({ streamId: null, lastSeq: null });
+  // Don't ask for a signature again on every reconnect after a refusal
+  const signInDeclinedRef = useRef(null);
+  const registeredRef = useRef(false);
+
+  const send = useCallback((message) => {
+    const ws = socketRef.current;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }, []);
+
+  // Register with the stored session if there is one; otherwise ask the
+  // server for a challenge to sign
+  const register = useCallback(() => {
+    const address = accountRef.current;
+
+    if (!address) {
+      if (registeredRef.current) send({ type: 'unregister' });
+      registeredRef.current = false;
+      return;
+    }
+
+    const session = loadSession(address);
+    if (session) {
+      send({ type: 'register', token: session.token });
+    } else if (signInDeclinedRef.current !== address.toLowerCase()) {
+      send({ type: 'challenge', address });
+    }
+  }, [send]);
+
+  const signChallenge = useCallback(async (message) => {
+    const address = accountRef.current;
+
+    try {
+      const signer = new ethers.providers.Web3Provider(window.ethereum).getSigner();
+      const signature = await signer.signMessage(message);
+      send({ type: 'register', message, signature });
+    } catch (error) {
+      console.error('Sign-in was not completed:', error);
+      if (address) signInDeclinedRef.current = address.toLowerCase();
+    }
+  }, [send]);
+
+  const handleMessage = useCallback((data) => {
+    if (typeof data.seq === 'number' && data.type !== 'hello') {
+      eventStreamRef.current.lastSeq = Math.max(eventStreamRef.current.lastSeq || 0, data.seq);
+    }
+
+    switch (data.type) {
+      case 'hello': {
+        // Catch up on what was missed while disconnected. By now the open
+        // handlers have registered and subscribed.
+        const { streamId, lastSeq } = eventStreamRef.current;
+        if (streamId && lastSeq !== null) {
+          send({ type: 'resume', streamId, lastSeq });
+        }
+        eventStreamRef.current = {
+          streamId: data.streamId,
+          lastSeq: data.streamId === streamId ? lastSeq : data.seq
+        };
+        break;
+      }
+
+      case 'resyncRequired':
+        eventStreamRef.current = { streamId: data.streamId, lastSeq: data.seq };
+        break;
+
+      case 'challenge':
+        signChallenge(data.message);
+        break;
+
+      case 'registered': {
+        const address = accountRef.current;
+        if (!address) break;
+
+        if (data.success) {
+          // Reply to a registration for an account that has since changed
+          if (data.address.toLowerCase() !== address.toLowerCase()) break;
+          registeredRef.current = true;
+          saveSession(address, data);
+          setAuthToken(data.token);
+        } else if (loadSession(address)) {
+          // Stored session was expired or revoked; sign in again
+          clearSession(address);
+          setAuthToken(null);
+          register();
+        }
+        break;
+      }
+    }
+  }, [send, signChallenge, register]);
+
+  // Handlers change with the account; the connection reads them through a ref
+  const handlersRef = useRef({ register, handleMessage });
+  handlersRef.current = { register, handleMessage };
+
+  // Connection lifecycle: one socket at a time, replaced after it drops
+  useEffect(() => {
+    let stopped = false;
+    let failures = 0;
+    let reconnectTimer = null;
+    let heartbeatTimer = null;
+    let heartbeatTimeout = null;
+
+    const stopHeartbeat = () => {
+      clearInterval(heartbeatTimer);
+      clearTimeout(heartbeatTimeout);
+    };
+
+    const connect = () => {
+      reconnectTimer = null;
+      const ws = new WebSocket(WS_URL);
+      socketRef.current = ws;
+
+      ws.addEventListener('open', () => {
+        console.log('WebSocket connected');
+        failures = 0;
+        setAttempt(0);
+        setStatus('connected');
+        handlersRef.current.register();
+
+        heartbeatTimer = setInterval(() => {
+          if (ws.readyState !== WebSocket.OPEN) return;
+          ws.send(JSON.stringify({ type: 'ping' }));
+          heartbeatTimeout = setTimeout(() => {
+            console.log('WebSocket heartbeat timed out');
+            ws.close(4000, 'Heartbeat timeout');
+          }, HEARTBEAT_TIMEOUT);
+        }, HEARTBEAT_INTERVAL);
+      });
+
+      ws.addEventListener('message', (event) => {
+        // Any message shows the connection is alive
+        clearTimeout(heartbeatTimeout);
+
+        try {
+          handlersRef.current.handleMessage(JSON.parse(event.data));
+        } catch (error) {
+          console.error('Error parsing WebSocket message:', error);
+        }
+      });
+
+      ws.addEventListener('error', (error) => {
+        console.error('WebSocket error:', error);
+      });
+
+      ws.addEventListener('close', (event) => {
+        stopHeartbeat();
+        if (stopped || socketRef.current !== ws) return;
+
+        const delay = reconnectDelay(failures);
+        failures++;
+        console.log(`WebSocket disconnected (code ${event.code}), reconnecting in ${delay}ms`);
+        setAttempt(failures);
+        setStatus('reconnecting');
+        reconnectTimer = setTimeout(connect, delay);
+      });
+
+      setConnection(ws);
+    };
+
+    // Don't wait out the backoff once the network is back
+    const handleOnline = () => {
+      if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        connect();
+      }
+    };
+
+    connect();
+    window.addEventListener('online', handleOnline);
+
+    return () => {
+      stopped = true;
+      window.removeEventListener('online', handleOnline);
+      clearTimeout(reconnectTimer);
+      stopHeartbeat();
+
+      const ws = socketRef.current;
+      socketRef.current = null;
+      if (ws && (ws.readyState === WebSocket.CONNECTING || ws.readyState === WebSocket.OPEN)) {
+        ws.close(1000, 'Component unmounted');
+      }
+    };
+  }, []);
+
+  // Register again on the open connection when the account changes
+  useEffect(() => {
+    accountRef.current = account;
+    setAuthToken(account ? loadSession(account)?.token || null : null);
+    register();
+  }, [account, register]);
+
+  return { connection, status, attempt, authToken };
+};
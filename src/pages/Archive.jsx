@@ -0,0 +1,124 @@
+// src/pages/Archive.jsx
+import { useState, useEffect, useCallback } from 'react';
+import MessageList from '../components/MessageList';
+import PureSVGPreloader from '../components/PureSVGPreloader';
+import { formatServerMessage, scrollToMessage } from '../utils/messageHelpers';
+
+const SERVER_API_BASE = import.meta.env.VITE_API_URL || '';
+const PAGE_SIZE = 20;
+
+function Archive() {
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [beforeDate, setBeforeDate] = useState('');
+
+  // Load a page of archived messages; without a cursor the list is replaced
+  const loadArchive = useCallback(async ({ cursor = null, before = '' } = {}) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      if (cursor) params.set('before', cursor);
+
+      let endpoint = `${SERVER_API_BASE}/api/archive`;
+      if (before) {
+        // End of the selected day, local time
+        params.set('to', new Date(`${before}T23:59:59.999`).getTime());
+        endpoint = `${SERVER_API_BASE}/api/archive/time`;
+      }
+
+      const response = await fetch(`${endpoint}?${params}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `API error: ${response.status}`);
+      }
+
+      const page = data.messages.map(formatServerMessage);
+      setMessages(prev => (cursor ? [...prev, ...page] : page));
+      setNextCursor(data.hasMore ? data.cursors.before : null);
+      setTotal(data.total);
+    } catch (err) {
+      console.error('Error loading archive:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadArchive({ before: beforeDate });
+  }, [loadArchive, beforeDate]);
+
+  return (
+    <div className="mx-auto">
+      <div className="max-w-xl mx-auto px-4 mb-6 font-mono text-xs">
+        <h1 className="text-lg mb-2">{'// archive'}</h1>
+        <p className="text-gray-400 mb-4">
+          Messages pruned from the chain by the active message limit. They can no longer be seen in the feed, but stay readable here.
+        </p>
+        <div className="flex items-center gap-2">
+          <label htmlFor="archive-before" className="text-gray-400">Posted before:</label>
+          <input
+            id="archive-before"
+            type="date"
+            value={beforeDate}
+            onChange={(e) => setBeforeDate(e.target.value)}
+            className="bg-gray-900 inset-ring inset-ring-white/10 rounded px-2 py-1"
+          />
+          {beforeDate && (
+            <button
+              onClick={() => setBeforeDate('')}
+              className="text-sky-300 hover:text-sky-200"
+            >
+              [ Clear ]
+            </button>
+          )}
+          <span className="ml-auto text-gray-500">{total} archived</span>
+        </div>
+      </div>
+
+      {error ? (
+        <div className="text-center py-10">
+          <p className="font-mono text-red-400">{error}</p>
+        </div>
+      ) : loading && messages.length === 0 ? (
+        <div className="text-center py-10">
+          <PureSVGPreloader />
+          <p className="mt-2 font-mono text-gray-400">Loading archive...</p>
+        </div>
+      ) : messages.length > 0 ? (
+        <>
+          <MessageList
+            messages={messages}
+            currentUser={null}
+            onScrollToMessage={scrollToMessage}
+            showDeleted={true}
+          />
+
+          {nextCursor && (
+            <div className="text-center mt-4 mb-8">
+              <button
+                onClick={() => loadArchive({ cursor: nextCursor, before: beforeDate })}
+                disabled={loading}
+                className="font-mono text-xs text-sky-300 hover:text-sky-200 disabled:text-gray-500"
+              >
+                {loading ? 'Loading...' : '[ Load older ]'}
+              </button>
+            </div>
+          )}
+        </>
+      ) : (
+        <div className="text-center py-10">
+          <p className="font-mono text-gray-400">No archived messages</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Archive;
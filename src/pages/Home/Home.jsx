@@ -7,6 +7,7 @@ import MessageList from '../../components/MessageList';
 import PureSVGPreloader from '../../components/PureSVGPreloader';
 import { ethers } from 'ethers';
 import { scrollToMessage } from '../../utils/messageHelpers';
+import { subscribeChannels } from '../../utils/wsChannels';
 import useMessageManagement from '../../hooks/useMessageManagement';
 import usePendingMessages from '../../hooks/usePendingMessages';
 import MessageActions from './MessageActions';
@@ -14,12 +15,12 @@ import DebugPanel from './DebugPanel';
 import NewMessageAlert from './NewMessageAlert';
 import MessageHandler from './MessageHandler';
 
-// Constants
+// Fallback polling, only while the WebSocket is down
 const POLLING_INTERVAL = 15000;
 const AUTO_REFRESH_INTERVAL = 30000;
 
 function Home() {
-    const { account, contract, provider, wsConnection, userProfile, lastMessageTimestamp, updateLastMessageTimestamp, connectionStatus, contractParameters } = useWeb3();
+    const { account, contract, provider, wsConnection, realtimeStatus, userProfile, lastMessageTimestamp, updateLastMessageTimestamp, connectionStatus, contractParameters } = useWeb3();
     const { setMessageTimestamps } = useStats();
 
     // References
@@ -57,17 +58,20 @@ function Home() {
         loadMoreMessages,
         findRealMessageId,
         handleRefreshMessages,
+        showNewMessages,
         toggleAutoRefresh,
         checkForNewMessages,
         invalidateServerCache,
         messageIdCache,
         initialLoadCompleted,
         messageTimestampsRef,
-        dispatch,
         signerError,
         setSignerError
     } = messageState;
 
+    // The feed follows server events while the socket is up
+    const live = realtimeStatus === 'connected';
+
     // Check if user has a profile
     const hasProfile = userProfile?.isActive && userProfile?.nickname;
 
@@ -121,6 +125,8 @@ function Home() {
 
     // Setup polling for new messages
     useEffect(() => {
+        if (live) return;
+
         pollingIntervalRef.current = setInterval(checkForNewMessages, POLLING_INTERVAL);
 
         return () => {
@@ -128,11 +134,11 @@ function Home() {
                 clearInterval(pollingIntervalRef.current);
             }
         };
-    }, [checkForNewMessages]);
+    }, [checkForNewMessages, live]);
 
     // Setup auto-refresh interval
     useEffect(() => {
-        if (autoRefresh) {
+        if (autoRefresh && !live) {
             autoRefreshIntervalRef.current = setInterval(() => {
                 console.log('Auto-refreshing messages...');
                 loadMessages(0, false);
@@ -144,7 +150,7 @@ function Home() {
                 clearInterval(autoRefreshIntervalRef.current);
             }
         };
-    }, [autoRefresh, loadMessages]);
+    }, [autoRefresh, loadMessages, live]);
 
     // Load initial messages
     useEffect(() => {
@@ -165,6 +171,9 @@ function Home() {
         };
     }, []);
 
+    // The server only sends feed events to subscribers
+    useEffect(() => subscribeChannels(wsConnection, ['feed']), [wsConnection]);
+
     // WebSocket event handlers
     useEffect(() => {
         if (!wsConnection) return;
@@ -181,29 +190,21 @@ function Home() {
 
                     case 'newReply':
                         messageHandler.handleWebSocketNewReply(data);
-
-                        // Update reply count
-                        const replyToMessageId = parseInt(data.replyToMessageId);
-                        dispatch({
-                            type: 'UPDATE_REPLY_COUNT',
-                            messageId: replyToMessageId
-                        });
-
-                        // Ensure replies are shown
-                        setExpandedRepliesState(prev => ({
-                            ...prev,
-                            [replyToMessageId]: true
-                        }));
                         break;
 
                     case 'messageDeleted':
                         console.log('Message deleted event received:', data.messageId);
-                        messageIdCache.current.clear();
-                        dispatch({ type: 'DELETE_MESSAGE', messageId: parseInt(data.messageId) });
+                        messageHandler.handleWebSocketMessagesRemoved(data);
                         break;
 
                     case 'oldMessagesDeleted':
                         console.log('Old messages deleted event received:', data.count);
+                        messageHandler.handleWebSocketMessagesRemoved(data);
+                        break;
+
+                    case 'resyncRequired':
+                        // Missed more events while disconnected than the server keeps
+                        console.log('Resync required, reloading messages');
                         messageIdCache.current.clear();
                         loadMessages(0, false);
                         break;
@@ -218,11 +219,11 @@ function Home() {
         return () => {
             wsConnection.removeEventListener('message', handleWebSocketMessage);
         };
-    }, [wsConnection, messageHandler, loadMessages, messageIdCache, dispatch, setExpandedRepliesState]);
+    }, [wsConnection, messageHandler, loadMessages, messageIdCache]);
 
-    // Contract event listeners
+    // Contract event listeners, as a fallback while the socket is down
     useEffect(() => {
-        if (!contract) return;
+        if (!contract || live) return;
 
         const messageSentFilter = contract.filters.MessageSent();
         const messageDeletedFilter = contract.filters.MessageDeleted();
@@ -240,7 +241,7 @@ function Home() {
             contract.off(messageDeletedFilter, messageHandler.handleMessageDeletedEvent);
             contract.off(oldMessagesDeletedFilter, messageHandler.handleOldMessagesDeletedEvent);
         };
-    }, [contract, messageHandler]);
+    }, [contract, messageHandler, live]);
 
     return (
         <div className="mx-auto">
@@ -315,7 +316,7 @@ function Home() {
                 count={newMessagesCount}
                 loading={loading}
                 autoRefresh={autoRefresh}
-                onRefresh={handleRefreshMessages}
+                onRefresh={showNewMessages}
             />
 
             {/* Debug panel */}
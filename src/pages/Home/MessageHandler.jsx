@@ -1,6 +1,21 @@
 // src/pages/Home/MessageHandler.jsx
 import { ethers } from 'ethers';
 import { safeToNumber } from '../../utils/messageHelpers';
+import { formatFeedMessage } from '../../hooks/useMessageManagement';
+
+// Feed message from a newMessage/newReply event. Events carry the feed item
+// once the server's index has it; before that, build one from the event.
+const eventToFeedMessage = (data) => formatFeedMessage(data.message || {
+    messageId: data.messageId,
+    sender: data.sender,
+    nickname: data.nickname,
+    content: data.content,
+    timestamp: safeToNumber(data.timestamp) * 1000,
+    isReply: safeToNumber(data.replyToMessageId) !== 0,
+    replyToMessageId: data.replyToMessageId || 0,
+    originalMessage: null,
+    replyCount: 0
+});
 
 /**
  * Factory function for creating message handler methods
@@ -22,6 +37,16 @@ const MessageHandler = ({
     const { trackPendingMessage, updatePendingMessage, cleanupResolvedMessages } = pendingMessagesState;
     const { dispatch, messageIdCache } = messageState;
 
+    // Insert a live message into the feed, or queue it behind the "new
+    // messages" alert when auto-refresh is off. Our own posts always show.
+    const addLiveMessage = (data) => {
+        const isOwn = data.sender.toLowerCase() === account?.toLowerCase();
+        dispatch({
+            type: messageState.autoRefresh || isOwn ? 'INSERT_MESSAGES' : 'QUEUE_MESSAGES',
+            messages: [eventToFeedMessage(data)]
+        });
+    };
+
     // Handle WebSocket new message event
     const handleWebSocketNewMessage = (data) => {
         // Check if this is our own message
@@ -43,10 +68,6 @@ const MessageHandler = ({
                     if (updateLastMessageTimestamp) {
                         updateLastMessageTimestamp(Date.now());
                     }
-
-                    // Update UI
-                    messageIdCache.current.clear();
-                    loadMessages(0, false);
                     break;
                 }
             }
@@ -55,11 +76,7 @@ const MessageHandler = ({
         // Clear cache for new messages
         messageIdCache.current.clear();
 
-        if (messageState.autoRefresh) {
-            loadMessages(0, false);
-        } else {
-            dispatch({ type: 'SET_NEW_MESSAGES_COUNT', count: messageState.newMessagesCount + 1 });
-        }
+        addLiveMessage(data);
 
         // Update lastKnownMessageId
         const messageId = safeToNumber(data.messageId);
@@ -91,30 +108,34 @@ const MessageHandler = ({
                     if (updateLastMessageTimestamp) {
                         updateLastMessageTimestamp(Date.now());
                     }
-
-                    // Update UI
-                    messageIdCache.current.clear();
-                    loadMessages(0, false);
                     break;
                 }
             }
         }
 
-        if (data.replyToMessageId) {
-            console.log(`Updating reply count for message ${data.replyToMessageId}`);
-            dispatch({ 
-                type: 'UPDATE_REPLY_COUNT', 
-                messageId: safeToNumber(data.replyToMessageId) 
-            });
-        }
+        messageIdCache.current.clear();
+
+        // Inserting the reply also counts it on its parent
+        addLiveMessage(data);
 
         // Expand replies for this message
         setExpandedRepliesState(prev => ({
             ...prev,
             [safeToNumber(data.replyToMessageId)]: true
         }));
+    };
 
-        if (messageState.autoRefresh) {
+    // Handle WebSocket deletion events: remove the deleted message, or the
+    // pruned ones. Until its index is ready the server can't tell which
+    // messages were pruned; reload then.
+    const handleWebSocketMessagesRemoved = (data) => {
+        messageIdCache.current.clear();
+
+        if (data.type === 'messageDeleted') {
+            dispatch({ type: 'DELETE_MESSAGE', messageId: safeToNumber(data.messageId) });
+        } else if (Array.isArray(data.messageIds)) {
+            dispatch({ type: 'REMOVE_MESSAGES', messageIds: data.messageIds });
+        } else {
             loadMessages(0, false);
         }
     };
@@ -732,6 +753,7 @@ const MessageHandler = ({
     return {
         handleWebSocketNewMessage,
         handleWebSocketNewReply,
+        handleWebSocketMessagesRemoved,
         handleNewMessageEvent,
         handleNewReplyEvent,
         handleMessageDeletedEvent,
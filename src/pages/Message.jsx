@@ -0,0 +1,208 @@
+// src/pages/Message.jsx
+import { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
+import ThreadNode from '../components/ThreadNode';
+import PureSVGPreloader from '../components/PureSVGPreloader';
+import { scrollToMessage } from '../utils/messageHelpers';
+import { subscribeChannels } from '../utils/wsChannels';
+import { authHeaders } from '../utils/siweSession';
+
+const SERVER_API_BASE = import.meta.env.VITE_API_URL || '';
+
+// Collect the senders of every message in the tree
+const collectSenders = (node, senders = new Set()) => {
+  if (node.sender) senders.add(node.sender);
+  node.children.forEach(child => collectSenders(child, senders));
+  return senders;
+};
+
+function Message() {
+  const { id } = useParams();
+  const { account, userProfile, reconnectSigner, updateLastMessageTimestamp, fetchUserProfile, wsConnection, authToken } = useWeb3();
+  const [thread, setThread] = useState(null);
+  const [order, setOrder] = useState('oldest');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [replyStatus, setReplyStatus] = useState('');
+  const [muted, setMuted] = useState(false);
+
+  const focusId = parseInt(id);
+  const canReply = !!account && userProfile?.isActive && !!userProfile?.nickname;
+
+  const loadThread = useCallback(async () => {
+    try {
+      setError(null);
+
+      const response = await fetch(`${SERVER_API_BASE}/api/messages/${focusId}/thread?order=${order}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `API error: ${response.status}`);
+      }
+
+      setThread(data);
+    } catch (err) {
+      console.error(`Error loading thread for message ${focusId}:`, err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [focusId, order]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadThread();
+  }, [loadThread]);
+
+  // Whether the signed-in address gets reply notifications for this thread
+  useEffect(() => {
+    if (!authToken || !thread?.rootId) {
+      setMuted(false);
+      return;
+    }
+
+    fetch(`${SERVER_API_BASE}/api/notifications/mutes`, { headers: authHeaders(authToken) })
+      .then(response => (response.ok ? response.json() : { mutes: [] }))
+      .then(data => setMuted(data.mutes.includes(thread.rootId)))
+      .catch(err => console.error('Error loading muted threads:', err));
+  }, [authToken, thread?.rootId]);
+
+  const toggleMute = async () => {
+    try {
+      const response = await fetch(`${SERVER_API_BASE}/api/notifications/mutes/${thread.rootId}`, {
+        method: muted ? 'DELETE' : 'PUT',
+        headers: authHeaders(authToken)
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `API error: ${response.status}`);
+      }
+
+      setMuted(data.mutes.includes(thread.rootId));
+    } catch (err) {
+      console.error('Error updating thread mute:', err);
+    }
+  };
+
+  // Reload the tree when a reply is posted or a message is deleted in this
+  // thread, or when events were missed while disconnected
+  const rootId = thread?.rootId;
+  useEffect(() => {
+    if (!wsConnection || !rootId) return;
+
+    const channel = `thread:${rootId}`;
+    const unsubscribe = subscribeChannels(wsConnection, [channel]);
+
+    const handleMessage = (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        const threadChanged = data.channels?.includes(channel) && (data.type === 'newReply' || data.type === 'messageDeleted');
+        if (threadChanged || data.type === 'resyncRequired') {
+          loadThread();
+        }
+      } catch (err) {
+        console.error('Error processing WebSocket message:', err);
+      }
+    };
+
+    wsConnection.addEventListener('message', handleMessage);
+
+    return () => {
+      wsConnection.removeEventListener('message', handleMessage);
+      unsubscribe();
+    };
+  }, [wsConnection, rootId, loadThread]);
+
+  // Load avatars for everyone in the thread
+  useEffect(() => {
+    if (!thread) return;
+    collectSenders(thread.root).forEach(sender => fetchUserProfile(sender));
+  }, [thread, fetchUserProfile]);
+
+  // Bring the linked message into view once the tree is rendered
+  useEffect(() => {
+    if (thread && thread.rootId !== focusId) {
+      scrollToMessage(focusId);
+    }
+  }, [thread, focusId]);
+
+  const handleReply = async (messageId, content) => {
+    try {
+      setReplyStatus('Waiting for wallet...');
+      const contractWithSigner = await reconnectSigner();
+      if (!contractWithSigner) {
+        throw new Error('Failed to connect to wallet');
+      }
+
+      const tx = await contractWithSigner.replyToMessage(messageId, content);
+      setReplyStatus('Processing transaction...');
+      await tx.wait();
+
+      updateLastMessageTimestamp(Date.now());
+      setReplyStatus('');
+      await loadThread();
+    } catch (err) {
+      console.error('Error sending reply:', err);
+      setReplyStatus(`Error: ${err.reason || err.message}`);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-10">
+        <PureSVGPreloader />
+        <p className="mt-2 font-mono text-gray-400">Loading thread...</p>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-10">
+        <p className="font-mono text-red-400">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto px-4 pb-12">
+      <div className="flex items-center mb-4 font-mono text-xs">
+        <span className="text-gray-400">
+          {thread.totalReplies} {thread.totalReplies === 1 ? 'reply' : 'replies'}
+        </span>
+        {authToken && (
+          <button
+            onClick={toggleMute}
+            className="ml-auto text-sky-300 hover:text-sky-200"
+            title="Reply notifications for this thread"
+          >
+            [ {muted ? 'Unmute thread' : 'Mute thread'} ]
+          </button>
+        )}
+        <button
+          onClick={() => setOrder(prev => (prev === 'oldest' ? 'newest' : 'oldest'))}
+          className={`${authToken ? 'ml-4' : 'ml-auto'} text-sky-300 hover:text-sky-200`}
+        >
+          [ {order === 'oldest' ? 'Oldest first' : 'Newest first'} ]
+        </button>
+      </div>
+
+      {replyStatus && (
+        <div className={`mb-4 font-mono text-xs ${replyStatus.startsWith('Error') ? 'text-red-400' : 'text-sky-300 animate-pulse'}`}>
+          {replyStatus}
+        </div>
+      )}
+
+      <ThreadNode
+        node={thread.root}
+        focusId={focusId}
+        canReply={canReply}
+        onReply={handleReply}
+      />
+    </div>
+  );
+}
+
+export default Message;
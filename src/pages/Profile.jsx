@@ -4,6 +4,8 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useWeb3 } from '../contexts/Web3Context';
 import Avatar from '../components/Avatar';
 
+const SERVER_API_BASE = import.meta.env.VITE_API_URL || '';
+
 function Profile({ isViewMode = false }) {
   const {
     account,
@@ -15,6 +17,7 @@ function Profile({ isViewMode = false }) {
     loading,
     setLoading,
     updateProfileCache,
+    profileCache,
     reconnectSigner
   } = useWeb3();
 
@@ -23,6 +26,7 @@ function Profile({ isViewMode = false }) {
   const [saveStatus, setSaveStatus] = useState({ type: '', message: '' });
   const [viewProfile, setViewProfile] = useState(null);
   const [showPreview, setShowPreview] = useState(false);
+  const [exportFormat, setExportFormat] = useState('jsonl');
   const { address } = useParams();
   const navigate = useNavigate();
 
@@ -78,6 +82,19 @@ function Profile({ isViewMode = false }) {
     }
   };
 
+  // Follow live changes to the viewed profile through the profile cache
+  const cachedViewProfile = isViewMode && address ? profileCache[address] : null;
+  useEffect(() => {
+    if (!cachedViewProfile || cachedViewProfile.loading) return;
+
+    setViewProfile(prev => prev && {
+      ...prev,
+      nickname: cachedViewProfile.nickname,
+      avatarCode: cachedViewProfile.avatarCode,
+      isActive: cachedViewProfile.isActive
+    });
+  }, [cachedViewProfile]);
+
   // Update profile
   const handleUpdateProfile = async (e) => {
     e.preventDefault();
@@ -298,13 +315,19 @@ function Profile({ isViewMode = false }) {
               </span>
             </div>
 
-            <div className="mt-4">
+            <div className="mt-4 flex gap-4">
               <button
                 className="font-mono text-sky-300 hover:text-sky-200"
                 onClick={() => navigate('/')}
               >
                 [ Return to Home ]
               </button>
+              <a
+                href={`${SERVER_API_BASE}/user/${viewProfile.address}/feed.xml`}
+                className="font-mono text-sky-300 hover:text-sky-200"
+              >
+                [ RSS ]
+              </a>
             </div>
           </div>
         </div>
@@ -451,6 +474,30 @@ function Profile({ isViewMode = false }) {
           )}
         </div>
       </form>
+
+      <div className="border-t border-gray-800 pt-6 mt-6 flex flex-wrap items-center gap-3 font-mono">
+        <label htmlFor="exportFormat" className="text-sm text-gray-400">
+          Export format
+        </label>
+        <select
+          id="exportFormat"
+          value={exportFormat}
+          onChange={(e) => setExportFormat(e.target.value)}
+          className="p-1 bg-gray-950 inset-ring rounded-md inset-ring-white/10 text-sm"
+        >
+          <option value="jsonl">JSON Lines</option>
+          <option value="csv">CSV</option>
+          <option value="md">Markdown</option>
+        </select>
+        {/* The browser streams the attachment straight to disk */}
+        <a
+          href={`${SERVER_API_BASE}/api/export/${account}?format=${exportFormat}`}
+          download
+          className="text-sky-300 hover:text-sky-200"
+        >
+          [ Export my posts ]
+        </a>
+      </div>
     </div>
   );
 }
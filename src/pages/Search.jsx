@@ -0,0 +1,224 @@
+// src/pages/Search.jsx
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import MessageList from '../components/MessageList';
+import Avatar from '../components/Avatar';
+import PureSVGPreloader from '../components/PureSVGPreloader';
+import { formatServerMessage, scrollToMessage } from '../utils/messageHelpers';
+
+const SERVER_API_BASE = import.meta.env.VITE_API_URL || '';
+const PAGE_SIZE = 20;
+
+// Query parameters forwarded to the API as-is
+const FILTER_PARAMS = ['q', 'sender', 'include'];
+
+function Search() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [messages, setMessages] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const q = searchParams.get('q') || '';
+  const sender = searchParams.get('sender') || '';
+  const fromDate = searchParams.get('from') || '';
+  const toDate = searchParams.get('to') || '';
+  const include = (searchParams.get('include') || '').split(',').filter(Boolean);
+
+  // Run the search; with a cursor the next page is appended
+  const runSearch = useCallback(async (cursor = null) => {
+    if (!searchParams.get('q') && !searchParams.get('sender')) {
+      setMessages([]);
+      setProfiles([]);
+      setTotal(0);
+      setNextCursor(null);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      FILTER_PARAMS.forEach(name => {
+        if (searchParams.get(name)) params.set(name, searchParams.get(name));
+      });
+
+      // Date inputs are whole days in local time
+      if (searchParams.get('from')) {
+        params.set('from', new Date(`${searchParams.get('from')}T00:00:00`).getTime());
+      }
+      if (searchParams.get('to')) {
+        params.set('to', new Date(`${searchParams.get('to')}T23:59:59.999`).getTime());
+      }
+      if (cursor) params.set('before', cursor);
+
+      const response = await fetch(`${SERVER_API_BASE}/api/search?${params}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `API error: ${response.status}`);
+      }
+
+      const page = data.messages.map(formatServerMessage);
+      setMessages(prev => (cursor ? [...prev, ...page] : page));
+      if (!cursor) setProfiles(data.profiles);
+      setTotal(data.total);
+      setNextCursor(data.hasMore ? data.cursors.before : null);
+    } catch (err) {
+      console.error('Error searching messages:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [searchParams]);
+
+  useEffect(() => {
+    runSearch();
+  }, [runSearch]);
+
+  // Update a single filter in the URL, which triggers a new search
+  const updateParam = (name, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) {
+      next.set(name, value);
+    } else {
+      next.delete(name);
+    }
+    setSearchParams(next);
+  };
+
+  const toggleInclude = (kind) => {
+    const next = include.includes(kind)
+      ? include.filter(item => item !== kind)
+      : [...include, kind];
+    updateParam('include', next.join(','));
+  };
+
+  const inputClasses = 'bg-gray-900 inset-ring inset-ring-white/10 rounded px-2 py-1';
+
+  return (
+    <div className="mx-auto">
+      <div className="max-w-xl mx-auto px-4 mb-6 font-mono text-xs">
+        <h1 className="text-lg mb-2">{'// search'}</h1>
+        <p className="text-gray-400 mb-4">
+          {q ? <>Results for <span className="text-white">{q}</span></> : 'Enter a query or a sender'}
+          {' '}&middot; use &quot;quotes&quot; for exact phrases
+        </p>
+
+        <div className="grid grid-cols-2 gap-2">
+          <label className="flex flex-col gap-1 text-gray-400">
+            Sender (nickname or address)
+            <input
+              key={sender}
+              type="text"
+              defaultValue={sender}
+              onKeyDown={(e) => e.key === 'Enter' && updateParam('sender', e.target.value.trim())}
+              onBlur={(e) => e.target.value.trim() !== sender && updateParam('sender', e.target.value.trim())}
+              className={inputClasses}
+            />
+          </label>
+          <div className="flex flex-col gap-1 text-gray-400">
+            Include
+            <div className="flex gap-3 py-1">
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={include.includes('deleted')}
+                  onChange={() => toggleInclude('deleted')}
+                />
+                deleted
+              </label>
+              <label className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={include.includes('pruned')}
+                  onChange={() => toggleInclude('pruned')}
+                />
+                pruned
+              </label>
+            </div>
+          </div>
+          <label className="flex flex-col gap-1 text-gray-400">
+            From
+            <input
+              type="date"
+              value={fromDate}
+              onChange={(e) => updateParam('from', e.target.value)}
+              className={inputClasses}
+            />
+          </label>
+          <label className="flex flex-col gap-1 text-gray-400">
+            To
+            <input
+              type="date"
+              value={toDate}
+              onChange={(e) => updateParam('to', e.target.value)}
+              className={inputClasses}
+            />
+          </label>
+        </div>
+
+        {profiles.length > 0 && (
+          <div className="mt-6">
+            <div className="text-gray-400 mb-2">Profiles</div>
+            <div className="flex flex-wrap gap-2">
+              {profiles.map(profile => (
+                <Link
+                  key={profile.address}
+                  to={`/user/${profile.address}`}
+                  className="flex items-center gap-2 px-2 py-1 rounded-md bg-gray-900 hover:bg-gray-800"
+                >
+                  <div className="w-6 h-6 rounded-md overflow-hidden shrink-0">
+                    <Avatar address={profile.address} avatarCode={profile.avatarCode} size="small" />
+                  </div>
+                  <span className="font-bold">@{profile.nickname}</span>
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {(q || sender) && !error && (
+          <div className="mt-6 text-gray-500">{total} {total === 1 ? 'message' : 'messages'} found</div>
+        )}
+      </div>
+
+      {error ? (
+        <div className="text-center py-10">
+          <p className="font-mono text-red-400">{error}</p>
+        </div>
+      ) : loading && messages.length === 0 ? (
+        <div className="text-center py-10">
+          <PureSVGPreloader />
+          <p className="mt-2 font-mono text-gray-400">Searching...</p>
+        </div>
+      ) : messages.length > 0 ? (
+        <>
+          <MessageList
+            messages={messages}
+            currentUser={null}
+            onScrollToMessage={scrollToMessage}
+            showDeleted={true}
+          />
+
+          {nextCursor && (
+            <div className="text-center mt-4 mb-8">
+              <button
+                onClick={() => runSearch(nextCursor)}
+                disabled={loading}
+                className="font-mono text-xs text-sky-300 hover:text-sky-200 disabled:text-gray-500"
+              >
+                {loading ? 'Loading...' : '[ Load more ]'}
+              </button>
+            </div>
+          )}
+        </>
+      ) : null}
+    </div>
+  );
+}
+
+export default Search;
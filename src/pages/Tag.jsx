@@ -0,0 +1,99 @@
+// src/pages/Tag.jsx
+import { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import MessageList from '../components/MessageList';
+import PureSVGPreloader from '../components/PureSVGPreloader';
+import { formatServerMessage, scrollToMessage } from '../utils/messageHelpers';
+
+const SERVER_API_BASE = import.meta.env.VITE_API_URL || '';
+const PAGE_SIZE = 20;
+
+function Tag() {
+  const { tag } = useParams();
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
+
+  // Load a page of tagged messages; with a cursor the page is appended
+  const loadTagged = useCallback(async (cursor = null) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      // Pruned posts stay part of the tag's history
+      const params = new URLSearchParams({ limit: PAGE_SIZE, include: 'pruned' });
+      if (cursor) params.set('before', cursor);
+
+      const response = await fetch(`${SERVER_API_BASE}/api/tags/${encodeURIComponent(tag)}?${params}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `API error: ${response.status}`);
+      }
+
+      const page = data.messages.map(formatServerMessage);
+      setMessages(prev => (cursor ? [...prev, ...page] : page));
+      setNextCursor(data.hasMore ? data.cursors.before : null);
+      setTotal(data.total);
+    } catch (err) {
+      console.error(`Error loading messages for #${tag}:`, err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [tag]);
+
+  useEffect(() => {
+    setMessages([]);
+    loadTagged();
+  }, [loadTagged]);
+
+  return (
+    <div className="mx-auto">
+      <div className="max-w-xl mx-auto px-4 mb-6 font-mono text-xs flex items-baseline">
+        <h1 className="text-lg text-sky-300">#{tag}</h1>
+        <span className="ml-auto text-gray-500">{total} {total === 1 ? 'message' : 'messages'}</span>
+      </div>
+
+      {error ? (
+        <div className="text-center py-10">
+          <p className="font-mono text-red-400">{error}</p>
+        </div>
+      ) : loading && messages.length === 0 ? (
+        <div className="text-center py-10">
+          <PureSVGPreloader />
+          <p className="mt-2 font-mono text-gray-400">Loading messages...</p>
+        </div>
+      ) : messages.length > 0 ? (
+        <>
+          <MessageList
+            messages={messages}
+            currentUser={null}
+            onScrollToMessage={scrollToMessage}
+            showDeleted={true}
+          />
+
+          {nextCursor && (
+            <div className="text-center mt-4 mb-8">
+              <button
+                onClick={() => loadTagged(nextCursor)}
+                disabled={loading}
+                className="font-mono text-xs text-sky-300 hover:text-sky-200 disabled:text-gray-500"
+              >
+                {loading ? 'Loading...' : '[ Load more ]'}
+              </button>
+            </div>
+          )}
+        </>
+      ) : (
+        <div className="text-center py-10">
+          <p className="font-mono text-gray-400">No messages with #{tag}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Tag;
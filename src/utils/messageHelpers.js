@@ -83,4 +83,57 @@ export const calculatePostingRate = (timestamps) => {
     } else {
         return `${(avgTimeMs / 3600000).toFixed(1)} hours`;
     }
-};
\ No newline at end of file
+};
+/**
+ * Converts a message from the server API into the shape MessageList expects
+ * @param {Object} msg - Message as returned by the API
+ * @return {Object} Formatted message
+ */
+export const formatServerMessage = (msg) => ({
+    ...msg,
+    messageId: safeToNumber(msg.messageId),
+    displayId: msg.displayId || msg.messageId,
+    nickname: msg.nickname || `${msg.sender.slice(0, 6)}...${msg.sender.slice(-4)}`,
+    timestamp: new Date(msg.timestamp),
+    replyToMessageId: safeToNumber(msg.replyToMessageId),
+    replyCount: Number(msg.replyCount || 0)
+});
+
+/**
+ * Formats a date relative to now, e.g. "5 minutes ago"
+ * @param {Date} date - Date to format
+ * @return {string} Relative time
+ */
+export const formatRelativeTime = (date) => {
+    if (!date) return '';
+
+    const now = new Date();
+    const diff = now - date;
+
+    // Convert time difference to seconds
+    const seconds = Math.floor(diff / 1000);
+
+    // Time intervals in seconds
+    const intervals = {
+        year: 31536000,
+        month: 2592000,
+        week: 604800,
+        day: 86400,
+        hour: 3600,
+        minute: 60,
+        second: 1
+    };
+
+    // Find the appropriate interval
+    for (const [unit, secondsInUnit] of Object.entries(intervals)) {
+        const interval = Math.floor(seconds / secondsInUnit);
+
+        if (interval >= 1) {
+            return interval === 1
+                ? `1 ${unit} ago`
+                : `${interval} ${unit}s ago`;
+        }
+    }
+
+    return 'just now';
+};
@@ -0,0 +1,97 @@
+// src/utils/messageText.js
+
+const SERVER_API_BASE = import.meta.env.VITE_API_URL || '';
+
+// Must match HASHTAG_PATTERN in server/text.js
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_/&#])#([\p{L}\p{N}_]{1,50})/gu;
+
+// Must match MENTION_PATTERN in server/text.js
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@.])@([A-Za-z0-9_]{1,32})(?![A-Za-z0-9_])/gu;
+
+// Nickname -> Promise<address|null>, shared by all components
+const nicknameLookups = new Map();
+
+/**
+ * Splits message text into plain text, hashtag and mention tokens
+ * Must match tokenizeMessage in server/text.js
+ * @param {string} text - Message content
+ * @return {Array<Object>} Tokens: { type: 'text', value },
+ *   { type: 'tag', value, tag } or { type: 'mention', value, nickname }
+ */
+export const tokenizeMessage = (text) => {
+  if (!text) return [];
+
+  const matches = [];
+
+  for (const match of text.matchAll(HASHTAG_PATTERN)) {
+    const [, prefix, tag] = match;
+    // "#1" is a number, not a tag
+    if (/^\d+$/.test(tag)) continue;
+
+    matches.push({
+      start: match.index + prefix.length,
+      token: { type: 'tag', value: `#${tag}`, tag: tag.toLowerCase() }
+    });
+  }
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const [, prefix, nickname] = match;
+    matches.push({
+      start: match.index + prefix.length,
+      token: { type: 'mention', value: `@${nickname}`, nickname }
+    });
+  }
+
+  matches.sort((a, b) => a.start - b.start);
+
+  const tokens = [];
+  let lastIndex = 0;
+
+  matches.forEach(({ start, token }) => {
+    if (start < lastIndex) return;
+
+    if (start > lastIndex) {
+      tokens.push({ type: 'text', value: text.slice(lastIndex, start) });
+    }
+    tokens.push(token);
+    lastIndex = start + token.value.length;
+  });
+
+  if (lastIndex < text.length) {
+    tokens.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+
+  return tokens;
+};
+
+/**
+ * Resolves nicknames to addresses through the API, caching results
+ * @param {Array<string>} nicknames - Nicknames without @
+ * @return {Promise<Object>} Map of nickname -> address (unknown nicknames are omitted)
+ */
+export const resolveNicknames = async (nicknames) => {
+  const entries = await Promise.all(nicknames.map(nickname => {
+    if (!nicknameLookups.has(nickname)) {
+      nicknameLookups.set(nickname, fetch(`${SERVER_API_BASE}/api/address/${encodeURIComponent(nickname)}`)
+        .then(response => (response.ok ? response.json() : null))
+        .then(data => data?.address || null)
+        .catch(() => {
+          // Allow a retry on the next render
+          nicknameLookups.delete(nickname);
+          return null;
+        }));
+    }
+
+    return nicknameLookups.get(nickname).then(address => [nickname, address]);
+  }));
+
+  return Object.fromEntries(entries.filter(([, address]) => address));
+};
+
+/**
+ * Builds a nickname -> address map from a message's resolved mentions
+ * @param {Array<Object>} mentions - [{ nickname, address }] as sent by the server
+ * @return {Object} Map of nickname -> address
+ */
+export const mentionsToMap = (mentions = []) =>
+  Object.fromEntries(mentions.map(({ nickname, address }) => [nickname, address]));
@@ -0,0 +1,45 @@
+// src/utils/siweSession.js
+
+// Sessions from signing in with the wallet are kept per address, so a
+// reload or reconnect doesn't ask for another signature until they expire
+const storageKey = (address) => `siweSession:${address.toLowerCase()}`;
+
+/**
+ * Loads the stored session of an address
+ * @param {string} address - Wallet address
+ * @return {Object|null} { token, expiresAt }, or null if none or expired
+ */
+export const loadSession = (address) => {
+  try {
+    const session = JSON.parse(localStorage.getItem(storageKey(address)));
+    if (session && session.token && session.expiresAt > Date.now()) {
+      return session;
+    }
+  } catch (e) {
+    console.error('Error reading session from localStorage:', e);
+  }
+  return null;
+};
+
+export const saveSession = (address, { token, expiresAt }) => {
+  try {
+    localStorage.setItem(storageKey(address), JSON.stringify({ token, expiresAt }));
+  } catch (e) {
+    console.error('Error saving session to localStorage:', e);
+  }
+};
+
+export const clearSession = (address) => {
+  try {
+    localStorage.removeItem(storageKey(address));
+  } catch (e) {
+    console.error('Error removing session from localStorage:', e);
+  }
+};
+
+/**
+ * Headers for REST calls that need a signed-in address
+ * @param {string|null} token - Session token from Web3Context
+ * @return {Object} Authorization header, or nothing without a session
+ */
+export const authHeaders = (token) => (token ? { Authorization: `Bearer ${token}` } : {});
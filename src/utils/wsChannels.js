@@ -0,0 +1,31 @@
+// src/utils/wsChannels.js
+
+/**
+ * Subscribes a WebSocket to server channels (feed, profiles, params,
+ * thread:<id>, user:<address>), waiting for the connection to open first
+ * @param {WebSocket} ws - Connection from Web3Context
+ * @param {Array<string>} channels - Channels to subscribe to
+ * @return {Function} Unsubscribes again; safe to call after the socket closed
+ */
+export const subscribeChannels = (ws, channels) => {
+  if (!ws || channels.length === 0) return () => {};
+
+  const send = (type) => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type, channels }));
+    }
+  };
+
+  const handleOpen = () => send('subscribe');
+
+  if (ws.readyState === WebSocket.OPEN) {
+    send('subscribe');
+  } else {
+    ws.addEventListener('open', handleOpen);
+  }
+
+  return () => {
+    ws.removeEventListener('open', handleOpen);
+    send('unsubscribe');
+  };
+};